@@ -1,5 +1,91 @@
+//  Platform fee rate when no fee rule matches, see `models/FeeRule`
 const SYSTEM_FEE = 0.10;
+const DEFAULT_CURRENCY = 'usd';
+
+//  Seconds. Idempotency keys are forgotten after this
+const IDEMPOTENCY_KEY_TTL = 24 * 60 * 60;
+//  Seconds. A request that holds the key for longer is considered dead
+const IDEMPOTENCY_LOCK_TIMEOUT = 60;
+//  Seconds. A webhook event processing for longer is considered dead
+//  and the next delivery of it takes over
+const WEBHOOK_PROCESSING_TIMEOUT = 5 * 60;
+//  Seconds. A reconciliation running for longer is considered dead,
+//  the next run marks it failed
+const RECONCILIATION_TIMEOUT = 6 * 60 * 60;
+
+//  Days after the Order is received the client can request a refund
+const REFUND_REQUEST_WINDOW_DAYS = 7;
+//  Days the Owner has to respond before the request goes to admins
+const REFUND_RESPONSE_DEADLINE_DAYS = 3;
+
+//  `DIRECT` or `ESCROW`, see `PayoutMode`. Split and Owner settings override it
+const DEFAULT_PAYOUT_MODE = 'DIRECT';
+//  Days after payment `ESCROW` funds of shipped Orders are released
+//  to the Owner anyway
+const ESCROW_AUTO_RELEASE_DAYS = 21;
+
+//  `AUTOMATIC` or `MANUAL`, see `CaptureMethod`. Split setting overrides it
+const DEFAULT_CAPTURE_METHOD = 'AUTOMATIC';
+//  Days a card authorization stays valid on Stripe
+const AUTHORIZATION_VALID_DAYS = 7;
+//  Hours before the authorization expires it's renewed with the saved card
+const REAUTHORIZATION_MARGIN_HOURS = 24;
+
+//  Minutes the seats stay held for a client between
+//  `getOrderPaymentIntent` and `createOrder`
+const SEAT_HOLD_MINUTES = 15;
+//  Minutes a Stripe Checkout Session stays open, Stripe's minimum is 30.
+//  Its seats are held for as long
+const CHECKOUT_SESSION_MINUTES = 30;
+//  Minutes a waitlisted user has to order the seats offered to them
+const WAITLIST_OFFER_MINUTES = 60;
+
+//  Days after shipping an Order is considered received,
+//  unless the client reported a delivery problem
+const DELIVERY_CONFIRMATION_DAYS = 14;
+//  Days after receiving an Order is completed
+const ORDER_COMPLETION_DAYS = 7;
+//  Hours before these deadlines both parties are reminded
+const ORDER_DEADLINE_REMINDER_HOURS = 48;
+
+//  Days the Owner has to ship the Orders once the Split is complete,
+//  per `ShippingType`. Unshipped ones are cancelled and refunded then
+const SHIP_BY_DAYS = {
+  INPERSON: 14,
+  SHIPPING: 7,
+  VIRTUAL: 3,
+};
+//  Hours before the ship-by deadline the Owner is reminded
+const SHIP_BY_REMINDER_HOURS = [72, 24];
+
+//  The mobile app's URL scheme, for redirects back from the browser
+const APP_URL_SCHEME = 'wannasplit';
+//  Hours the onboarding refresh and return links keep working. They're
+//  public, the Owner gets new ones from the app after that
+const ONBOARDING_LINK_HOURS = 24;
 
 module.exports = {
-  SYSTEM_FEE
+  SYSTEM_FEE,
+  DEFAULT_CURRENCY,
+  IDEMPOTENCY_KEY_TTL,
+  IDEMPOTENCY_LOCK_TIMEOUT,
+  WEBHOOK_PROCESSING_TIMEOUT,
+  RECONCILIATION_TIMEOUT,
+  REFUND_REQUEST_WINDOW_DAYS,
+  REFUND_RESPONSE_DEADLINE_DAYS,
+  DEFAULT_PAYOUT_MODE,
+  ESCROW_AUTO_RELEASE_DAYS,
+  DEFAULT_CAPTURE_METHOD,
+  AUTHORIZATION_VALID_DAYS,
+  REAUTHORIZATION_MARGIN_HOURS,
+  SEAT_HOLD_MINUTES,
+  CHECKOUT_SESSION_MINUTES,
+  WAITLIST_OFFER_MINUTES,
+  DELIVERY_CONFIRMATION_DAYS,
+  ORDER_COMPLETION_DAYS,
+  ORDER_DEADLINE_REMINDER_HOURS,
+  SHIP_BY_DAYS,
+  SHIP_BY_REMINDER_HOURS,
+  APP_URL_SCHEME,
+  ONBOARDING_LINK_HOURS,
 };
@@ -0,0 +1,59 @@
+/**
+ *  Just enough CSV for admin reports and exports
+ *
+ *  https://www.rfc-editor.org/rfc/rfc4180
+ * */
+
+//  Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value !== 'string') {
+    value = String(value);
+  } else if (FORMULA_PREFIXES.includes(value[0])) {
+    value = `'${value}`;
+  }
+
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+};
+
+/**
+ *  @param columns {[{key: String, title: String}]} - `title` defaults to `key`
+ *  @returns {String} - header line without the line break
+ * */
+const csvHeader = (columns) =>
+  columns.map((column) => escapeCell(column.title || column.key)).join(',');
+
+/**
+ *  @param row {Object}
+ *  @param columns {[{key: String, value: Function}]} - `value(row)` defaults to `row[key]`
+ *  @returns {String} - line without the line break
+ * */
+const csvRow = (row, columns) =>
+  columns
+    .map((column) =>
+      escapeCell(column.value ? column.value(row) : row[column.key])
+    )
+    .join(',');
+
+/**
+ *  @param rows {[Object]}
+ *  @param columns {[{key: String, title: String, value: Function}]}
+ *  @returns {String}
+ * */
+const toCsv = (rows, columns) =>
+  [csvHeader(columns), ...rows.map((row) => csvRow(row, columns))].join('\r\n');
+
+module.exports = {
+  csvHeader,
+  csvRow,
+  toCsv,
+};
@@ -0,0 +1,130 @@
+/**
+ *  Stripe expects every amount in the smallest currency unit, but not every
+ *  currency has 2 decimals. This is where we keep the knowledge about it.
+ *
+ *  https://stripe.com/docs/currencies#zero-decimal
+ *  https://stripe.com/docs/currencies#minimum-and-maximum-charge-amounts
+ * */
+const { DEFAULT_CURRENCY } = require('../config');
+
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif',
+  'clp',
+  'djf',
+  'gnf',
+  'jpy',
+  'kmf',
+  'krw',
+  'mga',
+  'pyg',
+  'rwf',
+  'ugx',
+  'vnd',
+  'vuv',
+  'xaf',
+  'xof',
+  'xpf',
+];
+
+//  Stripe only accepts amounts divisible by 10 for these,
+//  so effectively they're charged with 2 decimals precision
+const THREE_DECIMAL_CURRENCIES = ['bhd', 'jod', 'kwd', 'omr', 'tnd'];
+
+/**
+ *  Minimum charge amounts in major units. Anything not listed here
+ *  is not supported by us, even if Stripe supports it.
+ * */
+const MINIMUM_CHARGE_AMOUNTS = {
+  usd: 0.5,
+  aed: 2,
+  aud: 0.5,
+  bgn: 1,
+  bhd: 0.2,
+  brl: 0.5,
+  cad: 0.5,
+  chf: 0.5,
+  czk: 15,
+  dkk: 2.5,
+  eur: 0.5,
+  gbp: 0.3,
+  hkd: 4,
+  huf: 175,
+  inr: 0.5,
+  jod: 0.4,
+  jpy: 50,
+  krw: 700,
+  kwd: 0.2,
+  mxn: 10,
+  myr: 2,
+  nok: 3,
+  nzd: 0.5,
+  omr: 0.2,
+  pln: 2,
+  ron: 2,
+  sek: 3,
+  sgd: 0.5,
+  thb: 10,
+  tnd: 2,
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(MINIMUM_CHARGE_AMOUNTS);
+
+const normalizeCurrency = (currency) =>
+  (currency || DEFAULT_CURRENCY).toLowerCase();
+
+const isSupportedCurrency = (currency) =>
+  SUPPORTED_CURRENCIES.includes(normalizeCurrency(currency));
+
+/**
+ *  Number of decimals the smallest unit of the currency represents
+ * */
+const getCurrencyExponent = (currency) => {
+  currency = normalizeCurrency(currency);
+
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(currency)) return 3;
+  return 2;
+};
+
+/**
+ *  Rounds an amount already in minor units to something Stripe will accept
+ * */
+const roundMinorUnits = (amount, currency) => {
+  if (THREE_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency))) {
+    return Math.round(amount / 10) * 10;
+  }
+  return Math.round(amount);
+};
+
+/**
+ *  e.g. 12.34 USD -> 1234, 1234 JPY -> 1234, 1.234 KWD -> 1230
+ * */
+const toMinorUnits = (amount, currency) =>
+  roundMinorUnits(amount * 10 ** getCurrencyExponent(currency), currency);
+
+/**
+ *  e.g. 1234 USD -> 12.34, 1234 JPY -> 1234, 1230 KWD -> 1.23
+ * */
+const fromMinorUnits = (amount, currency) => {
+  if (amount === null || amount === undefined) return amount;
+
+  const exponent = getCurrencyExponent(currency);
+  return parseFloat((amount / 10 ** exponent).toFixed(exponent));
+};
+
+/**
+ *  Minimum chargeable amount in minor units
+ * */
+const getMinimumChargeAmount = (currency) =>
+  toMinorUnits(MINIMUM_CHARGE_AMOUNTS[normalizeCurrency(currency)], currency);
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  isSupportedCurrency,
+  getCurrencyExponent,
+  roundMinorUnits,
+  toMinorUnits,
+  fromMinorUnits,
+  getMinimumChargeAmount,
+};
@@ -0,0 +1,15 @@
+/**
+ *  @param value {String}
+ *  @returns {Boolean} - whether it's an absolute http(s) URL
+ * */
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+module.exports = {
+  isHttpUrl,
+};
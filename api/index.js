@@ -17,6 +17,10 @@ const scheduler = require('./services/scheduler');
 
 const app = express();
 const webhookService = require('./services/webhook');
+const reportService = require('./services/reports');
+const receiptService = require('./services/receipts');
+const exportService = require('./services/exports');
+const onboardingService = require('./services/onboarding');
 const port = process.env.API_PORT || 3001;
 
 const whitelist = [
@@ -64,13 +68,24 @@ app.use(firebaseAuth);
 scheduler.init();
 
 const { apolloServer, schedulerTasks } = require('./services/apollo');
+const {
+  registerPaymentDataSources,
+  schedulePayments,
+} = require('./models/payments');
+
+registerPaymentDataSources(apolloServer);
 
 schedulerTasks.forEach(t=>t());
+schedulePayments();
 
 async function start() {
   await apolloServer.start();
   apolloServer.applyMiddleware({ app });
   app.use('/webhooks', webhookService);
+  app.use('/reports', reportService);
+  app.use('/receipts', receiptService);
+  app.use('/exports', exportService);
+  app.use(onboardingService);
 
   if (process.env.NODE_ENV !== 'production') {
     const https = require('https');
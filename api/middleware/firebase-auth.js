@@ -11,6 +11,9 @@ const OperationsWithoutAuth = [
   '{fee(',
 ];
 
+//  Opened by Stripe in a browser, they check their own signature
+const publicPaths = ['/stripe_refresh', '/stripe_return'];
+
 const originalUrls = [
   {
     url: '/webhooks/twilio',
@@ -66,6 +69,7 @@ async function authMiddleware(req, res, next) {
     }
 
     if (
+      publicPaths.includes(req.path) ||
       originalUrls.find(
         (entry) =>
           entry.url === req.originalUrl &&
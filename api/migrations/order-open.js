@@ -0,0 +1,94 @@
+/**
+ *  Sets `open` on Orders created before it existed, from their status, then
+ *  builds the unique `{split, client}` index that only covers open Orders.
+ *
+ *    npm run migration order-open
+ *
+ *  Clients with more than one open Order for a Split are listed and the index
+ *  isn't built until they're sorted out, run it again after that
+ * */
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+const mongoose = require('mongoose');
+
+const { canceledStatuses, OrderModel } = require('../models/Order');
+
+/**
+ *  @returns {Number} - Orders updated
+ * */
+const backfillOpen = async () => {
+  const missing = { open: { $exists: false } };
+
+  //  Older Orders fall back to `updated_at` for their deadlines, keep it
+  const [opened, closed] = await Promise.all([
+    OrderModel.updateMany(
+      { ...missing, status: { $nin: canceledStatuses } },
+      { $set: { open: true } },
+      { timestamps: false }
+    ),
+    OrderModel.updateMany(
+      { ...missing, status: { $in: canceledStatuses } },
+      { $set: { open: false } },
+      { timestamps: false }
+    ),
+  ]);
+
+  return opened.n + closed.n;
+};
+
+/**
+ *  @returns {[{_id: {split: ObjectID, client: ObjectID}, orders: [ObjectID]}]}
+ * */
+const findDuplicateOpenOrders = () =>
+  OrderModel.aggregate([
+    { $match: { open: true } },
+    {
+      $group: {
+        _id: { split: '$split', client: '$client' },
+        orders: { $push: '$_id' },
+      },
+    },
+    { $match: { 'orders.1': { $exists: true } } },
+  ]);
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+
+  try {
+    console.log(`Set \`open\` on ${await backfillOpen()} Order(s)`);
+
+    const duplicates = await findDuplicateOpenOrders();
+
+    if (duplicates.length) {
+      console.error('Clients with more than one open Order for a Split:');
+      duplicates.forEach(({ _id, orders }) =>
+        console.error(
+          `  Split ${_id.split}, client ${_id.client}: ${orders.join(', ')}`
+        )
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    await OrderModel.createIndexes();
+    console.log('Indexes built');
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  migrate().catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  backfillOpen,
+  findDuplicateOpenOrders,
+};
@@ -0,0 +1,35 @@
+/**
+ *  Gapless-ish number sequences, e.g. receipt numbers
+ * */
+const mongoose = require('mongoose');
+
+const CounterSchema = mongoose.Schema({
+  //  Sequence name
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const CounterModel = mongoose.model('Counter', CounterSchema);
+
+/**
+ *  @param name {String} - sequence name
+ *  @param session {Mongoose.Session} - optional
+ *  @returns {Promise<Number>} - starts with 1
+ * */
+const nextSequence = async (name, session = null) => {
+  const counter = await CounterModel.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+
+  return counter.seq;
+};
+
+module.exports = {
+  CounterModel,
+  nextSequence,
+};
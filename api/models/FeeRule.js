@@ -0,0 +1,551 @@
+/**
+ *  Platform fee rules.
+ *
+ *  The fee of an Order comes from the highest priority active rule that
+ *  matches the Split and its Owner, `SYSTEM_FEE` applies if none does.
+ *  Promotional rates are just rules with a time window and a higher priority.
+ * */
+const mongoose = require('mongoose');
+
+const { BaseDataSource } = require('./BaseDataSource');
+const { UserModel, UserRole } = require('./User');
+const { SYSTEM_FEE } = require('../config');
+const {
+  fromMinorUnits,
+  isSupportedCurrency,
+  normalizeCurrency,
+  roundMinorUnits,
+  toMinorUnits,
+} = require('../helpers/currency');
+
+//  What's stored on Orders when no rule matches
+const DEFAULT_FEE_RULE = {
+  rule: null,
+  name: 'default',
+  rate: SYSTEM_FEE,
+  minFee: null,
+  maxFee: null,
+};
+
+const feeRuleTypes = /*gql*/ `
+  """
+  Platform fee rule. Empty conditions match everything.
+  Amounts are in major units of \`currency\`, e.g. dollars
+  """
+  type FeeRule {
+    _id: ObjectID
+    name: String
+    description: String
+    active: Boolean
+    "The highest priority matching rule applies"
+    priority: Int
+    "Fraction of the Order amount, e.g. 0.1 for 10%"
+    rate: Float
+    minFee: Float
+    maxFee: Float
+    "Required for price bands and fee caps"
+    currency: String
+    categoryIds: [Int]
+    "Matched against the Split Owner's \`tier\`"
+    ownerTiers: [String]
+    "Split price band"
+    priceMin: Float
+    priceMax: Float
+    startsAt: DateTime
+    endsAt: DateTime
+    created_at: DateTime
+    updated_at: DateTime
+  }
+
+  "Fee rule as it was when applied to an Order"
+  type AppliedFeeRule {
+    "Empty for the default rate"
+    rule: ObjectID
+    name: String
+    rate: Float
+    minFee: Float
+    maxFee: Float
+  }
+
+  type Fee {
+    rate: Float
+    "Total the client pays, in the smallest unit of \`currency\`"
+    amount: Int
+    "Platform fee, in the smallest unit of \`currency\`"
+    feeAmount: Int
+    currency: String
+    amountDecimal: Float
+    feeAmountDecimal: Float
+    rule: AppliedFeeRule
+  }
+
+  input FeeRuleInput {
+    name: String!
+    description: String
+    active: Boolean
+    priority: Int
+    rate: Float!
+    minFee: Float
+    maxFee: Float
+    currency: String
+    categoryIds: [Int]
+    ownerTiers: [String]
+    priceMin: Float
+    priceMax: Float
+    startsAt: DateTime
+    endsAt: DateTime
+  }
+
+  type FeeRuleResponse implements MutationResponse {
+    code: String!
+    success: Boolean!
+    message: String
+    feeRule: FeeRule
+  }
+
+  type OwnerTierResponse implements MutationResponse {
+    code: String!
+    success: Boolean!
+    message: String
+    user: ObjectID
+    tier: String
+  }
+
+  extend type Query {
+    "Admin only"
+    feeRules(active: Boolean, limit: Int, skip: Int): [FeeRule]
+    "Fee for ordering \`numSeats\` of the Split, only the default rate if \`split\` is empty"
+    fee(split: ObjectID, numSeats: Int): Fee
+  }
+
+  extend type Mutation {
+    "Admin only"
+    createFeeRule(rule: FeeRuleInput!): FeeRuleResponse
+    "Admin only"
+    updateFeeRule(_id: ObjectID!, rule: FeeRuleInput!): FeeRuleResponse
+    "Admin only"
+    deleteFeeRule(_id: ObjectID!): FeeRuleResponse
+    "Admin only. Tier the fee rules' \`ownerTiers\` match, empty for none"
+    setOwnerTier(user: ObjectID!, tier: String): OwnerTierResponse
+  }
+`;
+
+const FeeRuleSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    description: String,
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1,
+    },
+    minFee: Number,
+    maxFee: Number,
+    currency: {
+      type: String,
+      lowercase: true,
+    },
+    categoryIds: [Number],
+    ownerTiers: [String],
+    priceMin: Number,
+    priceMax: Number,
+    startsAt: Date,
+    endsAt: Date,
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+  }
+);
+
+//  Snapshot stored on Orders, rules can be edited or deleted later
+const AppliedFeeRuleSchema = mongoose.Schema({
+  rule: {
+    type: mongoose.Types.ObjectId,
+    ref: 'FeeRule',
+  },
+  name: String,
+  rate: Number,
+  minFee: Number,
+  maxFee: Number,
+});
+
+const FeeRuleModel = mongoose.model('FeeRule', FeeRuleSchema);
+
+//  Matched against `ownerTiers`, see `setOwnerTier`
+UserModel.schema.add({
+  tier: {
+    type: String,
+    trim: true,
+  },
+});
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ *  Whether the rule's conditions match the Split
+ *
+ *  @param rule {FeeRule}
+ *  @param split {Split}
+ *  @param owner {User} - Split Owner
+ *  @param currency {String} - normalized Split currency
+ * */
+const matches = (rule, { split, owner, currency }) => {
+  if (rule.currency && rule.currency !== currency) {
+    return false;
+  }
+
+  if (
+    rule.categoryIds &&
+    rule.categoryIds.length &&
+    !(split.categoryIds || []).some((id) => rule.categoryIds.includes(id))
+  ) {
+    return false;
+  }
+
+  if (
+    rule.ownerTiers &&
+    rule.ownerTiers.length &&
+    !(owner && rule.ownerTiers.includes(owner.tier))
+  ) {
+    return false;
+  }
+
+  if (isSet(rule.priceMin) && split.price < rule.priceMin) {
+    return false;
+  }
+
+  if (isSet(rule.priceMax) && split.price > rule.priceMax) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ *  @param rule {AppliedFeeRule}
+ *  @param amount {Number} - Order amount without the fee, in minor units
+ *  @param currency {String}
+ *  @returns {Number} - fee in minor units
+ * */
+const calcFee = (rule, amount, currency) => {
+  let fee = amount * rule.rate;
+
+  if (isSet(rule.minFee)) {
+    fee = Math.max(fee, toMinorUnits(rule.minFee, currency));
+  }
+
+  if (isSet(rule.maxFee)) {
+    fee = Math.min(fee, toMinorUnits(rule.maxFee, currency));
+  }
+
+  return roundMinorUnits(fee, currency);
+};
+
+class FeeRuleDataSource extends BaseDataSource {
+  checkAdmin() {
+    if (this.context.user.role !== UserRole.ADMIN) {
+      throw new Error('Only admins can manage fee rules');
+    }
+  }
+
+  /**
+   *  Throws if the rule doesn't make sense
+   * */
+  validate(rule) {
+    if (!isSet(rule.rate) || rule.rate < 0 || rule.rate > 1) {
+      throw new Error('Fee rate must be between 0 and 1');
+    }
+
+    const hasAmounts = [
+      rule.minFee,
+      rule.maxFee,
+      rule.priceMin,
+      rule.priceMax,
+    ].some(isSet);
+
+    if (hasAmounts && !rule.currency) {
+      throw new Error('Currency is required for price bands and fee caps');
+    }
+
+    if (rule.currency && !isSupportedCurrency(rule.currency)) {
+      throw new Error(`Currency is not supported: ${rule.currency}`);
+    }
+
+    if (isSet(rule.minFee) && isSet(rule.maxFee) && rule.minFee > rule.maxFee) {
+      throw new Error("Minimum fee can't be bigger than maximum fee");
+    }
+
+    if (
+      isSet(rule.priceMin) &&
+      isSet(rule.priceMax) &&
+      rule.priceMin > rule.priceMax
+    ) {
+      throw new Error("Minimum price can't be bigger than maximum price");
+    }
+
+    if (rule.startsAt && rule.endsAt && rule.startsAt >= rule.endsAt) {
+      throw new Error('Fee rule has to start before it ends');
+    }
+
+    return {
+      ...rule,
+      currency: rule.currency ? normalizeCurrency(rule.currency) : null,
+    };
+  }
+
+  async list({ active, limit, skip }) {
+    this.checkAdmin();
+
+    return await this.model.find(isSet(active) ? { active } : {}, null, {
+      limit,
+      skip,
+      sort: { priority: -1, updated_at: -1 },
+    });
+  }
+
+  /**
+   *  The rule that applies to the Split right now
+   *
+   *  @returns {AppliedFeeRule}
+   * */
+  async match({ split, owner, currency }) {
+    const now = new Date();
+
+    const rules = await this.model
+      .find({
+        active: true,
+        $and: [
+          { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+          { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+        ],
+      })
+      .sort({ priority: -1, updated_at: -1 })
+      .lean();
+
+    const rule = rules.find((r) => matches(r, { split, owner, currency }));
+
+    if (!rule) {
+      return DEFAULT_FEE_RULE;
+    }
+
+    return {
+      rule: rule._id,
+      name: rule.name,
+      rate: rule.rate,
+      minFee: rule.minFee,
+      maxFee: rule.maxFee,
+    };
+  }
+
+  /**
+   *  Platform fee for an Order of the Split
+   *
+   *  @param split {Split}
+   *  @param owner {User} - Split Owner, only `tier` is needed
+   *  @param amount {Number} - Order amount without the fee, in minor units
+   *  @param currency {String}
+   *  @returns {{feeAmount: Number, feeRule: AppliedFeeRule}}
+   * */
+  async feeFor({ split, owner, amount, currency }) {
+    const feeRule = await this.match({ split, owner, currency });
+
+    return {
+      feeAmount: calcFee(feeRule, amount, currency),
+      feeRule,
+    };
+  }
+
+  /**
+   *  Public fee quote, `OrderDataSource.calcAmount` does the math
+   * */
+  async fee({ split, numSeats }) {
+    const { orders, splits, users } = this.context.dataSources;
+
+    if (!split) {
+      return { rate: SYSTEM_FEE, rule: DEFAULT_FEE_RULE };
+    }
+
+    const splitData = await splits.get(split);
+
+    if (!splitData) {
+      throw new Error('Split not found');
+    }
+
+    const owner = await users.model
+      .findOne({ _id: splitData.user }, 'tier')
+      .lean();
+
+    const { amount, feeAmount, currency, feeRule } = await orders.calcAmount(
+      splitData,
+      numSeats || 1,
+      owner
+    );
+
+    return {
+      rate: feeRule.rate,
+      amount,
+      feeAmount,
+      currency,
+      rule: feeRule,
+    };
+  }
+
+  async create({ rule }) {
+    try {
+      this.checkAdmin();
+
+      const feeRule = await this.model.create(this.validate(rule));
+
+      return {
+        code: 200,
+        success: true,
+        feeRule,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  async update({ _id, rule }) {
+    try {
+      this.checkAdmin();
+
+      const feeRule = await this.model.findOneAndUpdate(
+        { _id },
+        this.validate(rule),
+        { new: true, runValidators: true }
+      );
+
+      if (!feeRule) {
+        throw new Error("Can't find fee rule with provided id");
+      }
+
+      return {
+        code: 200,
+        success: true,
+        feeRule,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  async setOwnerTier({ user, tier }) {
+    try {
+      this.checkAdmin();
+
+      const { n } = await UserModel.updateOne(
+        { _id: user },
+        { tier: tier || null }
+      );
+
+      if (!n) {
+        throw new Error("Can't find User with provided id");
+      }
+
+      return {
+        code: 200,
+        success: true,
+        user,
+        tier: tier || null,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  async delete({ _id }) {
+    try {
+      this.checkAdmin();
+
+      const feeRule = await this.model.findOneAndDelete({ _id });
+
+      if (!feeRule) {
+        throw new Error("Can't find fee rule with provided id");
+      }
+
+      return {
+        code: 200,
+        success: true,
+        feeRule,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+}
+
+const feeRuleDataSource = {
+  feeRules: new FeeRuleDataSource(FeeRuleModel),
+};
+
+const feeRuleResolver = {
+  Fee: {
+    amountDecimal(fee) {
+      return fromMinorUnits(fee.amount, fee.currency);
+    },
+    feeAmountDecimal(fee) {
+      return fromMinorUnits(fee.feeAmount, fee.currency);
+    },
+  },
+  Query: {
+    feeRules(_, args, { dataSources: { feeRules } }) {
+      return feeRules.list(args);
+    },
+    fee(_, args, { dataSources: { feeRules } }) {
+      return feeRules.fee(args);
+    },
+  },
+  Mutation: {
+    createFeeRule(_, args, { dataSources: { feeRules } }) {
+      return feeRules.create(args);
+    },
+    updateFeeRule(_, args, { dataSources: { feeRules } }) {
+      return feeRules.update(args);
+    },
+    deleteFeeRule(_, args, { dataSources: { feeRules } }) {
+      return feeRules.delete(args);
+    },
+    setOwnerTier(_, args, { dataSources: { feeRules } }) {
+      return feeRules.setOwnerTier(args);
+    },
+  },
+};
+
+module.exports = {
+  feeRuleTypes,
+  feeRuleResolver,
+  feeRuleDataSource,
+  AppliedFeeRuleSchema,
+  FeeRuleModel,
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const { IDEMPOTENCY_KEY_TTL, IDEMPOTENCY_LOCK_TIMEOUT } = require('../config');
+
+const IdempotencyKeyStatus = {
+  PENDING: 'pending',
+  COMPLETE: 'complete',
+};
+
+const IdempotencyKeySchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    //  The operation the key was used for, e.g. `getOrderPaymentIntent`
+    operation: {
+      type: String,
+      required: true,
+    },
+    //  Hash of the request params so the same key can't be reused
+    //  for a different request
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(IdempotencyKeyStatus),
+      default: IdempotencyKeyStatus.PENDING,
+    },
+    lockedAt: Date,
+    response: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  }
+);
+
+IdempotencyKeySchema.index({ user: 1, operation: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index(
+  { created_at: 1 },
+  { expireAfterSeconds: IDEMPOTENCY_KEY_TTL }
+);
+
+const IdempotencyKeyModel = mongoose.model(
+  'IdempotencyKey',
+  IdempotencyKeySchema
+);
+
+const isDuplicateKeyError = (e) => e && e.code === 11000;
+
+const hashParams = (params) =>
+  crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex');
+
+/**
+ *  Claims the key for the current request.
+ *
+ *  @returns {Object|null} - stored record if the request was already
+ *    completed, null if the current request owns the key now
+ * */
+async function claim({ key, user, operation, requestHash }) {
+  try {
+    await IdempotencyKeyModel.create({
+      key,
+      user,
+      operation,
+      requestHash,
+      lockedAt: new Date(),
+    });
+    return null;
+  } catch (e) {
+    if (!isDuplicateKeyError(e)) {
+      throw e;
+    }
+  }
+
+  const existing = await IdempotencyKeyModel.findOne({
+    key,
+    user,
+    operation,
+  }).lean();
+
+  //  The other request failed and released the key in the meantime
+  if (!existing) {
+    return await claim({ key, user, operation, requestHash });
+  }
+
+  if (existing.requestHash !== requestHash) {
+    throw new Error('Idempotency key was already used for a different request');
+  }
+
+  if (existing.status === IdempotencyKeyStatus.COMPLETE) {
+    return existing;
+  }
+
+  //  Whoever held the lock most likely crashed, take it over
+  const takenOver = await IdempotencyKeyModel.findOneAndUpdate(
+    {
+      _id: existing._id,
+      status: IdempotencyKeyStatus.PENDING,
+      lockedAt: { $lt: new Date(Date.now() - IDEMPOTENCY_LOCK_TIMEOUT * 1000) },
+    },
+    { lockedAt: new Date() }
+  );
+
+  if (!takenOver) {
+    throw new Error('A request with this idempotency key is still in progress');
+  }
+
+  return null;
+}
+
+/**
+ *  Runs `fn` once per idempotency key. A retried request with the same key
+ *  and the same params gets the stored result of the first one instead.
+ *  If `fn` throws or returns a failed mutation response (`success: false`),
+ *  the key is released so the request can be retried.
+ *
+ *  @param {Object} args
+ *  @param {String} [args.key] - client supplied key, `fn` is just called if empty
+ *  @param {ObjectID} args.user
+ *  @param {String} args.operation
+ *  @param {Object} args.params - request params, must be the same on retries
+ *  @param {Function} [args.serialize] - transforms the result before storing it
+ *  @param {Function} [args.deserialize] - transforms the stored result on retries
+ *  @param {Function} fn
+ * */
+async function withIdempotency(
+  {
+    key,
+    user,
+    operation,
+    params,
+    serialize = (result) => result,
+    deserialize = (stored) => stored,
+  },
+  fn
+) {
+  if (!key) {
+    return await fn();
+  }
+
+  if (typeof key !== 'string' || key.length > 200) {
+    throw new Error('Idempotency key must be a string of 200 characters max');
+  }
+
+  const requestHash = hashParams(params);
+  const existing = await claim({ key, user, operation, requestHash });
+
+  if (existing) {
+    return await deserialize(existing.response);
+  }
+
+  let result;
+
+  try {
+    result = await fn();
+  } catch (e) {
+    await IdempotencyKeyModel.deleteOne({ key, user, operation });
+    throw e;
+  }
+
+  if (result && result.success === false) {
+    await IdempotencyKeyModel.deleteOne({ key, user, operation });
+    return result;
+  }
+
+  await IdempotencyKeyModel.updateOne(
+    { key, user, operation },
+    { status: IdempotencyKeyStatus.COMPLETE, response: serialize(result) }
+  );
+
+  return result;
+}
+
+module.exports = {
+  IdempotencyKeyModel,
+  IdempotencyKeyStatus,
+  isDuplicateKeyError,
+  withIdempotency,
+};
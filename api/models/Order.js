@@ -1,46 +1,283 @@
 const mongoose = require('mongoose');
 const DataLoader = require('dataloader');
+const { DateTime } = require('luxon');
 
 const { BaseDataSource } = require('./BaseDataSource');
 const { StripeService } = require('../services/stripe');
 const { TwilioService } = require('../services/twilio');
-const { StripePaymentStatusType } = require('../services/stripe');
-const { SYSTEM_FEE } = require('../config');
+const {
+  isApiRefund,
+  PayoutMode,
+  StripePaymentStatusType,
+} = require('../services/stripe');
+const {
+  REFUND_RESPONSE_DEADLINE_DAYS,
+  DEFAULT_PAYOUT_MODE,
+  ESCROW_AUTO_RELEASE_DAYS,
+  DEFAULT_CAPTURE_METHOD,
+  AUTHORIZATION_VALID_DAYS,
+  REAUTHORIZATION_MARGIN_HOURS,
+  DELIVERY_CONFIRMATION_DAYS,
+  ORDER_COMPLETION_DAYS,
+  ORDER_DEADLINE_REMINDER_HOURS,
+  SEAT_HOLD_MINUTES,
+  CHECKOUT_SESSION_MINUTES,
+} = require('../config');
+const {
+  fromMinorUnits,
+  getMinimumChargeAmount,
+  isSupportedCurrency,
+  normalizeCurrency,
+  roundMinorUnits,
+  toMinorUnits,
+} = require('../helpers/currency');
+const { isHttpUrl } = require('../helpers/url');
 const { withCache } = require('../services/cache');
-const { UserRole } = require('./User');
-
-const OrderStatusType = {
-  PAYMENT_PENDING: 'payment_pending',
-  PAYMENT_FAILED: 'payment_failed',
-  PAID: 'paid',
-  SYSTEM_CANCELED: 'system_canceled',
-  OWNER_CANCELED: 'owner_canceled',
-  CLIENT_CANCELED: 'client_canceled',
-  REFUND_REQUESTED: 'refund_requested',
-  COMPLETE: 'complete',
-  REFUNDED: 'refunded',
-  SHIPPED: 'shipped',
-  RECEIVED: 'received',
-};
+const { schedule } = require('../services/scheduler');
+const { sendPush } = require('../services/push');
+const { MediaSchema } = require('../share/schemas');
+const { UserModel, UserRole } = require('./User');
+const { isDuplicateKeyError, withIdempotency } = require('./IdempotencyKey');
+const { AppliedFeeRuleSchema } = require('./FeeRule');
+const {
+  ShippingCarrier,
+  ShipmentSchema,
+  getCarrierName,
+  getTrackingUrl,
+  toShipment,
+} = require('./Shipment');
+const {
+  calcDiscount,
+  PromoCodeFunding,
+  PromoCodeTarget,
+} = require('./PromoCode');
+const {
+  OrderStatusType,
+  OrderActor,
+  OrderStatusSource,
+  OrderTransitionError,
+  RefundRequestStatus,
+  seatHoldingStatuses,
+  allowedFromStatuses,
+  assertTransition,
+} = require('./OrderStatus');
 
 const exitableStatuses = [StripePaymentStatusType.CANCELED];
 
-const promotableStatuses = [StripePaymentStatusType.SUCCESS];
+//  The client can order the Split again
+const canceledStatuses = [
+  OrderStatusType.SYSTEM_CANCELED,
+  OrderStatusType.OWNER_CANCELED,
+  OrderStatusType.CLIENT_CANCELED,
+];
+
+//  Canceled, or given back by an earlier attempt to create the Order
+const isSpentPaymentIntent = (paymentIntent) =>
+  paymentIntent.status === StripePaymentStatusType.CANCELED ||
+  (!!paymentIntent.charges &&
+    paymentIntent.charges.data.some((charge) => charge.amount_refunded > 0));
+
+const promotableStatuses = [
+  StripePaymentStatusType.SUCCESS,
+  StripePaymentStatusType.REQUIRE_CAPTURE,
+];
+
+const demotableStatuses = [StripePaymentStatusType.FAILED];
+
+//  `ESCROW` funds are released to the Owner once the Order gets here
+const releaseStatuses = [OrderStatusType.RECEIVED, OrderStatusType.COMPLETE];
+
+/**
+ *  Share of the payment for `numSeats` of the Order's seats, the fee is only
+ *  given back if `refundApplicationFee`.
+ *
+ *  Orders from before the paid seats were kept in the metadata only know
+ *  what's left of the payment and the seats
+ * */
+const seatsRefundAmount = (order, numSeats, refundApplicationFee) => {
+  const { amount, amountRefunded, currency } = order.metadata;
+  const feeAmount = refundApplicationFee ? 0 : order.metadata.feeAmount || 0;
+
+  if (!order.metadata.numSeats) {
+    return roundMinorUnits(
+      ((amount - (amountRefunded || 0) - feeAmount) * numSeats) /
+        order.numSeats,
+      currency
+    );
+  }
+
+  return roundMinorUnits(
+    ((amount - feeAmount) * numSeats) / order.metadata.numSeats,
+    currency
+  );
+};
+
+//  Failed refunds are retried hourly for a day, after that
+//  they're left to support, see `lastError`
+const MAX_REFUND_ATTEMPTS = 24;
+
+/**
+ *  A refund of the Order to store with the change it's for, it's made
+ *  by `settleRefund` once the change is committed
+ *
+ *  @param order {Order} - before its status is changed
+ *  @param refundApplicationFee {Boolean}
+ *  @param amount {Number} - optional, in the smallest unit of the currency
+ * */
+const pendingRefund = (order, refundApplicationFee = false, amount) => ({
+  key: new mongoose.Types.ObjectId().toString(),
+  amount,
+  refundApplicationFee,
+  voidAuthorization: order.status === OrderStatusType.AUTHORIZED,
+  attempts: 0,
+  created_at: new Date(),
+});
+
+//  The transaction can run more than once, it's only added once
+const addPendingRefund = (order, pending) => {
+  order.pendingRefunds = [
+    ...order.pendingRefunds.filter(({ key }) => key !== pending.key),
+    pending,
+  ];
+};
+
+const refundPendingMessage = (error) =>
+  error ? `The refund failed, it will be retried: ${error.message}` : null;
+
+//  `ESCROW` funds are released after `releaseAt` in these statuses,
+//  nothing is released before the Order ships. Refund requests
+//  and cancellations hold them
+const autoReleaseStatuses = [OrderStatusType.SHIPPED, ...releaseStatuses];
 
-const demotableStatuses = [StripePaymentStatusType.PAYMENT_FAILED];
+//  Statuses the client can still change the shipping address in
+const editableStatuses = [
+  OrderStatusType.PAYMENT_PENDING,
+  OrderStatusType.PAYMENT_FAILED,
+  OrderStatusType.AUTHORIZED,
+  OrderStatusType.PAID,
+];
 
 const eventStatusMap = {
   [StripePaymentStatusType.CANCELED]: OrderStatusType.SYSTEM_CANCELED,
   [StripePaymentStatusType.FAILED]: OrderStatusType.PAYMENT_FAILED,
+  [StripePaymentStatusType.REQUIRE_CAPTURE]: OrderStatusType.AUTHORIZED,
   [StripePaymentStatusType.SUCCESS]: OrderStatusType.PAID,
 };
 
+//  When a card authorized now stops being capturable
+const authorizationExpiry = () =>
+  DateTime.now().plus({ days: AUTHORIZATION_VALID_DAYS }).toJSDate();
+
+//  `SHIPPED` and `RECEIVED` Orders move on by themselves after a while,
+//  both parties are reminded before that
+const orderDeadlines = {
+  [OrderStatusType.SHIPPED]: {
+    to: OrderStatusType.RECEIVED,
+    field: 'autoReceiveAt',
+    days: DELIVERY_CONFIRMATION_DAYS,
+    reason: `Not confirmed by the client within ${DELIVERY_CONFIRMATION_DAYS} days`,
+    reminder: (order, date) => ({
+      client: {
+        title: 'Did your order arrive?',
+        body: `Your order of "${order.metadata.splitTitle}" will be marked as received on ${date}. Let the Owner know if something's wrong`,
+      },
+      owner: {
+        title: 'Order delivery',
+        body: `${order.metadata.clientName}'s order of "${order.metadata.splitTitle}" will be marked as received on ${date}`,
+      },
+    }),
+  },
+  [OrderStatusType.RECEIVED]: {
+    to: OrderStatusType.COMPLETE,
+    field: 'autoCompleteAt',
+    days: ORDER_COMPLETION_DAYS,
+    reason: `Completed ${ORDER_COMPLETION_DAYS} days after receiving`,
+    reminder: (order, date) => ({
+      client: {
+        title: 'Your order is almost complete',
+        body: `Your order of "${order.metadata.splitTitle}" will be completed on ${date}`,
+      },
+      owner: {
+        title: 'Order completion',
+        body: `${order.metadata.clientName}'s order of "${order.metadata.splitTitle}" will be completed on ${date}`,
+      },
+    }),
+  },
+};
+
+//  Older Orders don't have the deadline, it counts from the last update
+const deadlineOf = (order, { field, days }) =>
+  order[field]
+    ? DateTime.fromJSDate(order[field])
+    : DateTime.fromJSDate(order.updated_at).plus({ days });
+
 const orderTypes = /*gql*/ `
 
   enum OrderStatusType {
     ${Object.keys(OrderStatusType).join('\n')}
   }
 
+  enum OrderActor {
+    ${Object.keys(OrderActor).join('\n')}
+  }
+
+  enum OrderStatusSource {
+    ${Object.keys(OrderStatusSource).join('\n')}
+  }
+
+  enum RefundRequestStatus {
+    ${Object.keys(RefundRequestStatus).join('\n')}
+  }
+
+  enum ShippingCarrier {
+    ${Object.keys(ShippingCarrier).join('\n')}
+  }
+
+  "Tracking details the Owner entered when shipping the Order"
+  type Shipment {
+    carrier: ShippingCarrier
+    "Carrier name to show, \`carrier\` itself unless it's \`OTHER\`"
+    carrierName: String
+    trackingNumber: String
+    "Carrier's tracking page"
+    trackingUrl: String
+    estimatedDelivery: DateTime
+    shipped_at: DateTime
+  }
+
+  "Reported by the Client, stops the Order from being marked as received automatically"
+  type DeliveryProblem {
+    reason: String
+    reported_at: DateTime
+  }
+
+  type RefundRequest {
+    status: RefundRequestStatus
+    reason: String
+    photos: [PostMedia]
+    requested_at: DateTime
+    "The Owner has to respond until then, otherwise it goes to admins"
+    deadline: DateTime
+    responded_at: DateTime
+    rejectReason: String
+    escalated_at: DateTime
+  }
+
+  "A single status change of an Order"
+  type OrderHistoryEntry {
+    "Empty for the Order creation"
+    from: OrderStatusType
+    to: OrderStatusType
+    actor: OrderActor
+    "Who did it, empty for system changes"
+    user: User
+    source: OrderStatusSource
+    reason: String
+    "Stripe event id if it was changed by a webhook"
+    eventId: String
+    created_at: DateTime
+  }
+
   """
   This object type is about metadata that doesn't change and can be cached
   to avoid getting into multiple nested resolvers to get, speeds up things
@@ -54,8 +291,29 @@ const orderTypes = /*gql*/ `
     splitTitle: String
     splitDescription: String
     splitPicture: String
+    "Total charged, in the smallest unit of \`currency\` (cents for USD, yen for JPY)"
     amount: Float
+    "Platform fee, in the smallest unit of \`currency\`"
     feeAmount: Float
+    "Refunded so far, in the smallest unit of \`currency\`"
+    amountRefunded: Float
+    "Seats paid for, \`numSeats\` goes down when some are cancelled"
+    numSeats: Int
+    "ISO currency code, lowercase"
+    currency: String
+    "\`amount\` in major units, e.g. dollars, use it for displaying"
+    amountDecimal: Float
+    "\`feeAmount\` in major units"
+    feeAmountDecimal: Float
+    "\`amountRefunded\` in major units"
+    amountRefundedDecimal: Float
+    "Promo code the client used"
+    promoCode: String
+    promoFundedBy: PromoCodeFunding
+    "Promo code discount, already deducted from \`amount\`, in the smallest unit of \`currency\`"
+    discountAmount: Float
+    "\`discountAmount\` in major units"
+    discountAmountDecimal: Float
   }
 
   type PaymentSheet {
@@ -64,11 +322,43 @@ const orderTypes = /*gql*/ `
     stripe_publickey: String
   }
 
+  "Stripe Checkout for web clients. The Order is created once the client pays, look for it in \`myOrders\`"
+  type OrderCheckoutSessionResponse {
+    "Stripe Checkout Session ID"
+    checkoutSessionId: String
+    "Stripe hosted payment page, redirect the client there"
+    url: String
+    paymentIntentId: String
+    "In the smallest unit of \`currency\`"
+    amount: Int
+    feeAmount: Int
+    currency: String
+    feeRule: AppliedFeeRule
+    "Promo code discount, already deducted from \`amount\`"
+    discountAmount: Int
+    promoCode: String
+    "The session can't be paid afterwards"
+    expiresAt: DateTime
+    seatHoldExpiresAt: DateTime
+  }
+
   type OrderPaymentIntentResponse {
     "Payment intent ID"
     paymentIntentId: String
+    "In the smallest unit of \`currency\`"
     amount: Int
     feeAmount: Int
+    currency: String
+    feeRule: AppliedFeeRule
+    "Promo code discount, already deducted from \`amount\`"
+    discountAmount: Int
+    promoCode: String
+    "Only \`requires_action\` needs the client, when paying with a saved card"
+    status: StripePaymentStatus
+    "The user's default card to offer instead of the PaymentSheet"
+    defaultPaymentMethod: StripePaymentMethod
+    "The seats are held until then, \`createOrder\` fails afterwards"
+    seatHoldExpiresAt: DateTime
     paymentSheet: PaymentSheet
   }
 
@@ -88,6 +378,26 @@ const orderTypes = /*gql*/ `
     "Stripe technical info. If possible, avoid requesting this for performance reasons :) If anything is needeed frequently, let's add it to metadata"
     paymentMethod: StripePaymentMethod
     refunded: Boolean
+    "Status changes timeline, oldest first"
+    history: [OrderHistoryEntry]
+    "The latest refund request by the Client"
+    refundRequest: RefundRequest
+    payoutMode: PayoutMode
+    "\`ESCROW\` only. When the funds are released to the Owner if the Order is not received by then"
+    releaseAt: DateTime
+    "\`ESCROW\` only. When the funds were released to the Owner"
+    transferredAt: DateTime
+    "\`AUTHORIZED\` only. The card is authorized again with the saved card before this"
+    authorizationExpiresAt: DateTime
+    "\`SHIPPED\` only. The Order is marked as received then unless the Client reports a delivery problem"
+    autoReceiveAt: DateTime
+    "\`RECEIVED\` only. The Order is completed then"
+    autoCompleteAt: DateTime
+    deliveryProblem: DeliveryProblem
+    "The fee rule \`metadata.feeAmount\` was calculated with"
+    feeRule: AppliedFeeRule
+    "Set once the Order is shipped, if the Owner entered tracking details"
+    shipment: Shipment
     created_at: DateTime
     updated_at: DateTime
   }
@@ -104,6 +414,27 @@ const orderTypes = /*gql*/ `
   input GetOrderPaymentIntentInput {
     split: ObjectID!
     numSeats: Int!
+    "Case insensitive. The Order gets the discount as well, no need to send it again"
+    promoCode: String
+    "Saved card to pay with, see \`myPaymentMethods\`. The paymentIntent is confirmed right away"
+    paymentMethod: String
+    "Client generated unique key, e.g. UUID. Retrying with the same key returns the same paymentIntent instead of creating a new one"
+    idempotencyKey: String
+  }
+
+  input GetOrderCheckoutSessionInput {
+    split: ObjectID!
+    numSeats: Int!
+    "The Order is shipped here, there's no \`createOrder\` call to send it with"
+    shippingAddress: ObjectID!
+    "Case insensitive"
+    promoCode: String
+    "Where Stripe sends the client after paying. \`{CHECKOUT_SESSION_ID}\` in it is replaced with the session id"
+    successUrl: String!
+    "Where Stripe sends the client if they go back"
+    cancelUrl: String!
+    "Client generated unique key, e.g. UUID. Retrying with the same key returns the same session instead of creating a new one"
+    idempotencyKey: String
   }
 
   input CreateOrderInput {
@@ -111,12 +442,57 @@ const orderTypes = /*gql*/ `
     numSeats: Int!
     shippingAddress: ObjectID!
     paymentIntent: String!
+    "Client generated unique key, e.g. UUID. Retrying with the same key returns the original response"
+    idempotencyKey: String
+  }
+
+  input RequestRefundInput {
+    reason: String!
+    photos: [PostMediaInput]
   }
 
   input UpdateOrderInput {
     shippingAddress: ObjectID
   }
 
+  input ShipmentInput {
+    carrier: ShippingCarrier!
+    "Required for \`OTHER\` carriers"
+    carrierName: String
+    trackingNumber: String!
+    "\`OTHER\` carriers only, the rest is built from \`trackingNumber\`"
+    trackingUrl: String
+    estimatedDelivery: DateTime
+  }
+
+  input OrderShipmentInput {
+    order: ObjectID!
+    shipment: ShipmentInput!
+  }
+
+  type OrderShipmentError {
+    order: ObjectID
+    message: String
+  }
+
+  type MarkSplitShippedResponse implements MutationResponse {
+    code: String!
+    success: Boolean!
+    message: String
+    "Orders that were shipped"
+    orders: [Order]
+    "Orders that couldn't be shipped and why, the rest are shipped anyway"
+    errors: [OrderShipmentError]
+  }
+
+  type OwnerPayoutModeResponse implements MutationResponse {
+    code: String!
+    success: Boolean!
+    message: String
+    user: ObjectID
+    payoutMode: PayoutMode
+  }
+
   type CreateOrderResponse implements MutationResponse {
     code: String!
     success: Boolean!
@@ -130,9 +506,13 @@ const orderTypes = /*gql*/ `
   extend type Query {
     "Get payment intent information necessary to perform a Stripe payment for the order configuration"
     getOrderPaymentIntent(order: GetOrderPaymentIntentInput!): OrderPaymentIntentResponse
+    "Same as \`getOrderPaymentIntent\`, but pays on a Stripe hosted page for web clients"
+    getOrderCheckoutSession(order: GetOrderCheckoutSessionInput!): OrderCheckoutSessionResponse
     order(_id:ObjectID!):Order
     orders(query: OrderQuery,limit: Int, skip: Int, sort: SplitSort): [Order]
     myOrders:[Order]
+    "Orders with refund requests. Admins get the escalated ones by default, Owners get the ones for their Splits"
+    refundRequests(status: RefundRequestStatus, limit: Int, skip: Int): [Order]
   }
 
   extend type Mutation {
@@ -152,11 +532,36 @@ const orderTypes = /*gql*/ `
     cancelOrderOwner(split: ObjectID!, client: ObjectID!): CreateOrderResponse
     "As a Client, cancel the order and exit the Split Room"
     cancelOrderClient(split: ObjectID!): CreateOrderResponse
-
-    "As an owner, mark order as shipped"
-    markOrderShipped(_id: ObjectID!): CreateOrderResponse
+    """
+      As a Client or an Owner, cancel \`numSeats\` of the Order's seats and refund their share.
+      The application fee is refunded only if the Owner cancels, same as with full cancellations.
+      Use \`cancelOrderOwner\` or \`cancelOrderClient\` to cancel all of them
+    """
+    cancelOrderSeats(_id: ObjectID!, numSeats: Int!): CreateOrderResponse
+
+    "As a Client, request a refund for a received Order"
+    requestRefund(_id: ObjectID!, refund: RequestRefundInput!): CreateOrderResponse
+    "As an Owner or an admin, approve the Client's refund request. Application fee is not refunded"
+    confirmRefund(_id: ObjectID!): CreateOrderResponse
+    "As an Owner or an admin, reject the Client's refund request"
+    rejectRefund(_id: ObjectID!, reason: String): CreateOrderResponse
+
+    "As an owner, mark order as shipped. The Client gets a message in the Split Room"
+    markOrderShipped(_id: ObjectID!, shipment: ShipmentInput): CreateOrderResponse
+    "As an owner, ship the Split's Orders at once, each with its own tracking details"
+    markSplitShipped(split: ObjectID!, shipments: [OrderShipmentInput!]!): MarkSplitShippedResponse
     "As a client, mark order as received"
     markOrderReceived(_id: ObjectID!): CreateOrderResponse
+    "As a client, report that a shipped order didn't arrive or arrived damaged"
+    reportDeliveryProblem(_id: ObjectID!, reason: String!): CreateOrderResponse
+    "As the owner or an admin, clear a delivery problem. The Client gets a new window to confirm the delivery"
+    resolveDeliveryProblem(_id: ObjectID!): CreateOrderResponse
+
+    """
+      Admin only. How the Owner is paid for Orders of Splits that don't set \`payoutMode\`.
+      Empty goes back to the default
+    """
+    setOwnerPayoutMode(user: ObjectID!, payoutMode: PayoutMode): OwnerPayoutModeResponse
   }
 `;
 
@@ -168,8 +573,105 @@ const OrderMetadataSchema = mongoose.Schema({
   splitPicture: String,
   amount: Number,
   feeAmount: Number,
+  amountRefunded: Number,
+  numSeats: Number,
+  currency: String,
+  promoCode: String,
+  promoFundedBy: {
+    type: String,
+    enum: [...Object.values(PromoCodeFunding), null],
+  },
+  discountAmount: Number,
+});
+
+const OrderHistoryEntrySchema = mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...Object.values(OrderStatusType), null],
+  },
+  to: {
+    type: String,
+    required: true,
+    enum: Object.values(OrderStatusType),
+  },
+  actor: {
+    type: String,
+    enum: Object.values(OrderActor),
+  },
+  user: {
+    type: mongoose.Types.ObjectId,
+    ref: 'User',
+  },
+  source: {
+    type: String,
+    enum: Object.values(OrderStatusSource),
+  },
+  reason: String,
+  eventId: String,
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const DeliveryProblemSchema = mongoose.Schema({
+  reason: String,
+  reported_at: Date,
+});
+
+const RefundRequestSchema = mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(RefundRequestStatus),
+  },
+  reason: String,
+  photos: [MediaSchema],
+  //  Where the Order goes back if the request is rejected
+  previousStatus: {
+    type: String,
+    enum: Object.values(OrderStatusType),
+  },
+  requested_at: Date,
+  deadline: {
+    type: Date,
+    index: true,
+  },
+  responded_at: Date,
+  respondedBy: {
+    type: mongoose.Types.ObjectId,
+    ref: 'User',
+  },
+  rejectReason: String,
+  escalated_at: Date,
 });
 
+//  A refund owed to the client, made once the change it's for is committed.
+//  Kept until Stripe takes it, see `settleRefund`
+const PendingRefundSchema = mongoose.Schema(
+  {
+    //  Part of the refund's idempotency key
+    key: {
+      type: String,
+      required: true,
+    },
+    //  The whole payment if not set
+    amount: Number,
+    refundApplicationFee: Boolean,
+    //  The Order was `AUTHORIZED`, the authorization is voided instead
+    voidAuthorization: Boolean,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const OrderSchema = mongoose.Schema(
   {
     client: {
@@ -193,6 +695,8 @@ const OrderSchema = mongoose.Schema(
       index: true,
       enum: Object.values(OrderStatusType),
     },
+    //  Not in `canceledStatuses`, kept in sync with `status` on save
+    open: Boolean,
     numSeats: {
       type: Number,
       required: true,
@@ -205,7 +709,9 @@ const OrderSchema = mongoose.Schema(
     paymentIntent: {
       type: String,
       required: true,
-      index: true,
+      //  One paymentIntent can't be used by multiple Orders,
+      //  the check in `create` alone is racy
+      unique: true,
     },
     paymentMethod: {
       type: String,
@@ -214,6 +720,51 @@ const OrderSchema = mongoose.Schema(
     },
     metadata: OrderMetadataSchema,
     refunded: Boolean,
+    history: [OrderHistoryEntrySchema],
+    refundRequest: RefundRequestSchema,
+    payoutMode: {
+      type: String,
+      enum: Object.values(PayoutMode),
+      default: PayoutMode.DIRECT,
+    },
+    //  `ESCROW` only, Stripe transfer to the Owner
+    transfer: String,
+    transferredAt: Date,
+    releaseAt: {
+      type: Date,
+      index: true,
+    },
+    authorizationExpiresAt: {
+      type: Date,
+      index: true,
+    },
+    //  See `orderDeadlines`
+    autoReceiveAt: {
+      type: Date,
+      index: true,
+    },
+    autoCompleteAt: {
+      type: Date,
+      index: true,
+    },
+    //  Statuses whose deadline reminder was sent
+    remindersSent: [String],
+    deliveryProblem: DeliveryProblemSchema,
+    //  See `models/Receipt`, set when the receipt is first requested
+    receiptNumber: {
+      type: Number,
+      unique: true,
+      sparse: true,
+    },
+    feeRule: AppliedFeeRuleSchema,
+    shipment: ShipmentSchema,
+    //  Expired authorizations replaced with `paymentIntent`,
+    //  their webhooks don't concern the Order anymore
+    replacedPaymentIntents: {
+      type: [String],
+      index: true,
+    },
+    pendingRefunds: [PendingRefundSchema],
   },
   {
     timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
@@ -221,8 +772,42 @@ const OrderSchema = mongoose.Schema(
   }
 );
 
+//  A client can only have one open Order per Split,
+//  the check in `createOrder` alone is racy. Orders from before
+//  `open` get it from `migrations/order-open`
+OrderSchema.index(
+  { split: 1, client: 1 },
+  { unique: true, partialFilterExpression: { open: true } }
+);
+
+//  Illegal transitions get a distinct response code
+const errorCode = (e) => (e instanceof OrderTransitionError ? e.code : 501);
+
+//  Status of an existing Order can only be changed through
+//  `OrderDataSource.transition`, which checks the transition table
+OrderSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified('status') && !this.$locals.transition) {
+    return next(
+      new OrderTransitionError(
+        `Order status can't be changed to ${this.status} directly`
+      )
+    );
+  }
+  this.$locals.transition = null;
+  this.open = !canceledStatuses.includes(this.status);
+  next();
+});
+
 const OrderModel = mongoose.model('Order', OrderSchema);
 
+//  Owner's default for their Splits, see `setOwnerPayoutMode`
+UserModel.schema.add({
+  payoutMode: {
+    type: String,
+    enum: [...Object.values(PayoutMode), null],
+  },
+});
+
 class OrderDataSource extends BaseDataSource {
   initialize(config) {
     this.stripeService = new StripeService();
@@ -244,9 +829,16 @@ class OrderDataSource extends BaseDataSource {
   }
 
   async getOrder({ _id }) {
+    const { user } = this.context;
+
+    if (user.role === UserRole.ADMIN) {
+      return await this.model.findOne({ _id });
+    }
+
+    //  Both parties can see the Order
     return await this.model.findOne({
       _id: _id,
-      client: this.context.user._id,
+      $or: [{ client: user._id }, { owner: user._id }],
     });
   }
 
@@ -285,57 +877,313 @@ class OrderDataSource extends BaseDataSource {
     ]);
   }
 
-  async create({ order }) {
-    const session = await mongoose.connection.startSession();
+  /**
+   *  Order history entry for the status change
+   * */
+  historyEntry({ from = null, to, actor, source, reason, eventId }) {
+    const { user } = this.context;
 
-    let paymentIntent;
+    return {
+      from,
+      to,
+      actor,
+      user: actor !== OrderActor.SYSTEM && user ? user._id : null,
+      source:
+        source ||
+        (actor === OrderActor.ADMIN
+          ? OrderStatusSource.ADMIN
+          : OrderStatusSource.MUTATION),
+      reason,
+      eventId,
+      created_at: new Date(),
+    };
+  }
+
+  /**
+   *  The only way to change the status of an existing Order.
+   *  Throws `OrderTransitionError` for anything that is not
+   *  in the transition table of `./OrderStatus`
+   *
+   *  @param order {Order} - mongoose document
+   *  @param to {OrderStatusType}
+   *  @param options {Object}
+   *  @param options.actor {OrderActor}
+   *  @param options.session {Mongoose.Session}
+   *  @param options.source {OrderStatusSource} - defaults to `mutation` or `admin`
+   *  @param options.reason {String}
+   *  @param options.eventId {String} - Stripe event id
+   *  @returns {Promise<Order>}
+   * */
+  async transition(
+    order,
+    to,
+    { actor, session, source, reason, eventId } = {}
+  ) {
+    assertTransition(order, to, { actor, user: this.context.user });
+
+    order.history.push(
+      this.historyEntry({
+        from: order.status,
+        to,
+        actor,
+        source,
+        reason,
+        eventId,
+      })
+    );
+    order.status = to;
+    order.$locals.transition = { actor };
+
+    if (to === OrderStatusType.AUTHORIZED) {
+      order.authorizationExpiresAt = authorizationExpiry();
+    }
+
+    //  Back from a rejected refund request keeps the deadline it had
+    const deadline = orderDeadlines[to];
+    if (deadline && !order[deadline.field]) {
+      order[deadline.field] = DateTime.now()
+        .plus({ days: deadline.days })
+        .toJSDate();
+    }
+
+    await order.save({ session });
+
+    //  A transfer can't be rolled back with the status, inside
+    //  a transaction it's left to `releaseEscrowFunds`
+    if (releaseStatuses.includes(to) && !session) {
+      //  The scheduler will try again if this fails
+      await this.releaseFunds(order).catch((e) => {
+        console.error(`Error releasing funds of Order ${order._id}`);
+        console.error(e);
+      });
+    }
+
+    return order;
+  }
+
+  /**
+   *  Pays the Owner of an `ESCROW` Order their share, does nothing otherwise.
+   *
+   *  The Owner gets the amount without the fee, reduced proportionally
+   *  by whatever was refunded already
+   * */
+  async releaseFunds(order) {
+    if (order.payoutMode !== PayoutMode.ESCROW || order.transfer) {
+      return order;
+    }
+
+    const { amount, feeAmount, amountRefunded, currency } = order.metadata;
+    const transferAmount = roundMinorUnits(
+      ((amount - feeAmount) * (amount - (amountRefunded || 0))) / amount,
+      currency
+    );
+
+    if (transferAmount <= 0) {
+      return order;
+    }
+
+    const owner = await UserModel.findOne(
+      { _id: order.owner },
+      'stripeAccountId'
+    ).lean();
+
+    if (!owner || !owner.stripeAccountId) {
+      throw new Error("Order's Owner doesn't have a Stripe account");
+    }
+
+    const transfer = await this.stripeService.createTransfer({
+      piid: order.paymentIntent,
+      destination: owner.stripeAccountId,
+      amount: transferAmount,
+      transferGroup: `split_${order.split}`,
+      idempotencyKey: `order_${order._id}_release`,
+    });
+
+    //  Not a status change, no need to go through `transition`
+    await this.model.updateOne(
+      { _id: order._id },
+      { transfer: transfer.id, transferredAt: new Date() }
+    );
+
+    order.transfer = transfer.id;
+    order.transferredAt = new Date();
+
+    return order;
+  }
+
+  /**
+   *  `ESCROW` funds of received Orders, or the ones waiting
+   *  for longer than `ESCROW_AUTO_RELEASE_DAYS`
+   * */
+  async releaseEscrowFunds() {
+    this.initialize();
 
     try {
-      //  Should not be able to use the same paymentIntent to create an order twice
-      //  Should not be able to create multiple orders with the same client
-      const existingOrder = await this.model.findOne({
+      const orders = await this.model.find({
+        payoutMode: PayoutMode.ESCROW,
+        transfer: null,
+        refunded: { $ne: true },
         $or: [
-          { paymentIntent: order.paymentIntent },
+          { status: { $in: releaseStatuses } },
           {
-            split: order.split,
-            client: this.context.user._id,
-            status: {
-              $nin: [
-                OrderStatusType.SYSTEM_CANCELED,
-                OrderStatusType.OWNER_CANCELED,
-                OrderStatusType.CLIENT_CANCELED,
-              ],
-            },
+            status: { $in: autoReleaseStatuses },
+            releaseAt: { $lte: new Date() },
           },
         ],
       });
 
-      if (existingOrder) {
-        throw new Error(
-          'This User already ordered this Split or paymentIntent already used'
-        );
+      const results = await Promise.allSettled(
+        orders.map((order) => this.releaseFunds(order))
+      );
+
+      results
+        .filter((r) => r.status === 'rejected')
+        .forEach((r) => console.error(r.reason));
+    } catch (e) {
+      console.error('Error while releasing escrow funds');
+      console.error(e);
+    }
+  }
+
+  async create({ order: { idempotencyKey, ...order } }) {
+    const { conversations } = this.context.dataSources;
+
+    return await withIdempotency(
+      {
+        key: idempotencyKey,
+        user: this.context.user._id,
+        operation: 'createOrder',
+        params: order,
+        //  Don't store whole documents, they might change until the retry
+        serialize: (response) => ({
+          ...response,
+          order: response.order ? response.order._id : null,
+          conversation: null,
+        }),
+        deserialize: async (response) => ({
+          ...response,
+          order: response.order
+            ? await this.model.findById(response.order)
+            : null,
+          conversation: response.order
+            ? await conversations.model.findOne({ split: order.split })
+            : null,
+        }),
+      },
+      () => this.createOrder(order)
+    );
+  }
+
+  /**
+   *  Response for a request that tries to create an Order for
+   *  a paymentIntent that already has one. Retries must not refund it.
+   *
+   *  @param paymentIntent {String}
+   *  @param client {ObjectID} - who the Order is created for
+   * */
+  async existingOrderResponse(paymentIntent, client = this.context.user._id) {
+    const { conversations } = this.context.dataSources;
+
+    const existingOrder = await this.model.findOne({ paymentIntent });
+
+    if (!existingOrder) {
+      return null;
+    }
+
+    if (existingOrder.client.toString() !== client.toString()) {
+      return {
+        code: 409,
+        success: false,
+        message: 'paymentIntent already used',
+      };
+    }
+
+    return {
+      code: 200,
+      success: true,
+      order: existingOrder,
+      conversation: await conversations.model.findOne({
+        split: existingOrder.split,
+      }),
+    };
+  }
+
+  /**
+   *  @param order {CreateOrderInput}
+   *  @param options {Object}
+   *  @param options.client {ObjectID} - the current user by default,
+   *    given by webhooks that don't have one
+   *  @param options.source {OrderStatusSource} - for the Order history
+   * */
+  async createOrder(
+    order,
+    { client: clientId = this.context.user._id, source } = {}
+  ) {
+    const { seatHolds } = this.context.dataSources;
+    const session = await mongoose.connection.startSession();
+
+    let paymentIntent;
+    let hold;
+
+    try {
+      //  Should not be able to use the same paymentIntent to create an order twice,
+      //  it's most likely a retry so just return the Order
+      const existingResponse = await this.existingOrderResponse(
+        order.paymentIntent,
+        clientId
+      );
+
+      if (existingResponse) {
+        return existingResponse;
       }
 
-      paymentIntent = await this.stripeService.getPaymentIntent(
+      const fetchedPaymentIntent = await this.stripeService.getPaymentIntent(
         order.paymentIntent
       );
 
-      if (!paymentIntent) {
+      if (!fetchedPaymentIntent) {
         throw new Error("Can't find a paymentIntent with specified ID");
       }
 
+      //  Before it's assigned, so it isn't refunded or canceled again below
+      if (isSpentPaymentIntent(fetchedPaymentIntent)) {
+        throw new Error(
+          'paymentIntent was canceled or refunded, please pay again'
+        );
+      }
+
+      paymentIntent = fetchedPaymentIntent;
+
+      //  Should not be able to create multiple orders with the same client
+      const existingOrder = await this.model.findOne({
+        split: order.split,
+        client: clientId,
+        status: { $nin: canceledStatuses },
+      });
+
+      if (existingOrder) {
+        throw new Error('This User already ordered this Split');
+      }
+
       const split = await this.context.dataSources.splits.get(order.split);
 
       if (!split) {
         throw new Error("Can't find a Split with specified ID");
       }
 
-      if (split.placesLeft < order.numSeats) {
+      if (paymentIntent.currency !== normalizeCurrency(split.currency)) {
+        throw new Error("paymentIntent currency doesn't match Split currency");
+      }
+
+      //  Seats held by `getOrderPaymentIntent` are already taken out
+      hold = await seatHolds.findActive(paymentIntent.id, clientId);
+
+      if (split.placesLeft + (hold ? hold.numSeats : 0) < order.numSeats) {
         throw new Error("Can't order this many seats");
       }
 
       const [client, owner] = await Promise.all([
-        this.context.dataSources.users.get(this.context.user._id),
+        this.context.dataSources.users.get(clientId),
         this.context.dataSources.users.get(split.user),
       ]);
 
@@ -351,10 +1199,35 @@ class OrderDataSource extends BaseDataSource {
         );
       }
 
-      const { amount, feeAmount } = this.calcAmount(split, order.numSeats);
+      const { promoCodes } = this.context.dataSources;
+
+      let promoCode = null;
+
+      //  Set by `prepareCheckout`, the client can't change it
+      if (paymentIntent.metadata && paymentIntent.metadata.promoCode) {
+        promoCode = await promoCodes.findApplied(paymentIntent.metadata);
+      }
+
+      const {
+        amount,
+        feeAmount,
+        currency,
+        feeRule,
+        discountAmount,
+        promoFundedBy,
+      } = await this.calcAmount(split, order.numSeats, owner, promoCode);
+
+      //  Fee rules or the price might have changed since, or the paymentIntent
+      //  was issued for a different number of seats
+      if (paymentIntent.amount !== amount) {
+        throw new Error(
+          "paymentIntent amount doesn't match the Order, please try again"
+        );
+      }
 
       order.owner = owner._id;
       order.client = client._id;
+      order.feeRule = feeRule;
       order.paymentMethod = paymentIntent.payment_method || 'pending';
 
       if (Object.keys(eventStatusMap).includes(paymentIntent.status)) {
@@ -363,6 +1236,29 @@ class OrderDataSource extends BaseDataSource {
         order.status = OrderStatusType.PAYMENT_PENDING;
       }
 
+      if (order.status === OrderStatusType.AUTHORIZED) {
+        order.authorizationExpiresAt = authorizationExpiry();
+      }
+
+      //  Whatever the paymentIntent was created with
+      if (paymentIntent.transfer_data) {
+        order.payoutMode = PayoutMode.DIRECT;
+      } else {
+        order.payoutMode = PayoutMode.ESCROW;
+        order.releaseAt = DateTime.now()
+          .plus({ days: ESCROW_AUTO_RELEASE_DAYS })
+          .toJSDate();
+      }
+
+      order.history = [
+        this.historyEntry({
+          to: order.status,
+          actor: OrderActor.CLIENT,
+          source,
+          reason: 'Order created',
+        }),
+      ];
+
       order.metadata = {
         clientName: client.fullname,
         ownerName: owner.fullname,
@@ -372,17 +1268,38 @@ class OrderDataSource extends BaseDataSource {
           split.media && split.media.length ? split.media[0].src : null,
         amount,
         feeAmount,
+        numSeats: order.numSeats,
+        currency,
+        promoCode: promoCode ? promoCode.code : null,
+        promoFundedBy,
+        discountAmount,
       };
 
       let newOrder;
 
-      const { splits, conversations } = this.context.dataSources;
+      const { splits, conversations, waitlists } = this.context.dataSources;
 
       await session.withTransaction(async () => {
+        if (promoCode) {
+          await promoCodes.redeem(promoCode, session);
+        }
+
         //  Create the order
         newOrder = await this.model.create([order], { session });
-        //  Yurii: I want TypeScript here :'c
-        let role = 'readonly';
+
+        //  Gives the held seats back right before `splits.join` takes them
+        if (hold) {
+          await seatHolds.convert(hold, newOrder[0]._id, session);
+        }
+
+        await waitlists.fulfil({
+          split: order.split,
+          user: client._id,
+          session,
+        });
+
+        //  Yurii: I want TypeScript here :'c
+        let role = 'readonly';
         //  Join the Split if Order is already paid
         if (promotableStatuses.includes(paymentIntent.status)) {
           role = 'full';
@@ -406,6 +1323,35 @@ class OrderDataSource extends BaseDataSource {
         conversation: conversation,
       };
     } catch (e) {
+      let { message } = e;
+
+      if (isDuplicateKeyError(e)) {
+        //  A concurrent request created the Order for this paymentIntent first
+        const existingResponse = await this.existingOrderResponse(
+          order.paymentIntent,
+          clientId
+        );
+
+        if (existingResponse) {
+          return existingResponse;
+        }
+
+        //  Or the client ordered the Split with another paymentIntent
+        message = 'This User already ordered this Split';
+      }
+
+      if (!paymentIntent) {
+        return {
+          code: 501,
+          success: false,
+          message,
+        };
+      }
+
+      if (hold) {
+        await seatHolds.release(hold);
+      }
+
       //  Error happened so we should immediately refund the paymentIntent
       //  together with the fee
       if (paymentIntent.status === StripePaymentStatusType.SUCCESS) {
@@ -417,7 +1363,7 @@ class OrderDataSource extends BaseDataSource {
       return {
         code: 501,
         success: false,
-        message: e.message,
+        message,
         paymentIntent: paymentIntent.client_secret,
       };
     } finally {
@@ -425,55 +1371,170 @@ class OrderDataSource extends BaseDataSource {
     }
   }
 
-  async getPaymentIntent({ order: { split, numSeats } }) {
-    try {
-      if (!numSeats || numSeats <= 0) {
-        throw new Error(
-          'Invalid input for `numSeats`, must be a positive non-zero number'
-        );
-      }
+  async getPaymentIntent({ order: { idempotencyKey, ...order } }) {
+    return await withIdempotency(
+      {
+        key: idempotencyKey,
+        user: this.context.user._id,
+        operation: 'getOrderPaymentIntent',
+        params: order,
+      },
+      () => this.createPaymentIntent(order, idempotencyKey)
+    );
+  }
 
-      const splitData = await this.context.dataSources.splits.get(split);
+  /**
+   *  Checks the order configuration and prices it, the same for
+   *  PaymentSheet and Checkout payments
+   *
+   *  @param split {ObjectID}
+   *  @param numSeats {Number}
+   *  @param promoCode {String} - optional
+   *  @returns {Promise<{splitData: Split, promoCodeData: PromoCode, amounts: Object, paymentData: Object}>}
+   *    `paymentData` is what `StripeService` needs for the paymentIntent
+   * */
+  async prepareCheckout({ split, numSeats, promoCode }) {
+    const { seatHolds } = this.context.dataSources;
 
-      if (!splitData) {
-        throw new Error('Split not found');
-      }
+    if (!numSeats || numSeats <= 0) {
+      throw new Error(
+        'Invalid input for `numSeats`, must be a positive non-zero number'
+      );
+    }
 
-      //  Before we proceed any further, we need to check if this thing even has
-      //  seats left
-      if (splitData.placesLeft < numSeats) {
-        throw new Error("Can't order this many seats");
-      }
+    const splitData = await this.context.dataSources.splits.get(split);
+
+    if (!splitData) {
+      throw new Error('Split not found');
+    }
+
+    //  Before we proceed any further, we need to check if this thing even has
+    //  seats left. Seats already held for the user, e.g. by a previous
+    //  paymentIntent or a waitlist offer, are given up for the new hold
+    const heldByMe = await seatHolds.heldByMe(split);
+
+    if (splitData.placesLeft + heldByMe < numSeats) {
+      throw new Error("Can't order this many seats");
+    }
+
+    //  Lean, `payoutMode` and `tier` are added to the User schema
+    //  by the modules using them
+    const splitOwner = await this.context.dataSources.users.model
+      .findOne({ _id: splitData.user }, 'stripeAccountId payoutMode tier')
+      .lean();
+
+    //  Kept up to date by `account.updated` webhooks
+    if (
+      !(await this.context.dataSources.stripeAccounts.chargesEnabled(
+        splitData.user
+      ))
+    ) {
+      throw new Error('Stripe account is not set up or charges are disabled');
+    }
+
+    let promoCodeData = null;
 
-      const splitOwner = await this.context.dataSources.users.model.findOne(
-        { _id: splitData.user },
-        'stripeAccountId stripeChargesEnabled'
+    if (promoCode) {
+      promoCodeData = await this.context.dataSources.promoCodes.findValid({
+        code: promoCode,
+        split: splitData,
+      });
+    }
+
+    const amounts = await this.calcAmount(
+      splitData,
+      numSeats,
+      splitOwner,
+      promoCodeData
+    );
+    const { amount, feeAmount, currency } = amounts;
+
+    if (amount < getMinimumChargeAmount(currency)) {
+      throw new Error(
+        `Order amount is below the minimum charge for ${currency.toUpperCase()}`
       );
+    }
+
+    let metadata;
+
+    //  `createOrder` applies the same discount from here, string values only
+    if (promoCodeData) {
+      metadata = {
+        promoCode: promoCodeData.code,
+        promoFundedBy: amounts.promoFundedBy,
+        discountAmount: String(amounts.discountAmount),
+      };
+    }
+
+    const paymentData = {
+      customer: this.context.user.stripeCustomerId,
+      destination: splitOwner.stripeAccountId,
+      amount,
+      feeAmount,
+      currency,
+      //  Split setting wins over the Owner's one
+      payoutMode:
+        splitData.payoutMode || splitOwner.payoutMode || DEFAULT_PAYOUT_MODE,
+      transferGroup: `split_${splitData._id}`,
+      captureMethod: splitData.captureMethod || DEFAULT_CAPTURE_METHOD,
+      metadata,
+    };
+
+    return { splitData, promoCodeData, amounts, paymentData };
+  }
+
+  /**
+   *  @param order {GetOrderPaymentIntentInput}
+   *  @param idempotencyKey {String} - passed through to Stripe
+   * */
+  async createPaymentIntent(
+    { split, numSeats, promoCode, paymentMethod },
+    idempotencyKey
+  ) {
+    //  Stripe idempotency keys are global for the account
+    const stripeIdempotencyKey = (type) =>
+      idempotencyKey
+        ? `${this.context.user._id}:${idempotencyKey}:${type}`
+        : undefined;
+
+    const { seatHolds } = this.context.dataSources;
+
+    let hold;
 
-      if (!splitOwner.stripeAccountId) {
-        throw new Error('Stripe account is not set up or charges are disabled');
+    try {
+      const { splitData, promoCodeData, amounts, paymentData } =
+        await this.prepareCheckout({ split, numSeats, promoCode });
+
+      //  Someone else's card would fail on Stripe anyway, but fail early
+      if (paymentMethod) {
+        await this.context.dataSources.paymentMethods.getOwn(paymentMethod);
       }
 
-      const { amount, feeAmount } = this.calcAmount(splitData, numSeats);
+      hold = await seatHolds.place({ split: splitData._id, numSeats });
 
-      const paymentIntentData = {
-        customer: this.context.user.stripeCustomerId,
-        destination: splitOwner.stripeAccountId,
-        amount, // stripe accepts minimal unit of currency, for USD, need to sent cents of amount
-        feeAmount,
-      };
+      const paymentIntent = await this.stripeService.createPaymentIntent({
+        ...paymentData,
+        paymentMethod,
+        idempotencyKey: stripeIdempotencyKey('payment_intent'),
+      });
+
+      await seatHolds.attach(hold, paymentIntent.id);
 
-      const paymentIntent = await this.stripeService.createPaymentIntent(
-        paymentIntentData
-      );
       const ephemeralKey = await this.stripeService.createEphemeralKey(
-        this.context.user.stripeCustomerId
+        this.context.user.stripeCustomerId,
+        stripeIdempotencyKey('ephemeral_key')
       );
 
       return {
         paymentIntentId: paymentIntent.id,
-        amount,
-        feeAmount,
+        amount: amounts.amount,
+        feeAmount: amounts.feeAmount,
+        currency: amounts.currency,
+        feeRule: amounts.feeRule,
+        discountAmount: amounts.discountAmount,
+        promoCode: promoCodeData ? promoCodeData.code : null,
+        status: paymentIntent.status,
+        seatHoldExpiresAt: hold.expiresAt,
         paymentSheet: {
           ephemeralKey: ephemeralKey.secret,
           stripe_publickey: process.env.STRIPE_KEY,
@@ -481,26 +1542,217 @@ class OrderDataSource extends BaseDataSource {
         },
       };
     } catch (e) {
+      if (hold) {
+        await seatHolds.release(hold);
+      }
+
+      throw new Error(e.message);
+    }
+  }
+
+  async getCheckoutSession({ order: { idempotencyKey, ...order } }) {
+    return await withIdempotency(
+      {
+        key: idempotencyKey,
+        user: this.context.user._id,
+        operation: 'getOrderCheckoutSession',
+        params: order,
+      },
+      () => this.createCheckoutSession(order, idempotencyKey)
+    );
+  }
+
+  /**
+   *  Web checkout. The Order is created by the `checkout.session.completed`
+   *  webhook, see `createOrderByCheckoutWebhook`
+   *
+   *  @param order {GetOrderCheckoutSessionInput}
+   *  @param idempotencyKey {String} - passed through to Stripe
+   * */
+  async createCheckoutSession(
+    { split, numSeats, shippingAddress, promoCode, successUrl, cancelUrl },
+    idempotencyKey
+  ) {
+    const { seatHolds } = this.context.dataSources;
+    const client = this.context.user._id;
+
+    let hold;
+
+    try {
+      if (![successUrl, cancelUrl].every(isHttpUrl)) {
+        throw new Error('`successUrl` and `cancelUrl` must be http(s) links');
+      }
+
+      //  The webhook can't tell the client about it
+      const existingOrder = await this.model.exists({
+        split,
+        client,
+        status: { $nin: canceledStatuses },
+      });
+
+      if (existingOrder) {
+        throw new Error('This User already ordered this Split');
+      }
+
+      const { splitData, promoCodeData, amounts, paymentData } =
+        await this.prepareCheckout({ split, numSeats, promoCode });
+
+      const expiresAt = DateTime.now()
+        .plus({ minutes: CHECKOUT_SESSION_MINUTES })
+        .toJSDate();
+
+      //  A bit longer than the session, so the webhook finds it
+      hold = await seatHolds.place({
+        split: splitData._id,
+        numSeats,
+        expiresAt: DateTime.fromJSDate(expiresAt)
+          .plus({ minutes: SEAT_HOLD_MINUTES })
+          .toJSDate(),
+      });
+
+      const checkoutSession = await this.stripeService.createCheckoutSession({
+        ...paymentData,
+        name: `${numSeats} x seat of "${splitData.title}"`,
+        sessionMetadata: {
+          split: splitData._id.toString(),
+          client: client.toString(),
+          numSeats: String(numSeats),
+          shippingAddress: shippingAddress.toString(),
+        },
+        successUrl,
+        cancelUrl,
+        expiresAt,
+        idempotencyKey: idempotencyKey
+          ? `${client}:${idempotencyKey}:checkout_session`
+          : undefined,
+      });
+
+      await seatHolds.attach(
+        hold,
+        checkoutSession.payment_intent,
+        checkoutSession.id
+      );
+
+      return {
+        checkoutSessionId: checkoutSession.id,
+        url: checkoutSession.url,
+        paymentIntentId: checkoutSession.payment_intent,
+        amount: amounts.amount,
+        feeAmount: amounts.feeAmount,
+        currency: amounts.currency,
+        feeRule: amounts.feeRule,
+        discountAmount: amounts.discountAmount,
+        promoCode: promoCodeData ? promoCodeData.code : null,
+        expiresAt,
+        seatHoldExpiresAt: hold.expiresAt,
+      };
+    } catch (e) {
+      if (hold) {
+        await seatHolds.release(hold);
+      }
+
       throw new Error(e.message);
     }
   }
 
   /**
-   *  Calculate amounts necessary for `paymentIntent` to be created
+   *  Webhook for `checkout.session.completed`, creates the Order the same
+   *  way `createOrder` does for the mobile app
+   *
+   *  @returns {Boolean} - false for sessions that aren't Orders
+   * */
+  async createOrderByCheckoutWebhook(event) {
+    const checkoutSession = event.data.object;
+    const metadata = checkoutSession.metadata || {};
+
+    if (!metadata.split || !metadata.client) {
+      return false;
+    }
+
+    const response = await this.createOrder(
+      {
+        split: metadata.split,
+        numSeats: Number(metadata.numSeats),
+        shippingAddress: metadata.shippingAddress,
+        paymentIntent: checkoutSession.payment_intent,
+      },
+      { client: metadata.client, source: OrderStatusSource.WEBHOOK }
+    );
+
+    //  The payment is refunded already, retrying wouldn't help
+    if (!response.success) {
+      console.error(
+        `Order for checkout session ${checkoutSession.id} failed: ${response.message}`
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   *  Calculate amounts necessary for `paymentIntent` to be created.
+   *  Everything returned is in the smallest unit of the Split's currency,
+   *  `feeRule` is the fee rule that applied.
+   *
+   *  `feeAmount` is what the platform keeps and `amount - feeAmount` is
+   *  the Owner's share, so PLATFORM funded discounts only reduce the fee
+   *
+   *  @param split {Split}
+   *  @param numSeats {Number}
+   *  @param owner {User} - Split Owner, fee rules might depend on their `tier`
+   *  @param promoCode {PromoCode} - optional, already validated
    * */
-  calcAmount(split, numSeats) {
+  async calcAmount(split, numSeats, owner, promoCode = null) {
+    const { feeRules } = this.context.dataSources;
+    const currency = normalizeCurrency(split.currency);
+
+    if (!isSupportedCurrency(currency)) {
+      throw new Error(`Currency is not supported: ${currency}`);
+    }
+
     const perSplitPrice = split.price / split.numPlaces;
-    const amount = parseFloat((perSplitPrice * numSeats).toFixed(2));
-    const feeAmount = parseFloat((amount * SYSTEM_FEE).toFixed(2));
+    let amount = toMinorUnits(perSplitPrice * numSeats, currency);
+    let discountAmount = 0;
+
+    //  The Owner sells for less, the fee follows the discounted price
+    if (promoCode && promoCode.fundedBy === PromoCodeFunding.OWNER) {
+      discountAmount = calcDiscount(promoCode, amount, currency);
+      amount -= discountAmount;
+    }
+
+    let { feeAmount, feeRule } = await feeRules.feeFor({
+      split,
+      owner,
+      amount,
+      currency,
+    });
+
+    if (promoCode && promoCode.fundedBy === PromoCodeFunding.PLATFORM) {
+      discountAmount = Math.min(
+        calcDiscount(
+          promoCode,
+          promoCode.target === PromoCodeTarget.FEE ? feeAmount : amount,
+          currency
+        ),
+        feeAmount
+      );
+      feeAmount -= discountAmount;
+    }
 
     return {
-      amount: parseInt((amount + feeAmount) * 100),
-      feeAmount: parseInt(feeAmount * 100),
+      amount: amount + feeAmount,
+      feeAmount,
+      currency,
+      feeRule,
+      discountAmount,
+      promoFundedBy: promoCode ? promoCode.fundedBy : null,
     };
   }
 
   /**
    *  This is a webhook for Stripe PaymentIntent changing it's status
+   *
+   *  @returns {Boolean} - false if the paymentIntent has no Order
    * */
   async updateOrderStatusByWebhook(event) {
     const data = event.data.object;
@@ -509,40 +1761,69 @@ class OrderDataSource extends BaseDataSource {
       paymentIntent: data.id,
     });
 
+    //  Seat holds give up their paymentIntents before there's an Order,
+    //  voided ones were replaced once the Order was authorized again.
+    //  Failing would only have Stripe retry them for days
     if (!order) {
-      throw new Error('No order exists for the paymentIntent provided');
+      return false;
+    }
+
+    await this.updateOrderStatus(data, order, {
+      source: OrderStatusSource.WEBHOOK,
+      reason: event.type,
+      eventId: event.id,
+    });
+
+    //  Authorized after the Split was filled already
+    if (order.status === OrderStatusType.AUTHORIZED) {
+      await this.captureSplit({
+        split: order.split,
+        source: OrderStatusSource.WEBHOOK,
+      });
     }
 
-    await this.updateOrderStatus(data, order);
+    return true;
   }
 
   /**
    *  This function is of limited use for stripe PaymentIntent updating it's status
    *  but can be used for general updating Order Status, I guess
+   *
+   *  @param event {Stripe.PaymentIntent}
+   *  @param order {Order}
+   *  @param history {Object} - `source`, `reason` and `eventId` for the history entry
    * */
-  async updateOrderStatus(event, order) {
-    const { splits } = this.context.dataSources;
+  async updateOrderStatus(event, order, history = {}) {
+    const { splits, waitlists } = this.context.dataSources;
     const session = await mongoose.connection.startSession();
 
+    let offered = [];
+
     try {
       //  UPD 08.10.2022
       //    At this point, user should be in conversation already
       //    and his seats should be reserved
       await session.withTransaction(async () => {
-        if (Object.keys(eventStatusMap).includes(event.status)) {
-          order.status = eventStatusMap[event.status];
+        const status = eventStatusMap[event.status];
+
+        if (status && status !== order.status) {
+          await this.transition(order, status, {
+            ...history,
+            actor: OrderActor.SYSTEM,
+            session,
+          });
         }
 
         //  Exitable statuses, where User should be ejected out
         //  of the Split entirely
         if (exitableStatuses.includes(event.status)) {
-          await splits.exit({
+          ({ offered } = await splits.exit({
             split: order.split,
             client: order.client,
             order,
             message: `${order.metadata.clientName}'s order was cancelled`,
             session,
-          });
+          }));
         }
         //  Promotable statuses, on which User should be
         //  promoted from readonly to full member
@@ -564,156 +1845,982 @@ class OrderDataSource extends BaseDataSource {
             session,
           });
         }
-
-        await order.save({ session });
       });
       session.endSession();
     } catch (e) {
       session.endSession();
       throw new Error(e.message);
     }
+
+    await waitlists.notifyOffered(offered);
+
     return order;
   }
 
-  async hasReserved(userId, splitId) {
-    return await this.model.findOne({
-      client: userId,
-      split: splitId,
-      status: OrderStatusType.PAID,
+  /**
+   *  Webhook for `charge.refunded`, see `updateOrderRefund`
+   *
+   *  @returns {Boolean} - false if there's no Order to update
+   * */
+  async updateOrderRefundByWebhook(event) {
+    const charge = event.data.object;
+
+    //  Voided `MANUAL` authorization, `payment_intent.canceled` takes care of it
+    if (!charge.captured) {
+      return false;
+    }
+
+    const order = await this.model.findOne({
+      paymentIntent: charge.payment_intent,
     });
-  }
 
-  async updateStatusFromWebhook(signature, body) {
-    try {
-      const stripeService = new StripeService();
-      const event = await stripeService.verifyWebhook(body, signature);
-      switch (event.type) {
-      case 'payment_intent.succeeded':
-      case 'payment_intent.payment_failed':
-      case 'payment_intent.canceled':
-      case 'payment_intent.processing':
-        await this.updateOrderStatusByWebhook(event);
-        break;
-      case 'charge.refunded':
-        break;
-      case 'payout.created':
-        break;
-      case 'payout.paid':
-        break;
-      default:
-        break;
-      }
-    } catch (e) {
+    //  Payments refunded because their Order couldn't be created,
+    //  e.g. by `createOrderByCheckoutWebhook`
+    if (!order) {
       return false;
     }
+
+    await this.updateOrderRefund(charge, order, {
+      source: OrderStatusSource.WEBHOOK,
+      eventId: event.id,
+    });
+
+    return true;
   }
 
   /**
-   *  This function just bulk cancels and refunds all Orders of a Split
-   *
-   *  It is not intended for this function to do anything else in the future,
-   *  so please don't add functionality to it.
-   *
-   *  This is done because bulk operations like this should not spam notifications
-   *  and should just do the job.
+   *  Refunds can be issued outside of the API, e.g. by support
+   *  from the Stripe Dashboard, and the Order has to follow.
    *
-   *  e.g. canceling 10 Orders via OrderDataSource.cancelOwner will post
-   *  10 messages to the Split Room of Owner cancelling the Orders while
-   *  this is not our intention.
-   *
-   *  We should not also make `cancelOwner` or `cancelClient` less specific,
-   *  more general, accept more arguments/modifiers, because they would do the job
-   *  worse that a dedicated optimized function.
+   *  Refunds issued by the API are tagged and have been taken care of already,
+   *  we only keep the refunded amount in sync for them.
+   *  Any external refund moves the Order to `REFUNDED`, only a full one
+   *  takes the seats away from the client. It can come after a partial one.
+   *  Released `ESCROW` funds are taken back from the Owner
    *
-   *  It's used in conjunction with:
-   *    - SplitDataSource.cancel
-   *    - SplitDataSource.expire
+   *  @param charge {Stripe.Charge}
+   *  @param order {Order}
+   *  @param history {Object} - `source`, `reason` and `eventId` for the history entry
    * */
-  async bulkCancel(
-    { split, status = OrderStatusType.SYSTEM_CANCELED },
-    extSession
-  ) {
-    if (!extSession) {
-      throw new Error('session is required to do bulkCancel');
+  async updateOrderRefund(charge, order, history = {}) {
+    const { splits, waitlists } = this.context.dataSources;
+
+    const amountRefunded = order.metadata.amountRefunded || 0;
+    const wasRefunded = amountRefunded >= charge.amount;
+
+    const refunds = (charge.refunds && charge.refunds.data) || [];
+    const isExternal = refunds.some((refund) => !isApiRefund(refund));
+
+    //  Stripe lists the latest refund first, the API takes care of its own
+    const [latest] = refunds;
+    if (
+      latest &&
+      !isApiRefund(latest) &&
+      charge.amount_refunded > amountRefunded
+    ) {
+      await this.reverseFunds(order, {
+        id: latest.id,
+        amount: charge.amount_refunded - amountRefunded,
+      });
     }
 
-    // get all orders data so we can refund them
-    const ordersData = await this.batch.load({ split });
-    // do the actual refund in bulk with Promise.all
-    await Promise.all(
-      ordersData.map(async (order) => {
-        try {
-          return await this.stripeService.refund(order.paymentIntent, true);
-        } catch (e) {
-          //  Nevermind already reversed transfers
-          if (!e.message.includes('already fully reversed')) {
-            throw e;
-          }
-        }
-      })
-    );
-    // updateMany, no need to waste time updating individually
-    await this.model.updateMany({ split }, { status });
-  }
+    order.metadata.amountRefunded = charge.amount_refunded;
+
+    const isRefundable = seatHoldingStatuses.includes(order.status);
+    const isExit =
+      charge.refunded &&
+      !wasRefunded &&
+      (isRefundable || order.status === OrderStatusType.REFUNDED);
+
+    if (!isExternal || (!isRefundable && !isExit)) {
+      if (charge.refunded) {
+        order.refunded = true;
+      }
+      await order.save();
+      return order;
+    }
 
-  async cancelOwner({ split, client }) {
     const session = await mongoose.connection.startSession();
 
+    let offered = [];
+
     try {
-      const { user } = this.context;
-      const order = await this.model.findOne({
-        split,
-        client,
-        status: {
-          $nin: [
-            OrderStatusType.CLIENT_CANCELED,
-            OrderStatusType.OWNER_CANCELED,
-            OrderStatusType.SYSTEM_CANCELED,
-          ],
-        },
+      await session.withTransaction(async () => {
+        order.refunded = true;
+
+        if (isExit) {
+          ({ offered } = await splits.exit({
+            split: order.split,
+            client: order.client,
+            order,
+            message: `${order.metadata.clientName}'s order was refunded`,
+            session,
+          }));
+        }
+
+        if (isRefundable) {
+          await this.transition(order, OrderStatusType.REFUNDED, {
+            reason: charge.refunded
+              ? 'Charge refunded outside of the app'
+              : 'Charge partially refunded outside of the app',
+            ...history,
+            actor: OrderActor.SYSTEM,
+            session,
+          });
+        } else {
+          await order.save({ session });
+        }
       });
+    } finally {
+      session.endSession();
+    }
+
+    await waitlists.notifyOffered(offered);
+
+    return order;
+  }
+
+  /**
+   *  Charges the `AUTHORIZED` Orders of the Split if it's filled.
+   *
+   *  Failed captures don't stop the others and stay `AUTHORIZED`,
+   *  `captureFilledSplits` retries them later. If the authorization is gone
+   *  for good, the `payment_intent.canceled` webhook cancels the Order
+   *
+   *  @param split {ObjectID}
+   *  @param source {OrderStatusSource}
+   *  @param session {Mongoose.Session} - optional
+   *  @returns {Promise<[Order]>} - captured Orders
+   * */
+  async captureSplit({
+    split,
+    source = OrderStatusSource.MUTATION,
+    session = null,
+  }) {
+    const { splits } = this.context.dataSources;
+
+    const splitData = await splits.model.findOne(
+      { _id: split },
+      'placesLeft heldSeats',
+      { session }
+    );
+
+    //  Held seats might still be given back
+    if (!splitData || splitData.placesLeft + (splitData.heldSeats || 0) > 0) {
+      return [];
+    }
+
+    const orders = await this.model.find(
+      { split, status: OrderStatusType.AUTHORIZED },
+      null,
+      { session }
+    );
+
+    const captured = [];
+
+    //  One at a time, a session can't run operations in parallel
+    for (const order of orders) {
+      try {
+        await this.stripeService.capturePaymentIntent(
+          order.paymentIntent,
+          `order_${order._id}_capture_${order.paymentIntent}`
+        );
+
+        await this.transition(order, OrderStatusType.PAID, {
+          actor: OrderActor.SYSTEM,
+          source,
+          reason: 'Split filled, payment captured',
+          session,
+        });
+
+        captured.push(order);
+      } catch (e) {
+        console.error(`Error capturing payment of Order ${order._id}`);
+        console.error(e);
+      }
+    }
+
+    return captured;
+  }
+
+  /**
+   *  Retries captures that didn't work out right away
+   * */
+  async captureFilledSplits() {
+    this.initialize();
+
+    try {
+      const splits = await this.model.distinct('split', {
+        status: OrderStatusType.AUTHORIZED,
+      });
+
+      await Promise.allSettled(
+        splits.map((split) =>
+          this.captureSplit({ split, source: OrderStatusSource.SCHEDULER })
+        )
+      );
+    } catch (e) {
+      console.error('Error while capturing filled Splits');
+      console.error(e);
+    }
+  }
+
+  /**
+   *  Stripe authorizations expire after about `AUTHORIZATION_VALID_DAYS`,
+   *  while Splits can run for longer. Shortly before that, the saved card
+   *  is authorized again and the old authorization is voided.
+   *
+   *  If the card can't be authorized without the client, e.g. it's declined
+   *  or needs 3DS, the old authorization expires and the
+   *  `payment_intent.canceled` webhook cancels the Order, releasing its seats
+   * */
+  async reauthorizePayments() {
+    this.initialize();
+
+    try {
+      const orders = await this.model.find({
+        status: OrderStatusType.AUTHORIZED,
+        authorizationExpiresAt: {
+          $lte: DateTime.now()
+            .plus({ hours: REAUTHORIZATION_MARGIN_HOURS })
+            .toJSDate(),
+        },
+      });
+
+      const results = await Promise.allSettled(
+        orders.map((order) => this.reauthorize(order))
+      );
+
+      results
+        .filter((r) => r.status === 'rejected')
+        .forEach((r) => console.error(r.reason));
+    } catch (e) {
+      console.error('Error while reauthorizing payments');
+      console.error(e);
+    }
+  }
+
+  async reauthorize(order) {
+    const previous = order.paymentIntent;
+
+    const paymentIntent = await this.stripeService.reauthorizePaymentIntent(
+      previous,
+      `order_${order._id}_reauthorize_${previous}`
+    );
+
+    if (paymentIntent.status !== StripePaymentStatusType.REQUIRE_CAPTURE) {
+      throw new Error(
+        `Order ${order._id} could not be authorized again: ${paymentIntent.status}`
+      );
+    }
+
+    //  Swap first, so the webhook for the voided one is ignored.
+    //  Not a status change, no need to go through `transition`
+    await this.model.updateOne(
+      { _id: order._id },
+      {
+        paymentIntent: paymentIntent.id,
+        authorizationExpiresAt: authorizationExpiry(),
+        $push: { replacedPaymentIntents: previous },
+      }
+    );
+
+    await this.stripeService.cancelPaymentIntent(previous);
+
+    return paymentIntent;
+  }
+
+  /**
+   *  Gives the client their money back, all of it or `amount`. `AUTHORIZED`
+   *  Orders weren't charged yet, their authorization is voided instead.
+   *
+   *  `ESCROW` funds released to the Owner already are taken back too.
+   *  Cancellations store their refund to make it after the commit instead,
+   *  see `settleRefund`
+   *
+   *  @param order {Order} - before its status and refunded amount are changed
+   *  @param refundApplicationFee {Boolean}
+   *  @param amount {Number} - optional, in the smallest unit of the currency
+   * */
+  async refundPayment(order, refundApplicationFee = false, amount) {
+    if (order.status === OrderStatusType.AUTHORIZED) {
+      await this.stripeService.cancelPaymentIntent(order.paymentIntent);
+      return { refund: null };
+    }
+
+    const { refund } = await this.stripeService.refund(
+      order.paymentIntent,
+      refundApplicationFee,
+      amount
+    );
+
+    await this.reverseFunds(order, refund);
+
+    return { refund };
+  }
+
+  /**
+   *  Makes a refund stored by `addPendingRefund` and takes it off the Order.
+   *  A failed one stays there for `retryPendingRefunds`, with its error
+   *
+   *  @param order {Order} - with the refunded amount from before the refund
+   *  @param pending {PendingRefund}
+   *  @returns {Promise<{refund, error}>} - `refund` is null if it failed
+   *  or only an authorization was voided
+   * */
+  async settleRefund(order, pending) {
+    try {
+      const refund = await this.makeRefund(order, pending);
+
+      return { refund, error: null };
+    } catch (e) {
+      console.error(`Error refunding Order ${order._id}, it will be retried`);
+      console.error(e);
+
+      await this.model
+        .updateOne(
+          { _id: order._id, 'pendingRefunds.key': pending.key },
+          {
+            $inc: { 'pendingRefunds.$.attempts': 1 },
+            $set: { 'pendingRefunds.$.lastError': e.message },
+          }
+        )
+        .catch(console.error);
+
+      return { refund: null, error: e };
+    }
+  }
+
+  async makeRefund(order, pending) {
+    let refund = null;
+    const update = { $pull: { pendingRefunds: { key: pending.key } } };
+
+    if (pending.voidAuthorization) {
+      const paymentIntent = await this.stripeService.getPaymentIntent(
+        order.paymentIntent
+      );
+
+      //  Voided already by an earlier attempt
+      if (paymentIntent.status !== StripePaymentStatusType.CANCELED) {
+        await this.stripeService.cancelPaymentIntent(order.paymentIntent);
+      }
+    } else {
+      let amountRefunded;
+
+      ({ refund, amountRefunded } = await this.stripeService.refund(
+        order.paymentIntent,
+        pending.refundApplicationFee,
+        pending.amount,
+        `order_${order._id}_refund_${pending.key}`
+      ));
+
+      await this.reverseFunds(order, refund);
+
+      order.metadata.amountRefunded = amountRefunded;
+      //  `charge.refunded` may have synced it already
+      update.$max = { 'metadata.amountRefunded': amountRefunded };
+    }
+
+    await this.model.updateOne({ _id: order._id }, update);
+
+    order.pendingRefunds = order.pendingRefunds.filter(
+      ({ key }) => key !== pending.key
+    );
+
+    return refund;
+  }
+
+  /**
+   *  Scheduled, retries the refunds `settleRefund` couldn't make
+   * */
+  async retryPendingRefunds() {
+    this.initialize();
+
+    try {
+      const orders = await this.model.find({
+        pendingRefunds: {
+          $elemMatch: { attempts: { $lt: MAX_REFUND_ATTEMPTS } },
+        },
+      });
+
+      //  One at a time, refunds of an Order depend on each other
+      for (const order of orders) {
+        const pendingRefunds = order.pendingRefunds.filter(
+          ({ attempts }) => attempts < MAX_REFUND_ATTEMPTS
+        );
+
+        for (const pending of pendingRefunds) {
+          await this.settleRefund(order, pending);
+        }
+      }
+    } catch (e) {
+      console.error('Error while retrying pending refunds');
+      console.error(e);
+    }
+  }
+
+  /**
+   *  Takes the Owner's share of a refund back from released `ESCROW` funds,
+   *  see `releaseFunds`. Does nothing if they weren't released.
+   *
+   *  Whatever is left of the transfer is taken back once the whole
+   *  payment is refunded
+   *
+   *  @param order {Order} - with the refunded amount from before `refund`
+   *  @param refund {Stripe.Refund}
+   * */
+  async reverseFunds(order, refund) {
+    if (!order.transfer || !refund) {
+      return null;
+    }
+
+    const { amount, feeAmount, amountRefunded, currency } = order.metadata;
+    const isFull = refund.amount >= amount - (amountRefunded || 0);
+    const share = roundMinorUnits(
+      ((amount - feeAmount) * refund.amount) / amount,
+      currency
+    );
+
+    if (!isFull && share <= 0) {
+      return null;
+    }
+
+    try {
+      return await this.stripeService.reverseTransfer(
+        order.transfer,
+        isFull ? null : share,
+        `order_${order._id}_reverse_${refund.id}`
+      );
+    } catch (e) {
+      //  Nevermind already reversed transfers
+      if (!e.message.includes('already fully reversed')) {
+        throw e;
+      }
+      return null;
+    }
+  }
+
+  async hasReserved(userId, splitId) {
+    return await this.model.findOne({
+      client: userId,
+      split: splitId,
+      status: OrderStatusType.PAID,
+    });
+  }
+
+  /**
+   *  This function just bulk cancels and refunds all Orders of a Split
+   *
+   *  It is not intended for this function to do anything else in the future,
+   *  so please don't add functionality to it.
+   *
+   *  This is done because bulk operations like this should not spam notifications
+   *  and should just do the job.
+   *
+   *  e.g. canceling 10 Orders via OrderDataSource.cancelOwner will post
+   *  10 messages to the Split Room of Owner cancelling the Orders while
+   *  this is not our intention.
+   *
+   *  We should not also make `cancelOwner` or `cancelClient` less specific,
+   *  more general, accept more arguments/modifiers, because they would do the job
+   *  worse that a dedicated optimized function.
+   *
+   *  It's used in conjunction with:
+   *    - SplitDataSource.cancel
+   *    - SplitDataSource.expire
+   *
+   *  `source` and `reason` only go to the Order history
+   *
+   *  @returns {{failed: [Order]}} - Orders that couldn't be refunded,
+   *    they're left as they are
+   * */
+  async bulkCancel(
+    {
+      split,
+      status = OrderStatusType.SYSTEM_CANCELED,
+      source = OrderStatusSource.MUTATION,
+      reason,
+    },
+    extSession
+  ) {
+    if (!extSession) {
+      throw new Error('session is required to do bulkCancel');
+    }
+
+    //  Only Orders the transition table allows to be cancelled,
+    //  already cancelled or shipped ones stay as they are
+    const fromStatuses = allowedFromStatuses(status, OrderActor.SYSTEM);
+
+    // get all orders data so we can refund them
+    const ordersData = (await this.batch.load({ split })).filter((order) =>
+      fromStatuses.includes(order.status)
+    );
+    //  Refunds are independent, one failing doesn't undo the others
+    const results = await Promise.allSettled(
+      ordersData.map(async (order) => {
+        try {
+          if (!seatHoldingStatuses.includes(order.status)) {
+            //  Not paid or only authorized, nothing to refund
+            return await this.stripeService.cancelPaymentIntent(
+              order.paymentIntent
+            );
+          }
+          return await this.refundPayment(order, true);
+        } catch (e) {
+          //  Nevermind already reversed transfers
+          if (!e.message.includes('already fully reversed')) {
+            throw e;
+          }
+        }
+      })
+    );
+
+    //  Orders that weren't refunded keep their status, so they can still
+    //  be cancelled one by one
+    const refunded = [];
+    const failed = [];
+
+    results.forEach((result, i) => {
+      const order = ordersData[i];
+
+      if (result.status === 'fulfilled') {
+        refunded.push(order._id);
+        return;
+      }
+
+      failed.push(order);
+      console.error(`Error refunding Order ${order._id} of Split ${split}`);
+      console.error(result.reason);
+    });
+
+    // updateMany per status, no need to waste time updating individually.
+    // One at a time, a session can't run operations in parallel
+    for (const from of fromStatuses) {
+      await this.model.updateMany(
+        { _id: { $in: refunded }, status: from },
+        {
+          status,
+          open: !canceledStatuses.includes(status),
+          $push: {
+            history: this.historyEntry({
+              from,
+              to: status,
+              actor: OrderActor.SYSTEM,
+              source,
+              reason,
+            }),
+          },
+        },
+        { session: extSession }
+      );
+    }
+
+    return { failed };
+  }
+
+  async cancelOwner({ split, client }) {
+    try {
+      const order = await this.model.findOne({
+        split,
+        client,
+        status: {
+          $nin: [
+            OrderStatusType.CLIENT_CANCELED,
+            OrderStatusType.OWNER_CANCELED,
+            OrderStatusType.SYSTEM_CANCELED,
+          ],
+        },
+      });
+
+      if (!order) {
+        throw new Error("Can't find Order with provided id");
+      }
+
+      const { refund, error } = await this.ownerCancel(order, {
+        message: `${order.metadata.ownerName} has cancelled ${order.metadata.clientName}'s order`,
+      });
+
+      return {
+        code: 200,
+        success: true,
+        message: refundPendingMessage(error),
+        order,
+        refund,
+      };
+    } catch (e) {
+      return {
+        code: errorCode(e),
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  /**
+   *  Cancels the Order on the Owner's side: the client leaves the Split Room
+   *  and gets everything back, the application fee included
+   *
+   *  @param order {Order}
+   *  @param options {Object}
+   *  @param options.actor {OrderActor} - `SYSTEM` when the Owner missed a deadline
+   *  @param options.source {OrderStatusSource}
+   *  @param options.reason {String} - for the Order history
+   *  @param options.message {String} - for the Split Room
+   *  @returns {Promise<{refund, error}>} - see `settleRefund`, a failed
+   *  refund doesn't undo the cancellation
+   * */
+  async ownerCancel(
+    order,
+    { actor = OrderActor.OWNER, source, reason, message }
+  ) {
+    const { splits, waitlists } = this.context.dataSources;
+
+    //  Fail early, before anyone is kicked out of the Split Room
+    assertTransition(order, OrderStatusType.OWNER_CANCELED, {
+      actor,
+      user: this.context.user,
+    });
+
+    const session = await mongoose.connection.startSession();
+
+    try {
+      let offered;
+
+      //  Owner cancels, refund application fee.
+      //  Before the transition, the payment depends on the current status
+      const pending = pendingRefund(order, true);
+
+      await session.withTransaction(async () => {
+        ({ offered } = await splits.exit({
+          split: order.split,
+          order,
+          session,
+          client: order.client,
+          message,
+        }));
+
+        addPendingRefund(order, pending);
+
+        await this.transition(order, OrderStatusType.OWNER_CANCELED, {
+          actor,
+          session,
+          source,
+          reason,
+        });
+      });
+
+      //  Refunds can't be rolled back, they're made once the Order is
+      //  cancelled for good
+      const refund = await this.settleRefund(order, pending);
+
+      await waitlists.notifyOffered(offered);
+
+      return refund;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  async cancelClient({ split }) {
+    const session = await mongoose.connection.startSession();
+
+    try {
+      const { user } = this.context;
+      const order = await this.model.findOne({
+        client: user._id,
+        split,
+        status: {
+          $nin: [
+            OrderStatusType.CLIENT_CANCELED,
+            OrderStatusType.OWNER_CANCELED,
+            OrderStatusType.SYSTEM_CANCELED,
+          ],
+        },
+      });
+
+      if (!order) {
+        throw new Error("Can't find your Order for this Split");
+      }
+
+      //  Fail early, before anything is refunded
+      assertTransition(order, OrderStatusType.CLIENT_CANCELED, {
+        actor: OrderActor.CLIENT,
+        user,
+      });
+
+      const { splits, waitlists } = this.context.dataSources;
+
+      let offered;
+
+      //  Client cancels, don't refund application fee.
+      //  Before the transition, the payment depends on the current status
+      const pending = pendingRefund(order);
+
+      await session.withTransaction(async () => {
+        addPendingRefund(order, pending);
+
+        await this.transition(order, OrderStatusType.CLIENT_CANCELED, {
+          actor: OrderActor.CLIENT,
+          session,
+        });
+
+        ({ offered } = await splits.exit({
+          split,
+          order,
+          session,
+          client: order.client,
+          message: `${order.metadata.clientName} has cancelled his or her order'`,
+        }));
+      });
+
+      const { refund, error } = await this.settleRefund(order, pending);
+
+      await waitlists.notifyOffered(offered);
+
+      return {
+        code: 200,
+        success: true,
+        message: refundPendingMessage(error),
+        order,
+        refund,
+      };
+    } catch (e) {
+      console.error(e);
+      return {
+        code: errorCode(e),
+        success: false,
+        message: e.message,
+      };
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   *  Cancel some of the Order's seats, refund their share of the payment
+   *  and release them in the Split. The Order itself stays as it is.
+   *
+   *  Refund rules follow the full cancellations:
+   *    - Owner cancels, refund application fee
+   *    - Client cancels, the fee share of the seats isn't refunded
+   * */
+  async cancelSeats({ _id, numSeats }) {
+    const session = await mongoose.connection.startSession();
+
+    try {
+      const { user } = this.context;
+      const { splits } = this.context.dataSources;
+
+      if (!numSeats || numSeats <= 0) {
+        throw new Error(
+          'Invalid input for `numSeats`, must be a positive non-zero number'
+        );
+      }
+
+      const order = await this.model.findById(_id);
+
+      if (!order) {
+        throw new Error("Can't find Order with provided id");
+      }
+
+      const isOwner = order.owner.toString() === user._id.toString();
+      const isClient = order.client.toString() === user._id.toString();
+
+      if (!isOwner && !isClient) {
+        throw new Error("Only the Order's Client or Owner can cancel seats");
+      }
+
+      const actor = isOwner ? OrderActor.OWNER : OrderActor.CLIENT;
+      const cancelStatus = isOwner
+        ? OrderStatusType.OWNER_CANCELED
+        : OrderStatusType.CLIENT_CANCELED;
+
+      //  Seats can be cancelled whenever the whole Order can
+      if (!allowedFromStatuses(cancelStatus, actor).includes(order.status)) {
+        throw new OrderTransitionError(
+          `Can't cancel seats of the Order at this stage: ${order.status}`
+        );
+      }
+
+      //  An authorization can't be partially refunded
+      if (order.status === OrderStatusType.AUTHORIZED) {
+        throw new Error(
+          "Seats of an Order can't be cancelled before it's charged, cancel the Order instead"
+        );
+      }
+
+      if (numSeats >= order.numSeats) {
+        throw new Error(
+          "Can't cancel all of the Order's seats this way, cancel the Order instead"
+        );
+      }
+
+      const { clientName, ownerName } = order.metadata;
+      const refundAmount = seatsRefundAmount(order, numSeats, isOwner);
+      const numSeatsLeft = order.numSeats - numSeats;
+      const pending = pendingRefund(order, isOwner, refundAmount);
+
+      await session.withTransaction(async () => {
+        await splits.releaseSeats({
+          split: order.split,
+          numSeats,
+          message: isOwner
+            ? `${ownerName} has cancelled ${numSeats} of ${clientName}'s seats`
+            : `${clientName} has cancelled ${numSeats} seats`,
+          session,
+        });
+
+        //  The transaction can run more than once
+        order.numSeats = numSeatsLeft;
+        addPendingRefund(order, pending);
+        await order.save({ session });
+      });
+
+      //  Refunds can't be rolled back, they are only made once
+      //  the seats are gone for good
+      const { refund, error } = await this.settleRefund(order, pending);
+
+      return {
+        code: 200,
+        success: true,
+        message: refundPendingMessage(error),
+        order,
+        refund,
+      };
+    } catch (e) {
+      return {
+        code: errorCode(e),
+        success: false,
+        message: e.message,
+      };
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   *  Owner or admin, whoever the current user is for the Order.
+   *  `transition` takes care of anyone else
+   * */
+  ownerOrAdmin(order) {
+    const { user } = this.context;
+
+    if (
+      user.role === UserRole.ADMIN &&
+      order.owner.toString() !== user._id.toString()
+    ) {
+      return OrderActor.ADMIN;
+    }
+    return OrderActor.OWNER;
+  }
+
+  /**
+   *  As a Client, request a refund for a received Order.
+   *  The Owner has `REFUND_RESPONSE_DEADLINE_DAYS` to respond,
+   *  otherwise the request is escalated to admins
+   * */
+  async requestRefund({ _id, refund: { reason, photos } }) {
+    try {
+      const order = await this.model.findById(_id);
+
+      if (!order) {
+        throw new Error("Can't find Order with provided id");
+      }
+
+      if (!reason || !reason.trim()) {
+        throw new Error('Please provide a reason for the refund request');
+      }
+
+      const previousStatus = order.status;
+
+      //  Guards need the Order as it is now, check before changing anything
+      assertTransition(order, OrderStatusType.REFUND_REQUESTED, {
+        actor: OrderActor.CLIENT,
+        user: this.context.user,
+      });
+
+      order.refundRequest = {
+        status: RefundRequestStatus.PENDING,
+        reason,
+        photos: photos || [],
+        previousStatus,
+        requested_at: new Date(),
+        deadline: DateTime.now()
+          .plus({ days: REFUND_RESPONSE_DEADLINE_DAYS })
+          .toJSDate(),
+      };
+
+      await this.transition(order, OrderStatusType.REFUND_REQUESTED, {
+        actor: OrderActor.CLIENT,
+        reason,
+      });
+
+      return {
+        code: 200,
+        success: true,
+        order,
+      };
+    } catch (e) {
+      return {
+        code: errorCode(e),
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  /**
+   *  As an Owner or an admin, grant the refund request
+   * */
+  async confirmRefund({ _id }) {
+    const session = await mongoose.connection.startSession();
+
+    try {
+      const order = await this.model.findById(_id);
 
       if (!order) {
         throw new Error("Can't find Order with provided id");
       }
 
-      if (order.owner.toString() !== user._id.toString()) {
-        throw new Error('Only the Split Owner can cancel Order as Owner');
-      }
+      const actor = this.ownerOrAdmin(order);
 
-      if (order.status !== OrderStatusType.PAID) {
-        throw new Error("Can't cancel Order at this stage");
-      }
+      //  Don't refund anything if the transition isn't allowed
+      assertTransition(order, OrderStatusType.REFUNDED, {
+        actor,
+        user: this.context.user,
+      });
 
-      let refund;
+      //  Client refund request granted, don't refund application fee.
+      //  `ESCROW` Owner may have been paid already, it's taken back
+      const pending = pendingRefund(order);
 
       await session.withTransaction(async () => {
-        const { splits } = this.context.dataSources;
+        addPendingRefund(order, pending);
 
-        await splits.exit({
-          split,
-          order,
+        order.refunded = true;
+        order.refundRequest.status = RefundRequestStatus.APPROVED;
+        order.refundRequest.responded_at = new Date();
+        order.refundRequest.respondedBy = this.context.user._id;
+
+        await this.transition(order, OrderStatusType.REFUNDED, {
+          actor,
+          reason: 'Refund request approved',
           session,
-          client,
-          message: `${order.metadata.ownerName} has cancelled ${order.metadata.clientName}'s order`,
         });
-
-        //  Owner cancels, refund application fee
-        refund = await this.stripeService.refund(order.paymentIntent, true);
-
-        order.status = OrderStatusType.OWNER_CANCELED;
-        await order.save({ session });
       });
 
+      const { refund, error } = await this.settleRefund(order, pending);
+
       return {
         code: 200,
         success: true,
+        message: refundPendingMessage(error),
         order,
         refund,
       };
     } catch (e) {
       return {
-        code: 501,
+        code: errorCode(e),
         success: false,
         message: e.message,
       };
@@ -722,152 +2829,254 @@ class OrderDataSource extends BaseDataSource {
     }
   }
 
-  async cancelClient({ split }) {
-    const session = await mongoose.connection.startSession();
-
+  /**
+   *  As an Owner or an admin, reject the refund request.
+   *  The Order goes back to the status it had before the request
+   * */
+  async rejectRefund({ _id, reason }) {
     try {
-      const { user } = this.context;
-      const order = await this.model.findOne({
-        client: user._id,
-        split,
-        status: {
-          $nin: [
-            OrderStatusType.CLIENT_CANCELED,
-            OrderStatusType.OWNER_CANCELED,
-            OrderStatusType.SYSTEM_CANCELED,
-          ],
-        },
-      });
+      const order = await this.model.findById(_id);
 
       if (!order) {
-        throw new Error("Can't find your Order for this Split");
+        throw new Error("Can't find Order with provided id");
       }
 
-      if (order.status !== OrderStatusType.PAID) {
-        throw new Error(`Can't cancel Order at this stage: ${order.status}`);
+      if (!order.refundRequest || !order.refundRequest.previousStatus) {
+        throw new Error('No refund request was made by the client');
       }
 
-      let refund;
+      order.refundRequest.status = RefundRequestStatus.REJECTED;
+      order.refundRequest.rejectReason = reason;
+      order.refundRequest.responded_at = new Date();
+      order.refundRequest.respondedBy = this.context.user._id;
 
-      await session.withTransaction(async () => {
-        const { splits } = this.context.dataSources;
+      await this.transition(order, order.refundRequest.previousStatus, {
+        actor: this.ownerOrAdmin(order),
+        reason: reason || 'Refund request rejected',
+      });
 
-        order.status = OrderStatusType.CLIENT_CANCELED;
-        await order.save({ session });
+      return {
+        code: 200,
+        success: true,
+        order,
+      };
+    } catch (e) {
+      return {
+        code: errorCode(e),
+        success: false,
+        message: e.message,
+      };
+    }
+  }
 
-        await splits.exit({
-          split,
-          order,
-          session,
-          client: order.client,
-          message: `${order.metadata.clientName} has cancelled his or her order'`,
-        });
+  /**
+   *  Admins get every request, escalated ones by default,
+   *  everyone else only gets requests for their Splits
+   * */
+  async refundRequests({ status, limit, skip }) {
+    const { user } = this.context;
+    const query = { status: OrderStatusType.REFUND_REQUESTED };
 
-        //  Client cancels, don't refund application fee
-        refund = await this.stripeService.refund(order.paymentIntent);
-      });
+    if (user.role === UserRole.ADMIN) {
+      query['refundRequest.status'] = status || RefundRequestStatus.ESCALATED;
+    } else {
+      query.owner = user._id;
+
+      if (status) {
+        query['refundRequest.status'] = status;
+      }
+    }
+
+    return await this.model.find(query, null, {
+      limit,
+      skip,
+      sort: { 'refundRequest.deadline': 1 },
+    });
+  }
+
+  /**
+   *  Requests the Owner ignored past the deadline go to the admin queue
+   * */
+  async escalateRefundRequests() {
+    try {
+      const now = new Date();
+
+      await this.model.updateMany(
+        {
+          status: OrderStatusType.REFUND_REQUESTED,
+          'refundRequest.status': RefundRequestStatus.PENDING,
+          'refundRequest.deadline': { $lte: now },
+        },
+        {
+          'refundRequest.status': RefundRequestStatus.ESCALATED,
+          'refundRequest.escalated_at': now,
+        }
+      );
+    } catch (e) {
+      console.error('Error while escalating refund requests');
+      console.error(e);
+    }
+  }
+
+  /**
+   *  @param _id {ObjectID}
+   *  @param shipment {ShipmentInput} - optional, e.g. for in person Splits
+   * */
+  async markShipped({ _id, shipment }) {
+    try {
+      const order = await this.ship(await this.model.findById(_id), shipment);
 
       return {
         code: 200,
         success: true,
         order,
-        refund,
       };
     } catch (e) {
-      console.error(e);
       return {
-        code: 501,
+        code: errorCode(e),
         success: false,
         message: e.message,
       };
-    } finally {
-      session.endSession();
     }
   }
 
-  async requestRefund({ _id }) {
-    const session = await mongoose.connection.startSession();
-
+  /**
+   *  Ships the Orders of a Split one by one,
+   *  an Order that can't be shipped doesn't stop the rest
+   *
+   *  @param split {ObjectID}
+   *  @param shipments {[OrderShipmentInput]}
+   * */
+  async markSplitShipped({ split, shipments }) {
     try {
-      const { user } = this.context;
-      const order = this.get(_id);
+      const ids = shipments.map(({ order }) => order.toString());
 
-      if (!order) {
-        throw new Error("Can't find Order with provided id");
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('Each Order can only be listed once');
       }
 
-      if (order.client !== user._id) {
-        throw new Error(
-          "Only the Order's client can request a refund for an Order"
-        );
+      const orders = await this.model.find({ _id: { $in: ids }, split });
+      const orderById = new Map(orders.map((o) => [o._id.toString(), o]));
+
+      const shipped = [];
+      const errors = [];
+
+      for (const { order, shipment } of shipments) {
+        try {
+          shipped.push(
+            await this.ship(orderById.get(order.toString()), shipment)
+          );
+        } catch (e) {
+          errors.push({ order, message: e.message });
+        }
       }
 
-      if (order.status !== OrderStatusType.COMPLETE) {
-        throw new Error("Can't request Order refund at this stage");
+      return {
+        code: 200,
+        success: !errors.length,
+        message: errors.length
+          ? `${errors.length} of ${shipments.length} Orders couldn't be shipped`
+          : null,
+        orders: shipped,
+        errors,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  async ship(order, shipment) {
+    const { splits } = this.context.dataSources;
+
+    if (!order) {
+      throw new Error("Can't find Order with provided id");
+    }
+
+    //  Validated before the status changes
+    if (shipment) {
+      order.shipment = toShipment(shipment);
+    }
+
+    await this.transition(order, OrderStatusType.SHIPPED, {
+      actor: OrderActor.OWNER,
+    });
+
+    //  The Order is shipped either way
+    await splits.orderShipped(order).catch((e) => {
+      console.error(`Error sending shipping message of Order ${order._id}`);
+      console.error(e);
+    });
+
+    return order;
+  }
+
+  async markReceived({ _id }) {
+    try {
+      const order = await this.model.findById(_id);
+
+      if (!order) {
+        throw new Error("Can't find Order with provided id");
       }
 
-      const newOrder = await this.model.findOneAndUpdate(
-        { _id },
-        { status: OrderStatusType.REFUND_REQUESTED },
-        { new: true }
-      );
+      await this.transition(order, OrderStatusType.RECEIVED, {
+        actor: OrderActor.CLIENT,
+      });
 
       return {
         code: 200,
         success: true,
-        order: newOrder,
+        order,
       };
     } catch (e) {
       return {
-        code: 501,
+        code: errorCode(e),
         success: false,
         message: e.message,
       };
-    } finally {
-      session.endSession();
     }
   }
 
-  async confirmRefund({ _id }) {
-    const session = await mongoose.connection.startSession();
-
+  async reportDeliveryProblem({ _id, reason }) {
     try {
-      const { user } = this.context;
-      const order = this.get(_id);
+      const order = await this.model.findById(_id);
 
       if (!order) {
         throw new Error("Can't find Order with provided id");
       }
 
-      if (order.owner !== user._id) {
+      if (order.client.toString() !== this.context.user._id.toString()) {
+        throw new Error('Only the Client can report a delivery problem');
+      }
+
+      if (order.status !== OrderStatusType.SHIPPED) {
         throw new Error(
-          "Only the Order's Owner can grant a refund for an Order"
+          'Delivery problems can only be reported for shipped Orders'
         );
       }
 
-      if (order.status !== OrderStatusType.REFUND_REQUESTED) {
-        throw new Error('No refund request was made by the client');
+      if (!reason || !reason.trim()) {
+        throw new Error('Please describe the problem');
       }
 
-      let newOrder;
-      let refund;
-
-      await session.withTransaction(async () => {
-        //  Client refund request granted, don't refund application fee
-        refund = await this.stripeService.refund(order.paymentIntent);
+      //  Not a status change, no need to go through `transition`
+      order.deliveryProblem = { reason, reported_at: new Date() };
+      await order.save();
 
-        newOrder = await this.model.findOneAndUpdate(
-          { _id },
-          { status: OrderStatusType.REFUNDED },
-          { new: true, session }
-        );
-      });
+      //  The report is saved either way
+      await sendPush(order.owner, {
+        title: 'Delivery problem',
+        body: `${order.metadata.clientName} reported a problem with their order of "${order.metadata.splitTitle}": ${reason}`,
+        data: { order: order._id.toString() },
+      }).catch((e) => console.error(e));
 
       return {
         code: 200,
         success: true,
-        order: newOrder,
-        refund,
+        order,
       };
     } catch (e) {
       return {
@@ -875,38 +3084,50 @@ class OrderDataSource extends BaseDataSource {
         success: false,
         message: e.message,
       };
-    } finally {
-      session.endSession();
     }
   }
 
-  async markShipped({ _id }) {
+  async resolveDeliveryProblem({ _id }) {
     try {
       const { user } = this.context;
-      const order = this.get(_id);
+      const order = await this.model.findById(_id);
 
       if (!order) {
         throw new Error("Can't find Order with provided id");
       }
 
-      if (order.owner !== user._id) {
-        throw new Error("Only the Order's Owner can mark an Order as Shipped");
+      if (
+        user.role !== UserRole.ADMIN &&
+        order.owner.toString() !== user._id.toString()
+      ) {
+        throw new Error('Only the Owner can resolve a delivery problem');
       }
 
-      if (order.status !== OrderStatusType.PAID) {
-        throw new Error("Can't mark order as Shipped at this stage");
+      if (!order.deliveryProblem || !order.deliveryProblem.reason) {
+        throw new Error("This Order doesn't have a delivery problem");
       }
 
-      const newOrder = await this.model.findOneAndUpdate(
-        { _id },
-        { status: OrderStatusType.SHIPPED },
-        { new: true }
-      );
+      const { field, days } = orderDeadlines[OrderStatusType.SHIPPED];
+      const deadline = DateTime.now().plus({ days }).toJSDate();
+
+      //  The old deadline has likely passed while the problem was open
+      order.deliveryProblem = undefined;
+      if (!order[field] || order[field] < deadline) {
+        order[field] = deadline;
+      }
+      order.remindersSent.pull(OrderStatusType.SHIPPED);
+      await order.save();
+
+      await sendPush(order.client, {
+        title: 'Delivery problem resolved',
+        body: `The problem with your order of "${order.metadata.splitTitle}" was marked as resolved`,
+        data: { order: order._id.toString() },
+      }).catch((e) => console.error(e));
 
       return {
         code: 200,
         success: true,
-        order: newOrder,
+        order,
       };
     } catch (e) {
       return {
@@ -917,35 +3138,134 @@ class OrderDataSource extends BaseDataSource {
     }
   }
 
-  async markReceived({ _id }) {
+  /**
+   *  Orders past their `orderDeadlines`, `SHIPPED` ones with
+   *  a delivery problem stay until someone resolves it.
+   *  Older Orders without the deadline fall back to the last update
+   *
+   *  @param status {OrderStatusType}
+   *  @param before {Date} - deadline
+   * */
+  findPastDeadline(status, before) {
+    const { field, days } = orderDeadlines[status];
+    const query = { status };
+
+    if (status === OrderStatusType.SHIPPED) {
+      query.deliveryProblem = null;
+    }
+
+    return this.model.find({
+      ...query,
+      $or: [
+        { [field]: { $lte: before } },
+        {
+          [field]: null,
+          updated_at: {
+            $lte: DateTime.fromJSDate(before).minus({ days }).toJSDate(),
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   *  Moves `SHIPPED` and `RECEIVED` Orders on once their deadline passes
+   * */
+  async advancePastDeadline() {
+    this.initialize();
+
     try {
-      const { user } = this.context;
-      const order = this.get(_id);
+      for (const [status, deadline] of Object.entries(orderDeadlines)) {
+        const orders = await this.findPastDeadline(status, new Date());
+
+        //  One at a time, releasing escrow funds calls Stripe
+        for (const order of orders) {
+          await this.transition(order, deadline.to, {
+            actor: OrderActor.SYSTEM,
+            source: OrderStatusSource.SCHEDULER,
+            reason: deadline.reason,
+          }).catch((e) => {
+            console.error(`Error advancing Order ${order._id}`);
+            console.error(e);
+          });
+        }
+      }
+    } catch (e) {
+      console.error('Error while advancing Orders past their deadline');
+      console.error(e);
+    }
+  }
 
-      if (!order) {
-        throw new Error("Can't find Order with provided id");
+  /**
+   *  Reminds both parties `ORDER_DEADLINE_REMINDER_HOURS` before
+   *  `SHIPPED` and `RECEIVED` Orders move on, once per status
+   * */
+  async sendDeadlineReminders() {
+    this.initialize();
+
+    const before = DateTime.now()
+      .plus({ hours: ORDER_DEADLINE_REMINDER_HOURS })
+      .toJSDate();
+
+    try {
+      for (const [status, deadline] of Object.entries(orderDeadlines)) {
+        const orders = await this.findPastDeadline(status, before).where({
+          remindersSent: { $ne: status },
+        });
+
+        for (const order of orders) {
+          const date = deadlineOf(order, deadline).toLocaleString(
+            DateTime.DATE_MED
+          );
+          const { client, owner } = deadline.reminder(order, date);
+          const data = { order: order._id.toString() };
+
+          //  Marked first, a lost reminder is better than a repeated one.
+          //  `updated_at` is the deadline of older Orders, keep it
+          await this.model.updateOne(
+            { _id: order._id },
+            { $addToSet: { remindersSent: status } },
+            { timestamps: false }
+          );
+
+          await Promise.allSettled([
+            sendPush(order.client, { ...client, data }),
+            sendPush(order.owner, { ...owner, data }),
+          ]);
+        }
       }
+    } catch (e) {
+      console.error('Error while sending Order deadline reminders');
+      console.error(e);
+    }
+  }
 
-      if (order.client !== user._id) {
-        throw new Error(
-          "Only the Order's Client can mark an Order as Received"
-        );
+  async update({ _id, order }) {
+    try {
+      const orderData = await this.model.findOne({
+        _id,
+        client: this.context.user._id,
+      });
+
+      if (!orderData) {
+        throw new Error("Can't find your Order with provided id");
       }
 
-      if (order.status !== OrderStatusType.SHIPPED) {
-        throw new Error("Can't mark order as Received at this stage");
+      if (!editableStatuses.includes(orderData.status)) {
+        throw new Error(
+          `Can't update Order at this stage: ${orderData.status}`
+        );
       }
 
-      const newOrder = await this.model.findOneAndUpdate(
-        { _id },
-        { status: OrderStatusType.RECEIVED },
-        { new: true }
-      );
+      //  Only what `UpdateOrderInput` allows, status changes go through `transition`
+      orderData.shippingAddress =
+        order.shippingAddress || orderData.shippingAddress;
+      await orderData.save();
 
       return {
         code: 200,
         success: true,
-        order: newOrder,
+        order: orderData,
       };
     } catch (e) {
       return {
@@ -955,21 +3275,38 @@ class OrderDataSource extends BaseDataSource {
       };
     }
   }
-  async update({ _id, order }) {
+
+  /**
+   *  As an admin, choose how the Owner is paid for Orders of Splits
+   *  that don't set `payoutMode` themselves. Orders keep the mode
+   *  they were created with
+   * */
+  async setOwnerPayoutMode({ user, payoutMode = null }) {
     try {
-      const newOrder = await this.model.findOneAndUpdate(
-        { _id, client: this.context.user._id },
-        order,
-        { new: true }
+      if (this.context.user.role !== UserRole.ADMIN) {
+        throw new Error('Only admins can change payout modes');
+      }
+
+      const { n } = await UserModel.updateOne(
+        { _id: user },
+        { payoutMode },
+        { runValidators: true }
       );
+
+      if (!n) {
+        throw new Error("Can't find User with provided id");
+      }
+
       return {
         code: 200,
         success: true,
-        order: newOrder,
+        user,
+        payoutMode,
       };
     } catch (e) {
       return {
         code: 501,
+        success: false,
         message: e.message,
       };
     }
@@ -977,15 +3314,11 @@ class OrderDataSource extends BaseDataSource {
 
   async delete({ _id }) {
     try {
-      await this.model.findOneAndUpdate(
-        { _id, client: this.context.user._id },
-        { status: OrderStatusType.DELETE }
-      );
+      if (this.context.user.role !== UserRole.ADMIN) {
+        throw new Error('Only admins can delete Orders');
+      }
 
-      return {
-        code: 200,
-        success: true,
-      };
+      return await super.delete({ _id });
     } catch (e) {
       return {
         code: 501,
@@ -1002,6 +3335,43 @@ const orderDataSource = {
 
 const orderResolver = {
   OrderStatusType,
+  OrderActor,
+  OrderStatusSource,
+  RefundRequestStatus,
+  PayoutMode,
+  ShippingCarrier,
+  Shipment: {
+    carrierName(shipment) {
+      return getCarrierName(shipment);
+    },
+    trackingUrl(shipment) {
+      return getTrackingUrl(shipment);
+    },
+  },
+  OrderHistoryEntry: {
+    user(entry, _, { dataSources: { users } }) {
+      return entry.user ? users.get(entry.user) : null;
+    },
+  },
+  OrderPaymentIntentResponse: {
+    defaultPaymentMethod(_, args, { dataSources: { paymentMethods } }) {
+      return paymentMethods.getDefault();
+    },
+  },
+  OrderMetaData: {
+    amountDecimal(metadata) {
+      return fromMinorUnits(metadata.amount, metadata.currency);
+    },
+    feeAmountDecimal(metadata) {
+      return fromMinorUnits(metadata.feeAmount, metadata.currency);
+    },
+    amountRefundedDecimal(metadata) {
+      return fromMinorUnits(metadata.amountRefunded, metadata.currency);
+    },
+    discountAmountDecimal(metadata) {
+      return fromMinorUnits(metadata.discountAmount, metadata.currency);
+    },
+  },
   Order: {
     owner(order, _, { dataSources: { users } }) {
       return users.nonNullGet(order.owner);
@@ -1040,6 +3410,9 @@ const orderResolver = {
     getOrderPaymentIntent(_, args, { dataSources: { orders } }) {
       return orders.getPaymentIntent(args);
     },
+    getOrderCheckoutSession(_, args, { dataSources: { orders } }) {
+      return orders.getCheckoutSession(args);
+    },
     order(_, args, { dataSources: { orders } }) {
       return orders.getOrder(args);
     },
@@ -1049,6 +3422,9 @@ const orderResolver = {
     myOrders(_, args, { dataSources: { orders } }) {
       return orders.myOrders();
     },
+    refundRequests(_, args, { dataSources: { orders } }) {
+      return orders.refundRequests(args);
+    },
   },
   Mutation: {
     createOrder(_, args, { dataSources: { orders } }) {
@@ -1060,31 +3436,85 @@ const orderResolver = {
     cancelOrderClient(_, args, { dataSources: { orders } }) {
       return orders.cancelClient(args);
     },
-    // requestRefund(_, args, { dataSources: { orders } }) {
-    //   return orders.requestRefund(args);
-    // },
-    // confirmRefund(_, args, { dataSources: { orders } }) {
-    //   return orders.confirmRefund(args);
-    // },
+    cancelOrderSeats(_, args, { dataSources: { orders } }) {
+      return orders.cancelSeats(args);
+    },
+    requestRefund(_, args, { dataSources: { orders } }) {
+      return orders.requestRefund(args);
+    },
+    confirmRefund(_, args, { dataSources: { orders } }) {
+      return orders.confirmRefund(args);
+    },
+    rejectRefund(_, args, { dataSources: { orders } }) {
+      return orders.rejectRefund(args);
+    },
     markOrderShipped(_, args, { dataSources: { orders } }) {
       return orders.markShipped(args);
     },
+    markSplitShipped(_, args, { dataSources: { orders } }) {
+      return orders.markSplitShipped(args);
+    },
     markOrderReceived(_, args, { dataSources: { orders } }) {
       return orders.markReceived(args);
     },
+    reportDeliveryProblem(_, args, { dataSources: { orders } }) {
+      return orders.reportDeliveryProblem(args);
+    },
+    resolveDeliveryProblem(_, args, { dataSources: { orders } }) {
+      return orders.resolveDeliveryProblem(args);
+    },
     updateOrder(_, args, { dataSources: { orders } }) {
       return orders.update(args);
     },
     deleteOrder(_, args, { dataSources: { orders } }) {
       return orders.delete(args);
     },
+    setOwnerPayoutMode(_, args, { dataSources: { orders } }) {
+      return orders.setOwnerPayoutMode(args);
+    },
   },
 };
 
+const scheduleOrders = async () => {
+  const hourly = { minute: 0, tz: 'Etc/UTC' };
+
+  schedule('refundRequestEscalation', hourly, () =>
+    orderDataSource.orders.escalateRefundRequests()
+  );
+
+  schedule('releaseEscrowFunds', hourly, () =>
+    orderDataSource.orders.releaseEscrowFunds()
+  );
+
+  schedule('captureFilledSplits', hourly, () =>
+    orderDataSource.orders.captureFilledSplits()
+  );
+
+  schedule('reauthorizePayments', hourly, () =>
+    orderDataSource.orders.reauthorizePayments()
+  );
+
+  schedule('orderDeadlineReminders', hourly, () =>
+    orderDataSource.orders.sendDeadlineReminders()
+  );
+
+  schedule('advanceOrdersPastDeadline', hourly, () =>
+    orderDataSource.orders.advancePastDeadline()
+  );
+
+  schedule('retryPendingRefunds', hourly, () =>
+    orderDataSource.orders.retryPendingRefunds()
+  );
+};
+
 module.exports = {
   orderTypes,
   orderResolver,
   orderDataSource,
+  scheduleOrders,
+  eventStatusMap,
+  canceledStatuses,
+  seatsRefundAmount,
   OrderModel,
   OrderStatusType,
 };
@@ -0,0 +1,170 @@
+/**
+ *  Order exports for Owners and admins, streamed by `services/exports`
+ *  one Order at a time so large exports don't have to fit in memory.
+ * */
+const mongoose = require('mongoose');
+
+const { transformQuery } = require('../helpers/query');
+const { fromMinorUnits } = require('../helpers/currency');
+const { csvHeader, csvRow } = require('../helpers/csv');
+const { OrderModel } = require('./Order');
+const { UserModel, UserRole } = require('./User');
+
+const ExportFormat = {
+  CSV: 'csv',
+  JSONL: 'jsonl',
+};
+
+//  Same filters as the `OrderQuery` GraphQL input
+const queryKeys = [
+  '_id',
+  'split',
+  'owner',
+  'numSeats',
+  'created_at',
+  'updated_at',
+];
+const objectIdKeys = ['_id', 'split', 'owner'];
+
+const id = (key) => (order) => order[key] && order[key].toString();
+
+const decimal = (key) => (order) =>
+  fromMinorUnits(order.metadata[key] || 0, order.metadata.currency);
+
+//  Clients keep their shipping addresses on their User document
+const formatAddress = (address) =>
+  address &&
+  ['name', 'line1', 'line2', 'postal_code', 'city', 'state', 'country']
+    .map((key) => address[key])
+    .filter(Boolean)
+    .join(', ');
+
+const exportColumns = [
+  { key: 'id', value: id('_id') },
+  { key: 'created_at' },
+  { key: 'status' },
+  { key: 'split', value: id('split') },
+  { key: 'splitTitle', value: (order) => order.metadata.splitTitle },
+  { key: 'owner', value: id('owner') },
+  { key: 'ownerName', value: (order) => order.metadata.ownerName },
+  { key: 'client', value: id('client') },
+  { key: 'clientName', value: (order) => order.metadata.clientName },
+  { key: 'numSeats' },
+  {
+    key: 'shippingAddress',
+    value: (order) => formatAddress(order.shippingAddressDetails),
+  },
+  { key: 'currency', value: (order) => order.metadata.currency },
+  { key: 'amount', value: decimal('amount') },
+  { key: 'feeAmount', value: decimal('feeAmount') },
+  { key: 'discountAmount', value: decimal('discountAmount') },
+  { key: 'amountRefunded', value: decimal('amountRefunded') },
+  { key: 'promoCode', value: (order) => order.metadata.promoCode },
+  { key: 'refunded', value: (order) => !!order.refunded },
+];
+
+/**
+ *  Mongo filter for the export. Owners only get Orders on their Splits
+ *
+ *  @param user {User} - `req.user`
+ *  @param query {OrderQuery} - unknown keys are ignored
+ *  @throws on malformed ids
+ * */
+const exportFilter = (user, query = {}) => {
+  const filter = {};
+
+  queryKeys
+    .filter((key) => query[key] !== undefined && query[key] !== null)
+    .forEach((key) => {
+      if (
+        objectIdKeys.includes(key) &&
+        !mongoose.Types.ObjectId.isValid(query[key])
+      ) {
+        throw new Error(`"${key}" is not a valid id`);
+      }
+
+      filter[key] = query[key];
+    });
+
+  if (user.role !== UserRole.ADMIN) {
+    filter.owner = user._id.toString();
+  }
+
+  return transformQuery(filter);
+};
+
+/**
+ *  Aggregated rather than found to join the client's shipping address,
+ *  which also means the filter has to be cast here
+ *
+ *  @param user {User} - `req.user`
+ *  @param query {OrderQuery}
+ *  @returns {AggregationCursor} - plain objects, oldest first
+ * */
+const exportCursor = (user, query) =>
+  OrderModel.aggregate([
+    { $match: OrderModel.find().cast(OrderModel, exportFilter(user, query)) },
+    { $sort: { created_at: 1 } },
+    {
+      $lookup: {
+        from: UserModel.collection.name,
+        let: { client: '$client', address: '$shippingAddress' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$client'] } } },
+          {
+            $project: {
+              address: {
+                $filter: {
+                  input: { $ifNull: ['$shippingAddresses', []] },
+                  cond: { $eq: ['$$this._id', '$$address'] },
+                },
+              },
+            },
+          },
+          { $unwind: '$address' },
+          { $replaceRoot: { newRoot: '$address' } },
+        ],
+        as: 'shippingAddressDetails',
+      },
+    },
+    {
+      $addFields: {
+        shippingAddressDetails: {
+          $arrayElemAt: ['$shippingAddressDetails', 0],
+        },
+      },
+    },
+  ])
+    .cursor()
+    .exec();
+
+const exportRow = (order) =>
+  exportColumns.reduce((row, column) => {
+    row[column.key] = column.value ? column.value(order) : order[column.key];
+    return row;
+  }, {});
+
+/**
+ *  @param format {ExportFormat}
+ *  @returns {String|null} - first line of the file, with the line break
+ * */
+const formatExportHeader = (format) =>
+  format === ExportFormat.CSV ? `${csvHeader(exportColumns)}\r\n` : null;
+
+/**
+ *  @param order {Order} - plain object
+ *  @param format {ExportFormat}
+ *  @returns {String} - the line, with the line break
+ * */
+const formatExportLine = (order, format) =>
+  format === ExportFormat.CSV
+    ? `${csvRow(order, exportColumns)}\r\n`
+    : `${JSON.stringify(exportRow(order))}\n`;
+
+module.exports = {
+  ExportFormat,
+  exportColumns,
+  exportCursor,
+  formatExportHeader,
+  formatExportLine,
+};
@@ -0,0 +1,315 @@
+/**
+ *  Order status state machine.
+ *
+ *  Every status change of an existing Order has to be listed in
+ *  `orderTransitions`, see `OrderDataSource.transition`
+ * */
+const { DateTime } = require('luxon');
+
+const { UserRole } = require('./User');
+const { REFUND_REQUEST_WINDOW_DAYS } = require('../config');
+
+const OrderStatusType = {
+  PAYMENT_PENDING: 'payment_pending',
+  PAYMENT_FAILED: 'payment_failed',
+  //  `MANUAL` capture, the card is authorized until the Split is filled
+  AUTHORIZED: 'authorized',
+  PAID: 'paid',
+  SYSTEM_CANCELED: 'system_canceled',
+  OWNER_CANCELED: 'owner_canceled',
+  CLIENT_CANCELED: 'client_canceled',
+  REFUND_REQUESTED: 'refund_requested',
+  COMPLETE: 'complete',
+  REFUNDED: 'refunded',
+  SHIPPED: 'shipped',
+  RECEIVED: 'received',
+};
+
+const OrderActor = {
+  CLIENT: 'client',
+  OWNER: 'owner',
+  //  Webhooks, scheduler, bulk operations
+  SYSTEM: 'system',
+  ADMIN: 'admin',
+};
+
+//  Where the status change came from, for the Order history
+const OrderStatusSource = {
+  MUTATION: 'mutation',
+  WEBHOOK: 'webhook',
+  SCHEDULER: 'scheduler',
+  ADMIN: 'admin',
+};
+
+//  Statuses in which the client has paid and still holds seats in the Split.
+//  `AUTHORIZED` Orders hold seats too, but there is nothing to refund yet
+const seatHoldingStatuses = [
+  OrderStatusType.PAID,
+  OrderStatusType.SHIPPED,
+  OrderStatusType.RECEIVED,
+  OrderStatusType.COMPLETE,
+  OrderStatusType.REFUND_REQUESTED,
+];
+
+const RefundRequestStatus = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  //  The Owner didn't respond in time, admins have to decide
+  ESCALATED: 'ESCALATED',
+};
+
+const notRefunded = {
+  check: (order) => !order.refunded,
+  message: 'Order is already refunded',
+};
+
+const notRefundRequested = {
+  check: (order) => !order.refundRequest || !order.refundRequest.status,
+  message: 'Refund was already requested for this Order',
+};
+
+const noDeliveryProblem = {
+  check: (order) => !order.deliveryProblem || !order.deliveryProblem.reason,
+  message: 'The client reported a delivery problem',
+};
+
+//  When the client got the item, falls back to the last update for old Orders
+const receivedAt = (order) => {
+  const entry = (order.history || [])
+    .filter((e) => e.to === OrderStatusType.RECEIVED)
+    .pop();
+
+  return entry ? entry.created_at : order.updated_at;
+};
+
+const withinRefundWindow = {
+  check: (order) =>
+    DateTime.fromJSDate(receivedAt(order))
+      .plus({ days: REFUND_REQUEST_WINDOW_DAYS })
+      .toJSDate() >= new Date(),
+  message: `Refunds can only be requested within ${REFUND_REQUEST_WINDOW_DAYS} days after receiving the Order`,
+};
+
+//  A rejected refund request returns the Order to where it was
+const backToPreviousStatus = {
+  check: (order, { to }) =>
+    !!order.refundRequest && order.refundRequest.previousStatus === to,
+  message: 'Order can only go back to the status it had before the request',
+};
+
+/**
+ *  @typedef OrderTransition
+ *  @property {[OrderStatusType]} from
+ *  @property {OrderStatusType} to
+ *  @property {[OrderActor]} actors - who is allowed to do it
+ *  @property {[{check: Function, message: String}]} [guards] - preconditions,
+ *    `check(order, { actor, user, to })` must return true
+ * */
+const orderTransitions = [
+  //  Payment, driven by Stripe
+  {
+    from: [OrderStatusType.PAYMENT_PENDING, OrderStatusType.PAYMENT_FAILED],
+    to: OrderStatusType.AUTHORIZED,
+    actors: [OrderActor.SYSTEM, OrderActor.ADMIN],
+  },
+  //  `AUTHORIZED` ones are captured when the Split is filled
+  {
+    from: [
+      OrderStatusType.PAYMENT_PENDING,
+      OrderStatusType.PAYMENT_FAILED,
+      OrderStatusType.AUTHORIZED,
+    ],
+    to: OrderStatusType.PAID,
+    actors: [OrderActor.SYSTEM, OrderActor.ADMIN],
+  },
+  {
+    from: [OrderStatusType.PAYMENT_PENDING],
+    to: OrderStatusType.PAYMENT_FAILED,
+    actors: [OrderActor.SYSTEM, OrderActor.ADMIN],
+  },
+  {
+    from: [
+      OrderStatusType.PAYMENT_PENDING,
+      OrderStatusType.PAYMENT_FAILED,
+      OrderStatusType.AUTHORIZED,
+      OrderStatusType.PAID,
+    ],
+    to: OrderStatusType.SYSTEM_CANCELED,
+    actors: [OrderActor.SYSTEM, OrderActor.ADMIN],
+  },
+
+  //  Cancellations
+  {
+    from: [OrderStatusType.AUTHORIZED, OrderStatusType.PAID],
+    to: OrderStatusType.OWNER_CANCELED,
+    actors: [OrderActor.OWNER],
+  },
+  //  The whole Split cancelled by its Owner
+  {
+    from: [
+      OrderStatusType.PAYMENT_PENDING,
+      OrderStatusType.PAYMENT_FAILED,
+      OrderStatusType.AUTHORIZED,
+      OrderStatusType.PAID,
+    ],
+    to: OrderStatusType.OWNER_CANCELED,
+    actors: [OrderActor.SYSTEM, OrderActor.ADMIN],
+  },
+  {
+    from: [OrderStatusType.AUTHORIZED, OrderStatusType.PAID],
+    to: OrderStatusType.CLIENT_CANCELED,
+    actors: [OrderActor.CLIENT],
+  },
+
+  //  Fulfillment
+  {
+    from: [OrderStatusType.PAID],
+    to: OrderStatusType.SHIPPED,
+    actors: [OrderActor.OWNER],
+  },
+  {
+    from: [OrderStatusType.SHIPPED],
+    to: OrderStatusType.RECEIVED,
+    actors: [OrderActor.CLIENT, OrderActor.ADMIN],
+  },
+  //  Not confirmed by the client in time
+  {
+    from: [OrderStatusType.SHIPPED],
+    to: OrderStatusType.RECEIVED,
+    actors: [OrderActor.SYSTEM],
+    guards: [noDeliveryProblem],
+  },
+  {
+    from: [OrderStatusType.RECEIVED],
+    to: OrderStatusType.COMPLETE,
+    actors: [OrderActor.SYSTEM, OrderActor.ADMIN],
+  },
+
+  //  Refunds
+  {
+    from: [OrderStatusType.RECEIVED, OrderStatusType.COMPLETE],
+    to: OrderStatusType.REFUND_REQUESTED,
+    actors: [OrderActor.CLIENT],
+    guards: [notRefunded, notRefundRequested, withinRefundWindow],
+  },
+  //  Refund request rejected
+  {
+    from: [OrderStatusType.REFUND_REQUESTED],
+    to: OrderStatusType.RECEIVED,
+    actors: [OrderActor.OWNER, OrderActor.ADMIN],
+    guards: [backToPreviousStatus],
+  },
+  {
+    from: [OrderStatusType.REFUND_REQUESTED],
+    to: OrderStatusType.COMPLETE,
+    actors: [OrderActor.OWNER, OrderActor.ADMIN],
+    guards: [backToPreviousStatus],
+  },
+  {
+    from: [OrderStatusType.REFUND_REQUESTED],
+    to: OrderStatusType.REFUNDED,
+    actors: [OrderActor.OWNER, OrderActor.ADMIN],
+    guards: [notRefunded],
+  },
+  //  Refunded outside of the API, e.g. from the Stripe Dashboard
+  {
+    from: seatHoldingStatuses,
+    to: OrderStatusType.REFUNDED,
+    actors: [OrderActor.SYSTEM, OrderActor.ADMIN],
+  },
+];
+
+class OrderTransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.code = 409;
+  }
+}
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ *  Checks that `user` really is the `actor` they claim to be for the Order
+ * */
+const isActor = (order, actor, user) => {
+  switch (actor) {
+  case OrderActor.CLIENT:
+    return !!user && sameId(order.client, user._id);
+  case OrderActor.OWNER:
+    return !!user && sameId(order.owner, user._id);
+  case OrderActor.ADMIN:
+    return !!user && user.role === UserRole.ADMIN;
+  case OrderActor.SYSTEM:
+    return true;
+  default:
+    return false;
+  }
+};
+
+/**
+ *  Statuses an Order can be moved from into `to` by `actor`
+ * */
+const allowedFromStatuses = (to, actor) => [
+  ...new Set(
+    orderTransitions
+      .filter((t) => t.to === to && t.actors.includes(actor))
+      .flatMap((t) => t.from)
+  ),
+];
+
+/**
+ *  Throws `OrderTransitionError` if `actor` can't move the Order into `to`
+ *
+ *  @param order {Order}
+ *  @param to {OrderStatusType}
+ *  @param context {Object}
+ *  @param context.actor {OrderActor}
+ *  @param context.user {User} - not needed for `OrderActor.SYSTEM`
+ *  @returns {OrderTransition}
+ * */
+const assertTransition = (order, to, context) => {
+  const { actor, user } = context;
+  const from = order.status;
+
+  if (!isActor(order, actor, user)) {
+    throw new OrderTransitionError(
+      `Only the Order's ${actor} can change its status to ${to}`
+    );
+  }
+
+  const transition = orderTransitions.find(
+    (t) => t.to === to && t.from.includes(from) && t.actors.includes(actor)
+  );
+
+  if (!transition) {
+    throw new OrderTransitionError(
+      `Can't change Order status from ${from} to ${to} as ${actor}`
+    );
+  }
+
+  const failedGuard = (transition.guards || []).find(
+    (guard) => !guard.check(order, { ...context, to })
+  );
+
+  if (failedGuard) {
+    throw new OrderTransitionError(
+      `Can't change Order status from ${from} to ${to}: ${failedGuard.message}`
+    );
+  }
+
+  return transition;
+};
+
+module.exports = {
+  OrderStatusType,
+  OrderActor,
+  OrderStatusSource,
+  OrderTransitionError,
+  RefundRequestStatus,
+  orderTransitions,
+  seatHoldingStatuses,
+  allowedFromStatuses,
+  assertTransition,
+};
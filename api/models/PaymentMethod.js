@@ -0,0 +1,209 @@
+/**
+ *  Cards saved to the user's Stripe customer. Nothing is stored
+ *  on our side, Stripe keeps the cards and the default one.
+ * */
+const { BaseDataSource } = require('./BaseDataSource');
+const { StripeService } = require('../services/stripe');
+const { UserModel } = require('./User');
+
+const paymentMethodTypes = /*gql*/ `
+  type SetupIntentSheet {
+    "SetupIntent client secret for PaymentSheet in setup mode"
+    client_secret: String
+    customer: String
+    ephemeralKey: String
+    stripe_publickey: String
+  }
+
+  type SetupIntentResponse implements MutationResponse {
+    code: String!
+    success: Boolean!
+    message: String
+    setupSheet: SetupIntentSheet
+  }
+
+  type PaymentMethodResponse implements MutationResponse {
+    code: String!
+    success: Boolean!
+    message: String
+    paymentMethod: StripePaymentMethod
+  }
+
+  extend type Query {
+    "Current user's saved cards, the default one first"
+    myPaymentMethods: [StripePaymentMethod]
+  }
+
+  extend type Mutation {
+    "Start saving a new card. It shows up in \`myPaymentMethods\` once the client completes the SetupIntent"
+    addPaymentMethod: SetupIntentResponse
+    "Remove a saved card"
+    detachPaymentMethod(id: String!): PaymentMethodResponse
+    "The card offered at checkout, see \`GetOrderPaymentIntentInput.paymentMethod\`"
+    setDefaultPaymentMethod(id: String!): PaymentMethodResponse
+  }
+`;
+
+class PaymentMethodDataSource extends BaseDataSource {
+  initialize(config) {
+    this.stripeService = new StripeService();
+
+    super.initialize(config);
+  }
+
+  customerId() {
+    const { stripeCustomerId } = this.context.user;
+
+    if (!stripeCustomerId) {
+      throw new Error('Stripe customer is not set up for this user');
+    }
+
+    return stripeCustomerId;
+  }
+
+  /**
+   *  Throws unless the card belongs to the current user
+   * */
+  async getOwn(id) {
+    const paymentMethod = await this.stripeService
+      .getPaymentMethod(id)
+      .catch(() => null);
+
+    if (!paymentMethod || paymentMethod.customer !== this.customerId()) {
+      throw new Error("Can't find a saved card with provided id");
+    }
+
+    return paymentMethod;
+  }
+
+  async list() {
+    const customer = this.customerId();
+
+    const [{ data }, defaultId] = await Promise.all([
+      this.stripeService.getPaymentMethods(customer),
+      this.stripeService.getDefaultPaymentMethodId(customer),
+    ]);
+
+    return data
+      .map((paymentMethod) => ({
+        ...paymentMethod,
+        isDefault: paymentMethod.id === defaultId,
+      }))
+      .sort((a, b) => b.isDefault - a.isDefault);
+  }
+
+  /**
+   *  @returns {StripePaymentMethod|null}
+   * */
+  async getDefault() {
+    const customer = this.customerId();
+    const defaultId = await this.stripeService.getDefaultPaymentMethodId(
+      customer
+    );
+
+    if (!defaultId) {
+      return null;
+    }
+
+    const paymentMethod = await this.stripeService.getPaymentMethod(defaultId);
+
+    return { ...paymentMethod, isDefault: true };
+  }
+
+  async add() {
+    try {
+      const customer = this.customerId();
+
+      const [setupIntent, ephemeralKey] = await Promise.all([
+        this.stripeService.createSetupIntent(customer),
+        this.stripeService.createEphemeralKey(customer),
+      ]);
+
+      return {
+        code: 200,
+        success: true,
+        setupSheet: {
+          client_secret: setupIntent.client_secret,
+          customer,
+          ephemeralKey: ephemeralKey.secret,
+          stripe_publickey: process.env.STRIPE_KEY,
+        },
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  async detach({ id }) {
+    try {
+      await this.getOwn(id);
+
+      const paymentMethod = await this.stripeService.detachPaymentMethod(id);
+
+      return {
+        code: 200,
+        success: true,
+        paymentMethod: { ...paymentMethod, isDefault: false },
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  async setDefault({ id }) {
+    try {
+      const paymentMethod = await this.getOwn(id);
+
+      await this.stripeService.setDefaultPaymentMethod(this.customerId(), id);
+
+      return {
+        code: 200,
+        success: true,
+        paymentMethod: { ...paymentMethod, isDefault: true },
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+}
+
+const paymentMethodDataSource = {
+  paymentMethods: new PaymentMethodDataSource(UserModel),
+};
+
+const paymentMethodResolver = {
+  Query: {
+    myPaymentMethods(_, args, { dataSources: { paymentMethods } }) {
+      return paymentMethods.list();
+    },
+  },
+  Mutation: {
+    addPaymentMethod(_, args, { dataSources: { paymentMethods } }) {
+      return paymentMethods.add();
+    },
+    detachPaymentMethod(_, args, { dataSources: { paymentMethods } }) {
+      return paymentMethods.detach(args);
+    },
+    setDefaultPaymentMethod(_, args, { dataSources: { paymentMethods } }) {
+      return paymentMethods.setDefault(args);
+    },
+  },
+};
+
+module.exports = {
+  paymentMethodTypes,
+  paymentMethodResolver,
+  paymentMethodDataSource,
+};
@@ -0,0 +1,380 @@
+/**
+ *  Split Owner earnings: the balance of their connected account and payouts
+ *  to their bank. Stripe is the source of truth, payout webhooks are only
+ *  recorded here to notify the Owners.
+ * */
+const mongoose = require('mongoose');
+
+const { BaseDataSource } = require('./BaseDataSource');
+const { isDuplicateKeyError } = require('./IdempotencyKey');
+const { StripeService } = require('../services/stripe');
+const { sendPush } = require('../services/push');
+const { fromMinorUnits } = require('../helpers/currency');
+
+const PayoutStatus = {
+  PAID: 'paid',
+  PENDING: 'pending',
+  IN_TRANSIT: 'in_transit',
+  CANCELED: 'canceled',
+  FAILED: 'failed',
+};
+
+//  Owners are notified about these
+const notifiedStatuses = [PayoutStatus.PAID, PayoutStatus.FAILED];
+
+const payoutTypes = /*gql*/ `
+  enum PayoutStatus {
+    ${Object.keys(PayoutStatus).join('\n')}
+  }
+
+  type BalanceAmount {
+    "In the smallest unit of \`currency\`"
+    amount: Int
+    currency: String
+    amountDecimal: Float
+  }
+
+  "Connected account balance, per currency"
+  type Balance {
+    "Can be paid out"
+    available: [BalanceAmount]
+    "Not settled yet"
+    pending: [BalanceAmount]
+  }
+
+  "Funds a payout is made of"
+  type PayoutTransfer {
+    "Platform transfer id, \`tr_...\`"
+    transfer: String
+    "Net amount in the smallest unit of \`currency\`"
+    amount: Int
+    currency: String
+    amountDecimal: Float
+    "The Order the transfer came from, if it's one"
+    order: Order
+  }
+
+  "Payout from the Owner's Stripe balance to their bank"
+  type Payout {
+    "Stripe payout id, \`po_...\`"
+    id: String
+    amount: Int
+    currency: String
+    amountDecimal: Float
+    status: PayoutStatus
+    "Expected date the funds arrive at the bank"
+    arrivalDate: DateTime
+    created: DateTime
+    failureMessage: String
+    "Only with \`myPayout\`, it takes a few Stripe requests"
+    transfers: [PayoutTransfer]
+  }
+
+  type PayoutList {
+    data: [Payout]
+    "Pass the last payout's \`id\` as \`startingAfter\` for the next page"
+    hasMore: Boolean
+  }
+
+  extend type Query {
+    "Current user's connected account balance"
+    myBalance: Balance
+    "Current user's payouts, latest first"
+    myPayouts(limit: Int, startingAfter: String): PayoutList
+    myPayout(id: String!): Payout
+  }
+`;
+
+const PayoutSchema = mongoose.Schema(
+  {
+    payoutId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    account: String,
+    owner: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    amount: Number,
+    currency: String,
+    status: {
+      type: String,
+      enum: Object.values(PayoutStatus),
+    },
+    arrivalDate: Date,
+    failureCode: String,
+    failureMessage: String,
+    //  Latest webhook event applied, and when Stripe created it
+    eventId: String,
+    syncedAt: Date,
+    //  So reprocessed webhooks don't notify twice
+    notifiedStatuses: [String],
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  }
+);
+
+const PayoutModel = mongoose.model('Payout', PayoutSchema);
+
+const toDate = (timestamp) => (timestamp ? new Date(timestamp * 1000) : null);
+
+const transformPayout = (payout) => ({
+  id: payout.id,
+  amount: payout.amount,
+  currency: payout.currency,
+  status: payout.status,
+  arrivalDate: toDate(payout.arrival_date),
+  created: toDate(payout.created),
+  failureMessage: payout.failure_message,
+});
+
+class PayoutDataSource extends BaseDataSource {
+  initialize(config) {
+    this.stripeService = new StripeService();
+
+    super.initialize(config);
+  }
+
+  async accountId() {
+    const { users } = this.context.dataSources;
+
+    const user = await users.model.findOne(
+      { _id: this.context.user._id },
+      'stripeAccountId'
+    );
+
+    if (!user || !user.stripeAccountId) {
+      throw new Error('Stripe account is not set up for this user');
+    }
+
+    return user.stripeAccountId;
+  }
+
+  async balance() {
+    const { available, pending } = await this.stripeService.getBalance(
+      await this.accountId()
+    );
+
+    const amounts = (list) =>
+      (list || []).map(({ amount, currency }) => ({ amount, currency }));
+
+    return {
+      available: amounts(available),
+      pending: amounts(pending),
+    };
+  }
+
+  async list({ limit, startingAfter }) {
+    const { data, has_more } = await this.stripeService.listPayouts(
+      await this.accountId(),
+      { limit: Math.min(limit || 10, 100), startingAfter }
+    );
+
+    return {
+      data: data.map(transformPayout),
+      hasMore: has_more,
+    };
+  }
+
+  async get({ id }) {
+    const payout = await this.stripeService
+      .getPayout(await this.accountId(), id)
+      .catch(() => null);
+
+    if (!payout) {
+      throw new Error("Can't find a payout with provided id");
+    }
+
+    return { ...transformPayout(payout), withTransfers: true };
+  }
+
+  /**
+   *  Transfers the payout is made of, with the Orders they came from.
+   *  `ESCROW` Orders keep their transfer, `DIRECT` ones are found
+   *  through the transfer's charge
+   *
+   *  @param payout {String} - payout id
+   * */
+  async transfers(payout) {
+    const { orders } = this.context.dataSources;
+    const owner = this.context.user._id;
+
+    const transfers = await this.stripeService.getPayoutTransfers(
+      await this.accountId(),
+      payout
+    );
+
+    const escrowOrders = await orders.model.find({
+      owner,
+      transfer: { $in: transfers.map((t) => t.transfer) },
+    });
+
+    const orderByTransfer = new Map(
+      escrowOrders.map((order) => [order.transfer, order])
+    );
+
+    //  One at a time, so we don't hit Stripe rate limits
+    for (const { transfer } of transfers) {
+      if (orderByTransfer.has(transfer)) {
+        continue;
+      }
+
+      const paymentIntent = await this.stripeService
+        .getTransferPaymentIntent(transfer)
+        .catch(() => null);
+
+      const order = paymentIntent
+        ? await orders.model.findOne({ owner, paymentIntent })
+        : null;
+
+      orderByTransfer.set(transfer, order);
+    }
+
+    return transfers.map((transfer) => ({
+      ...transfer,
+      order: orderByTransfer.get(transfer.transfer) || null,
+    }));
+  }
+
+  /**
+   *  Webhook for `payout.*` events of connected accounts
+   *
+   *  @returns {Boolean} - false for the platform's own payouts
+   * */
+  async updateByWebhook(event) {
+    const { users } = this.context.dataSources;
+    const payout = event.data.object;
+
+    if (!event.account) {
+      return false;
+    }
+
+    const owner = await users.model.findOne(
+      { stripeAccountId: event.account },
+      '_id'
+    );
+    const syncedAt = new Date(event.created * 1000);
+
+    let record;
+
+    try {
+      //  Stripe doesn't keep the order, older events don't overwrite newer state
+      record = await this.model.findOneAndUpdate(
+        {
+          payoutId: payout.id,
+          $or: [{ syncedAt: null }, { syncedAt: { $lte: syncedAt } }],
+        },
+        {
+          account: event.account,
+          owner: owner ? owner._id : null,
+          amount: payout.amount,
+          currency: payout.currency,
+          status: payout.status,
+          arrivalDate: toDate(payout.arrival_date),
+          failureCode: payout.failure_code,
+          failureMessage: payout.failure_message,
+          eventId: event.id,
+          syncedAt,
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (e) {
+      //  Stored with a newer event already, the upsert can't insert it again
+      if (isDuplicateKeyError(e)) {
+        return true;
+      }
+
+      throw e;
+    }
+
+    if (
+      owner &&
+      notifiedStatuses.includes(payout.status) &&
+      !record.notifiedStatuses.includes(payout.status)
+    ) {
+      await this.notify(owner._id, payout);
+
+      record.notifiedStatuses.push(payout.status);
+      await record.save();
+    }
+
+    return true;
+  }
+
+  async notify(owner, payout) {
+    const major = fromMinorUnits(payout.amount, payout.currency);
+    const amount = `${major} ${payout.currency.toUpperCase()}`;
+
+    let message = {
+      title: 'You got paid!',
+      body: `Your payout of ${amount} has arrived at your bank`,
+    };
+
+    if (payout.status === PayoutStatus.FAILED) {
+      const reason = payout.failure_message
+        ? `: ${payout.failure_message}`
+        : '';
+
+      message = {
+        title: 'Payout failed',
+        body: `Your payout of ${amount} failed${reason}. Please check your bank details`,
+      };
+    }
+
+    //  A lost notification shouldn't fail the webhook
+    await sendPush(owner, {
+      ...message,
+      data: { payout: payout.id },
+    }).catch((e) => console.error(e));
+  }
+}
+
+const payoutDataSource = {
+  payouts: new PayoutDataSource(PayoutModel),
+};
+
+const amountDecimal = (obj) => fromMinorUnits(obj.amount, obj.currency);
+
+const payoutResolver = {
+  PayoutStatus,
+  BalanceAmount: {
+    amountDecimal,
+  },
+  PayoutTransfer: {
+    amountDecimal,
+  },
+  Payout: {
+    amountDecimal,
+    transfers(payout, _, { dataSources: { payouts } }) {
+      //  Not for every payout of `myPayouts`
+      if (!payout.withTransfers) {
+        return null;
+      }
+
+      return payouts.transfers(payout.id);
+    },
+  },
+  Query: {
+    myBalance(_, args, { dataSources: { payouts } }) {
+      return payouts.balance();
+    },
+    myPayouts(_, args, { dataSources: { payouts } }) {
+      return payouts.list(args);
+    },
+    myPayout(_, args, { dataSources: { payouts } }) {
+      return payouts.get(args);
+    },
+  },
+};
+
+module.exports = {
+  payoutTypes,
+  payoutResolver,
+  payoutDataSource,
+  PayoutModel,
+  PayoutStatus,
+};
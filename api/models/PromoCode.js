@@ -0,0 +1,493 @@
+/**
+ *  Promo codes, applied by the client in `getOrderPaymentIntent`.
+ *
+ *  PLATFORM funded discounts come out of the platform fee, the Owner gets
+ *  the full item price anyway. That's why they're capped at the fee.
+ *  OWNER funded ones reduce the item price, and the Owner's share with it.
+ * */
+const mongoose = require('mongoose');
+
+const { BaseDataSource } = require('./BaseDataSource');
+const { UserRole } = require('./User');
+const {
+  isSupportedCurrency,
+  normalizeCurrency,
+  roundMinorUnits,
+  toMinorUnits,
+} = require('../helpers/currency');
+
+const PromoCodeTarget = {
+  FEE: 'FEE',
+  PRICE: 'PRICE',
+};
+
+const PromoCodeFunding = {
+  PLATFORM: 'PLATFORM',
+  OWNER: 'OWNER',
+};
+
+const promoCodeTypes = /*gql*/ `
+  enum PromoCodeTarget {
+    ${Object.keys(PromoCodeTarget).join('\n')}
+  }
+
+  enum PromoCodeFunding {
+    ${Object.keys(PromoCodeFunding).join('\n')}
+  }
+
+  "Either \`percentOff\` or \`amountOff\` is set"
+  type PromoCode {
+    _id: ObjectID
+    "Case insensitive, stored uppercase"
+    code: String
+    description: String
+    active: Boolean
+    "What the discount is calculated from"
+    target: PromoCodeTarget
+    "Who pays for the discount. \`FEE\` discounts are always funded by the platform"
+    fundedBy: PromoCodeFunding
+    "0 - 100"
+    percentOff: Float
+    "In major units of \`currency\`"
+    amountOff: Float
+    "Required for \`amountOff\`"
+    currency: String
+    "Total number of Orders the code can be used for"
+    maxUses: Int
+    maxUsesPerUser: Int
+    usesCount: Int
+    startsAt: DateTime
+    endsAt: DateTime
+    "Only these Splits, if set"
+    splits: [ObjectID]
+    "Only Splits in these categories, if set"
+    categoryIds: [Int]
+    created_at: DateTime
+    updated_at: DateTime
+  }
+
+  input PromoCodeInput {
+    code: String!
+    description: String
+    active: Boolean
+    target: PromoCodeTarget!
+    fundedBy: PromoCodeFunding
+    percentOff: Float
+    amountOff: Float
+    currency: String
+    maxUses: Int
+    maxUsesPerUser: Int
+    startsAt: DateTime
+    endsAt: DateTime
+    splits: [ObjectID]
+    categoryIds: [Int]
+  }
+
+  type PromoCodeResponse implements MutationResponse {
+    code: String!
+    success: Boolean!
+    message: String
+    promoCode: PromoCode
+  }
+
+  extend type Query {
+    "Admin only"
+    promoCodes(active: Boolean, limit: Int, skip: Int): [PromoCode]
+  }
+
+  extend type Mutation {
+    "Admin only"
+    createPromoCode(promoCode: PromoCodeInput!): PromoCodeResponse
+    "Admin only. \`usesCount\` is kept"
+    updatePromoCode(_id: ObjectID!, promoCode: PromoCodeInput!): PromoCodeResponse
+    "Admin only"
+    deletePromoCode(_id: ObjectID!): PromoCodeResponse
+  }
+`;
+
+const PromoCodeSchema = mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: String,
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    target: {
+      type: String,
+      required: true,
+      enum: Object.values(PromoCodeTarget),
+    },
+    fundedBy: {
+      type: String,
+      enum: Object.values(PromoCodeFunding),
+      default: PromoCodeFunding.PLATFORM,
+    },
+    percentOff: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    amountOff: {
+      type: Number,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      lowercase: true,
+    },
+    maxUses: Number,
+    maxUsesPerUser: Number,
+    usesCount: {
+      type: Number,
+      default: 0,
+    },
+    startsAt: Date,
+    endsAt: Date,
+    splits: [
+      {
+        type: mongoose.Types.ObjectId,
+        ref: 'Split',
+      },
+    ],
+    categoryIds: [Number],
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+  }
+);
+
+const PromoCodeModel = mongoose.model('PromoCode', PromoCodeSchema);
+
+const isSet = (value) => value !== null && value !== undefined;
+
+const normalizeCode = (code) => (code || '').trim().toUpperCase();
+
+/**
+ *  Discount in minor units, never more than `base`
+ *
+ *  @param promoCode {PromoCode}
+ *  @param base {Number} - what the discount is taken from, in minor units
+ *  @param currency {String}
+ * */
+const calcDiscount = (promoCode, base, currency) => {
+  let discount;
+
+  if (isSet(promoCode.discountAmount)) {
+    //  Applied already, see `findApplied`
+    discount = promoCode.discountAmount;
+  } else if (isSet(promoCode.percentOff)) {
+    discount = roundMinorUnits((base * promoCode.percentOff) / 100, currency);
+  } else {
+    discount = toMinorUnits(promoCode.amountOff, currency);
+  }
+
+  return Math.max(0, Math.min(discount, base));
+};
+
+class PromoCodeDataSource extends BaseDataSource {
+  checkAdmin() {
+    if (this.context.user.role !== UserRole.ADMIN) {
+      throw new Error('Only admins can manage promo codes');
+    }
+  }
+
+  /**
+   *  Throws if the promo code doesn't make sense
+   * */
+  validate(promoCode) {
+    const code = normalizeCode(promoCode.code);
+
+    if (!code) {
+      throw new Error('Promo code must not be empty');
+    }
+
+    if (isSet(promoCode.percentOff) === isSet(promoCode.amountOff)) {
+      throw new Error('Either `percentOff` or `amountOff` must be set');
+    }
+
+    if (
+      isSet(promoCode.percentOff) &&
+      (promoCode.percentOff <= 0 || promoCode.percentOff > 100)
+    ) {
+      throw new Error('`percentOff` must be between 0 and 100');
+    }
+
+    if (isSet(promoCode.amountOff)) {
+      if (promoCode.amountOff <= 0) {
+        throw new Error('`amountOff` must be a positive number');
+      }
+
+      if (!promoCode.currency) {
+        throw new Error('Currency is required for `amountOff`');
+      }
+    }
+
+    if (promoCode.currency && !isSupportedCurrency(promoCode.currency)) {
+      throw new Error(`Currency is not supported: ${promoCode.currency}`);
+    }
+
+    const fundedBy = promoCode.fundedBy || PromoCodeFunding.PLATFORM;
+
+    if (
+      promoCode.target === PromoCodeTarget.FEE &&
+      fundedBy !== PromoCodeFunding.PLATFORM
+    ) {
+      throw new Error('Fee discounts can only be funded by the platform');
+    }
+
+    if (
+      promoCode.startsAt &&
+      promoCode.endsAt &&
+      promoCode.startsAt >= promoCode.endsAt
+    ) {
+      throw new Error('Promo code has to start before it ends');
+    }
+
+    return {
+      ...promoCode,
+      code,
+      fundedBy,
+      currency: promoCode.currency
+        ? normalizeCurrency(promoCode.currency)
+        : null,
+    };
+  }
+
+  /**
+   *  Finds the promo code and checks the client can use it
+   *  for the Split, throws otherwise
+   *
+   *  @param code {String} - as entered by the client
+   *  @param split {Split}
+   *  @param client {ObjectID} - the current user by default,
+   *    given by webhooks that don't have one
+   *  @returns {Promise<PromoCode>}
+   * */
+  async findValid({ code, split, client = this.context.user._id }) {
+    const { orders } = this.context.dataSources;
+    const now = new Date();
+
+    const promoCode = await this.model
+      .findOne({ code: normalizeCode(code), active: true })
+      .lean();
+
+    if (!promoCode) {
+      throw new Error('Promo code is not valid');
+    }
+
+    if (
+      (promoCode.startsAt && promoCode.startsAt > now) ||
+      (promoCode.endsAt && promoCode.endsAt <= now)
+    ) {
+      throw new Error('Promo code is not valid at the moment');
+    }
+
+    if (isSet(promoCode.maxUses) && promoCode.usesCount >= promoCode.maxUses) {
+      throw new Error('Promo code has been used up');
+    }
+
+    if (
+      promoCode.splits &&
+      promoCode.splits.length &&
+      !promoCode.splits.some((s) => s.toString() === split._id.toString())
+    ) {
+      throw new Error("Promo code can't be used for this Split");
+    }
+
+    if (
+      promoCode.categoryIds &&
+      promoCode.categoryIds.length &&
+      !(split.categoryIds || []).some((id) =>
+        promoCode.categoryIds.includes(id)
+      )
+    ) {
+      throw new Error("Promo code can't be used for this Split");
+    }
+
+    if (
+      promoCode.currency &&
+      promoCode.currency !== normalizeCurrency(split.currency)
+    ) {
+      throw new Error("Promo code can't be used in this currency");
+    }
+
+    if (isSet(promoCode.maxUsesPerUser)) {
+      //  Cancelled Orders count as well, same as with `usesCount`
+      const used = await orders.model.countDocuments({
+        client,
+        'metadata.promoCode': promoCode.code,
+      });
+
+      if (used >= promoCode.maxUsesPerUser) {
+        throw new Error("You've already used this promo code");
+      }
+    }
+
+    return promoCode;
+  }
+
+  /**
+   *  The promo code a paymentIntent was created with, with the discount
+   *  `findValid` allowed then. The client paid the discounted price already,
+   *  so it's honoured even if the code ran out or changed in the meantime
+   *
+   *  @param metadata {Object} - of the paymentIntent, see `prepareCheckout`
+   * */
+  async findApplied({ promoCode, promoFundedBy, discountAmount }) {
+    //  paymentIntents from before the discount was kept with them
+    if (!isSet(discountAmount)) {
+      const found = await this.model
+        .findOne({ code: normalizeCode(promoCode) })
+        .lean();
+
+      if (!found) {
+        throw new Error('Promo code is not valid');
+      }
+
+      return found;
+    }
+
+    return {
+      code: promoCode,
+      fundedBy: promoFundedBy,
+      discountAmount: Number(discountAmount),
+    };
+  }
+
+  /**
+   *  Counts a use of the promo code. It was valid when the client paid,
+   *  see `findApplied`, so it's counted even past `maxUses`
+   * */
+  async redeem(promoCode, session) {
+    return await this.model.findOneAndUpdate(
+      { code: promoCode.code },
+      { $inc: { usesCount: 1 } },
+      { session, new: true }
+    );
+  }
+
+  async list({ active, limit, skip }) {
+    this.checkAdmin();
+
+    return await this.model.find(isSet(active) ? { active } : {}, null, {
+      limit,
+      skip,
+      sort: { created_at: -1 },
+    });
+  }
+
+  async create({ promoCode }) {
+    try {
+      this.checkAdmin();
+
+      const newPromoCode = await this.model.create(this.validate(promoCode));
+
+      return {
+        code: 200,
+        success: true,
+        promoCode: newPromoCode,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  async update({ _id, promoCode }) {
+    try {
+      this.checkAdmin();
+
+      const updatedPromoCode = await this.model.findOneAndUpdate(
+        { _id },
+        this.validate(promoCode),
+        { new: true, runValidators: true }
+      );
+
+      if (!updatedPromoCode) {
+        throw new Error("Can't find promo code with provided id");
+      }
+
+      return {
+        code: 200,
+        success: true,
+        promoCode: updatedPromoCode,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  async delete({ _id }) {
+    try {
+      this.checkAdmin();
+
+      const promoCode = await this.model.findOneAndDelete({ _id });
+
+      if (!promoCode) {
+        throw new Error("Can't find promo code with provided id");
+      }
+
+      return {
+        code: 200,
+        success: true,
+        promoCode,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+}
+
+const promoCodeDataSource = {
+  promoCodes: new PromoCodeDataSource(PromoCodeModel),
+};
+
+const promoCodeResolver = {
+  PromoCodeTarget,
+  PromoCodeFunding,
+  Query: {
+    promoCodes(_, args, { dataSources: { promoCodes } }) {
+      return promoCodes.list(args);
+    },
+  },
+  Mutation: {
+    createPromoCode(_, args, { dataSources: { promoCodes } }) {
+      return promoCodes.create(args);
+    },
+    updatePromoCode(_, args, { dataSources: { promoCodes } }) {
+      return promoCodes.update(args);
+    },
+    deletePromoCode(_, args, { dataSources: { promoCodes } }) {
+      return promoCodes.delete(args);
+    },
+  },
+};
+
+module.exports = {
+  promoCodeTypes,
+  promoCodeResolver,
+  promoCodeDataSource,
+  calcDiscount,
+  PromoCodeModel,
+  PromoCodeFunding,
+  PromoCodeTarget,
+};
@@ -0,0 +1,364 @@
+/**
+ *  Order receipts, built from `OrderMetaData` and the stored amounts so they
+ *  don't change when the Split does. Served by `services/receipts`.
+ *
+ *  Receipt numbers are given out once, when the receipt is first requested.
+ * */
+const PDFDocument = require('pdfkit');
+
+const { StripeService } = require('../services/stripe');
+const { fromMinorUnits, roundMinorUnits } = require('../helpers/currency');
+const { nextSequence } = require('./Counter');
+const { OrderModel } = require('./Order');
+const { PromoCodeFunding } = require('./PromoCode');
+const { OrderStatusType, seatHoldingStatuses } = require('./OrderStatus');
+
+const RECEIPT_SEQUENCE = 'receipt';
+const COMPANY_NAME = 'WannaSplit';
+
+const receiptTypes = /*gql*/ `
+  extend type Order {
+    "e.g. \`WS-000042\`, empty until the receipt is first downloaded"
+    receiptNumber: String
+    "HTML receipt, add \`?format=pdf\` for PDF. Needs the same authorization header. Empty if the Order wasn't paid"
+    receiptUrl: String
+  }
+`;
+
+const formatReceiptNumber = (number) =>
+  number ? `WS-${String(number).padStart(6, '0')}` : null;
+
+const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+  }).format(fromMinorUnits(amount, currency));
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const paidEntry = (order) =>
+  (order.history || []).find((entry) => entry.to === OrderStatusType.PAID);
+
+/**
+ *  Only Orders that have been charged get a receipt,
+ *  refunded and cancelled ones included
+ * */
+const hasReceipt = (order) =>
+  seatHoldingStatuses.includes(order.status) ||
+  order.status === OrderStatusType.REFUNDED ||
+  !!paidEntry(order);
+
+const refundStatus = (order) => {
+  const { amountRefunded, currency } = order.metadata;
+
+  if (order.refunded) {
+    return 'Refunded';
+  }
+
+  if (amountRefunded) {
+    return `Partially refunded, ${formatAmount(amountRefunded, currency)}`;
+  }
+
+  if (order.status === OrderStatusType.REFUND_REQUESTED) {
+    return 'Refund requested';
+  }
+
+  return 'Not refunded';
+};
+
+/**
+ *  Price lines of the receipt. `amount - feeAmount` is what the Owner got,
+ *  so discounts are added back to whatever they were taken from.
+ *
+ *  Seats are listed as paid, cancelled ones are part of the refund
+ *
+ *  @returns {[{label: String, amount: Number}]} - amounts in minor units
+ * */
+const priceLines = (order) => {
+  const {
+    amount,
+    feeAmount,
+    amountRefunded,
+    discountAmount,
+    promoCode,
+    promoFundedBy,
+    splitTitle,
+    currency,
+  } = order.metadata;
+  const discount = discountAmount || 0;
+  const ownerDiscount = promoFundedBy === PromoCodeFunding.OWNER ? discount : 0;
+  const platformDiscount =
+    promoFundedBy === PromoCodeFunding.PLATFORM ? discount : 0;
+
+  //  Orders from before the paid seats were kept didn't cancel any
+  const numSeats = order.metadata.numSeats || order.numSeats;
+  const seatsTotal = amount - feeAmount + ownerDiscount;
+  const seatPrice = roundMinorUnits(seatsTotal / numSeats, currency);
+
+  const lines = [
+    {
+      label: `${numSeats} x seat of "${splitTitle}" at ${formatAmount(
+        seatPrice,
+        currency
+      )}`,
+      amount: seatsTotal,
+    },
+  ];
+
+  if (ownerDiscount) {
+    lines.push({ label: `Discount (${promoCode})`, amount: -ownerDiscount });
+  }
+
+  lines.push({
+    label: 'Platform fee',
+    amount: feeAmount + platformDiscount,
+  });
+
+  if (platformDiscount) {
+    lines.push({
+      label: `Platform fee discount (${promoCode})`,
+      amount: -platformDiscount,
+    });
+  }
+
+  if (amountRefunded) {
+    lines.push({ label: 'Refunded', amount: -amountRefunded });
+  }
+
+  return lines;
+};
+
+/**
+ *  Gives the Order its receipt number if it doesn't have one yet
+ * */
+const assignReceiptNumber = async (order) => {
+  if (order.receiptNumber) {
+    return order.receiptNumber;
+  }
+
+  const receiptNumber = await nextSequence(RECEIPT_SEQUENCE);
+
+  const updated = await OrderModel.findOneAndUpdate(
+    { _id: order._id, receiptNumber: null },
+    { receiptNumber },
+    { new: true }
+  );
+
+  if (updated) {
+    return receiptNumber;
+  }
+
+  //  A concurrent request numbered it first, this number is skipped
+  const numbered = await OrderModel.findById(order._id, 'receiptNumber');
+
+  return numbered.receiptNumber;
+};
+
+/**
+ *  @returns {{brand: String, last4: String}|null}
+ * */
+const getCard = async (order) => {
+  const stripeService = new StripeService();
+
+  const paymentIntent = await stripeService
+    .getPaymentIntent(order.paymentIntent)
+    .catch(() => null);
+
+  if (!paymentIntent || !paymentIntent.payment_method) {
+    return null;
+  }
+
+  const paymentMethod = await stripeService
+    .getPaymentMethod(paymentIntent.payment_method)
+    .catch(() => null);
+
+  if (!paymentMethod || !paymentMethod.card) {
+    return null;
+  }
+
+  return {
+    brand: paymentMethod.card.brand,
+    last4: paymentMethod.card.last4,
+  };
+};
+
+/**
+ *  Everything the receipt shows, formatted
+ *
+ *  @param order {Order}
+ *  @throws if the Order wasn't paid
+ * */
+const getReceipt = async (order) => {
+  if (!hasReceipt(order)) {
+    throw new Error("The Order wasn't paid, there's no receipt for it");
+  }
+
+  const { currency } = order.metadata;
+
+  const [number, card] = await Promise.all([
+    assignReceiptNumber(order),
+    getCard(order),
+  ]);
+
+  const paid = paidEntry(order);
+
+  return {
+    number: formatReceiptNumber(number),
+    order: order._id.toString(),
+    paidAt: formatDate(paid ? paid.created_at : order.created_at),
+    issuedAt: formatDate(new Date()),
+    client: order.metadata.clientName,
+    owner: order.metadata.ownerName,
+    split: order.metadata.splitTitle,
+    lines: priceLines(order).map((line) => ({
+      label: line.label,
+      amount: formatAmount(line.amount, currency),
+    })),
+    //  What's left after refunds, the lines add up to it
+    total: formatAmount(
+      order.metadata.amount - (order.metadata.amountRefunded || 0),
+      currency
+    ),
+    paymentMethod: card
+      ? `${card.brand.toUpperCase()} ending in ${card.last4}`
+      : 'Card',
+    refundStatus: refundStatus(order),
+  };
+};
+
+const renderReceiptHtml = (receipt) => {
+  const e = escapeHtml;
+  const company = e(COMPANY_NAME);
+
+  const row = (label, amount, className = '') =>
+    `<tr class="${className}"><td>${e(label)}</td><td class="amount">${e(
+      amount
+    )}</td></tr>`;
+
+  const lines = receipt.lines
+    .map((line) => row(line.label, line.amount))
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Receipt ${e(receipt.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; max-width: 640px; margin: 40px auto; color: #222; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 6px 0; border-bottom: 1px solid #eee; }
+    .amount { text-align: right; white-space: nowrap; }
+    .total td { font-weight: bold; border-bottom: none; }
+    .muted { color: #777; }
+  </style>
+</head>
+<body>
+  <h1>${company} receipt</h1>
+  <p class="muted">
+    Receipt ${e(receipt.number)}<br>
+    Order ${e(receipt.order)}<br>
+    Paid on ${e(receipt.paidAt)}, issued on ${e(receipt.issuedAt)}
+  </p>
+  <p>
+    <strong>Billed to:</strong> ${e(receipt.client)}<br>
+    <strong>Sold by:</strong> ${e(receipt.owner)}, through ${company}<br>
+    <strong>Split:</strong> ${e(receipt.split)}
+  </p>
+  <table>
+    ${lines}
+    ${row('Total paid', receipt.total, 'total')}
+  </table>
+  <p>
+    <strong>Payment method:</strong> ${e(receipt.paymentMethod)}<br>
+    <strong>Refund status:</strong> ${e(receipt.refundStatus)}
+  </p>
+</body>
+</html>
+`;
+};
+
+/**
+ *  Writes the PDF into the stream, e.g. an Express response
+ * */
+const renderReceiptPdf = (receipt, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const width = doc.page.width - 100;
+
+  doc.pipe(stream);
+
+  doc.fontSize(20).text(`${COMPANY_NAME} receipt`);
+  doc.moveDown(0.5);
+
+  doc
+    .fontSize(10)
+    .fillColor('#777777')
+    .text(`Receipt ${receipt.number}`)
+    .text(`Order ${receipt.order}`)
+    .text(`Paid on ${receipt.paidAt}, issued on ${receipt.issuedAt}`);
+  doc.moveDown();
+
+  doc
+    .fillColor('#222222')
+    .text(`Billed to: ${receipt.client}`)
+    .text(`Sold by: ${receipt.owner}, through ${COMPANY_NAME}`)
+    .text(`Split: ${receipt.split}`);
+  doc.moveDown();
+
+  const row = (label, amount, font = 'Helvetica') => {
+    const y = doc.y;
+
+    doc.font(font).text(label, 50, y, { width: width - 120 });
+    doc.text(amount, 50, y, { width, align: 'right' });
+    doc.moveDown(0.5);
+  };
+
+  receipt.lines.forEach((line) => row(line.label, line.amount));
+  row('Total paid', receipt.total, 'Helvetica-Bold');
+  doc.moveDown();
+
+  doc
+    .font('Helvetica')
+    .text(`Payment method: ${receipt.paymentMethod}`, 50)
+    .text(`Refund status: ${receipt.refundStatus}`);
+
+  doc.end();
+};
+
+const receiptResolver = {
+  Order: {
+    receiptNumber(order) {
+      return formatReceiptNumber(order.receiptNumber);
+    },
+    receiptUrl(order) {
+      if (!hasReceipt(order)) {
+        return null;
+      }
+
+      return `${process.env.DOMAIN_PREFIX}/receipts/${order._id}`;
+    },
+  },
+};
+
+module.exports = {
+  receiptTypes,
+  receiptResolver,
+  getReceipt,
+  priceLines,
+  renderReceiptHtml,
+  renderReceiptPdf,
+};
@@ -0,0 +1,437 @@
+/**
+ *  Nightly comparison of Orders with their paymentIntents in Stripe.
+ *
+ *  Webhooks can fail or never arrive. Whatever can be fixed through the usual
+ *  status update path is fixed, everything found goes to the report.
+ * */
+const mongoose = require('mongoose');
+
+const { BaseDataSource } = require('./BaseDataSource');
+const {
+  StripeService,
+  StripePaymentStatusType,
+} = require('../services/stripe');
+const { schedule } = require('../services/scheduler');
+const { UserRole } = require('./User');
+const { RECONCILIATION_TIMEOUT } = require('../config');
+const { eventStatusMap } = require('./Order');
+const {
+  OrderActor,
+  OrderStatusSource,
+  OrderStatusType,
+  allowedFromStatuses,
+  seatHoldingStatuses,
+} = require('./OrderStatus');
+
+const ReconciliationStatus = {
+  RUNNING: 'RUNNING',
+  COMPLETE: 'COMPLETE',
+  FAILED: 'FAILED',
+};
+
+//  Orders checked between saves of the running report
+const REPORT_SAVE_INTERVAL = 50;
+
+const DiscrepancyType = {
+  //  Order status doesn't match the paymentIntent status
+  STATUS: 'STATUS',
+  //  Refunded amount doesn't match the charge
+  REFUND: 'REFUND',
+  MISSING_PAYMENT_INTENT: 'MISSING_PAYMENT_INTENT',
+};
+
+//  Orders that can still change because of Stripe
+const reconciledStatuses = [
+  OrderStatusType.PAYMENT_PENDING,
+  OrderStatusType.PAYMENT_FAILED,
+  OrderStatusType.AUTHORIZED,
+  OrderStatusType.PAID,
+  OrderStatusType.SHIPPED,
+  OrderStatusType.RECEIVED,
+  OrderStatusType.REFUND_REQUESTED,
+];
+
+const unpaidStatuses = [
+  OrderStatusType.PAYMENT_PENDING,
+  OrderStatusType.PAYMENT_FAILED,
+];
+
+//  Order statuses that make sense for a paymentIntent status
+const consistentStatuses = {
+  [StripePaymentStatusType.SUCCESS]: [
+    ...seatHoldingStatuses,
+    OrderStatusType.REFUNDED,
+  ],
+  [StripePaymentStatusType.REQUIRE_CAPTURE]: [OrderStatusType.AUTHORIZED],
+  [StripePaymentStatusType.CANCELED]: [
+    OrderStatusType.SYSTEM_CANCELED,
+    OrderStatusType.OWNER_CANCELED,
+    OrderStatusType.CLIENT_CANCELED,
+  ],
+  [StripePaymentStatusType.PROCESSING]: unpaidStatuses,
+  [StripePaymentStatusType.REQUIRE_PAYMENT_METHOD]: unpaidStatuses,
+  [StripePaymentStatusType.REQUIRE_CONFIRMATION]: unpaidStatuses,
+  [StripePaymentStatusType.REUIRE_ACTION]: unpaidStatuses,
+};
+
+const reconciliationTypes = /*gql*/ `
+  enum ReconciliationStatus {
+    ${Object.keys(ReconciliationStatus).join('\n')}
+  }
+
+  enum DiscrepancyType {
+    ${Object.keys(DiscrepancyType).join('\n')}
+  }
+
+  type Discrepancy {
+    type: DiscrepancyType
+    order: Order
+    paymentIntent: String
+    orderStatus: OrderStatusType
+    "paymentIntent status"
+    stripeStatus: String
+    "In the smallest currency unit"
+    orderAmountRefunded: Int
+    stripeAmountRefunded: Int
+    "Fixed through the usual status update path"
+    corrected: Boolean
+    "What was done about it"
+    correction: String
+    "Why the correction failed"
+    error: String
+  }
+
+  type ReconciliationReport {
+    _id: ObjectID
+    status: ReconciliationStatus
+    "Number of Orders compared"
+    checked: Int
+    "Number of discrepancies corrected"
+    corrected: Int
+    discrepancies: [Discrepancy]
+    "Why the whole run failed"
+    error: String
+    "CSV download, add \`?format=json\` for JSON. Needs the same authorization header"
+    downloadUrl: String
+    startedAt: DateTime
+    finishedAt: DateTime
+  }
+
+  extend type Query {
+    "Admin only, latest first"
+    reconciliationReports(limit: Int, skip: Int): [ReconciliationReport]
+    "Admin only"
+    reconciliationReport(_id: ObjectID!): ReconciliationReport
+  }
+`;
+
+const DiscrepancySchema = mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(DiscrepancyType),
+  },
+  order: {
+    type: mongoose.Types.ObjectId,
+    ref: 'Order',
+  },
+  paymentIntent: String,
+  orderStatus: String,
+  stripeStatus: String,
+  orderAmountRefunded: Number,
+  stripeAmountRefunded: Number,
+  corrected: {
+    type: Boolean,
+    default: false,
+  },
+  correction: String,
+  error: String,
+});
+
+const ReconciliationReportSchema = mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(ReconciliationStatus),
+    default: ReconciliationStatus.RUNNING,
+  },
+  checked: {
+    type: Number,
+    default: 0,
+  },
+  corrected: {
+    type: Number,
+    default: 0,
+  },
+  discrepancies: [DiscrepancySchema],
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  finishedAt: Date,
+});
+
+const ReconciliationReportModel = mongoose.model(
+  'ReconciliationReport',
+  ReconciliationReportSchema
+);
+
+//  Columns of the CSV download
+const discrepancyColumns = [
+  { key: 'type' },
+  { key: 'order', value: (d) => d.order && d.order.toString() },
+  { key: 'paymentIntent' },
+  { key: 'orderStatus' },
+  { key: 'stripeStatus' },
+  { key: 'orderAmountRefunded' },
+  { key: 'stripeAmountRefunded' },
+  { key: 'corrected' },
+  { key: 'correction' },
+  { key: 'error' },
+];
+
+class ReconciliationDataSource extends BaseDataSource {
+  initialize(config) {
+    this.stripeService = new StripeService();
+
+    super.initialize(config);
+  }
+
+  checkAdmin() {
+    if (this.context.user.role !== UserRole.ADMIN) {
+      throw new Error('Only admins can access reconciliation reports');
+    }
+  }
+
+  async list({ limit, skip }) {
+    this.checkAdmin();
+
+    return await this.model.find({}, null, {
+      limit,
+      skip,
+      sort: { startedAt: -1 },
+    });
+  }
+
+  async getReport({ _id }) {
+    this.checkAdmin();
+
+    return await this.model.findById(_id);
+  }
+
+  /**
+   *  Compares one Order with Stripe and corrects it if it's safe,
+   *  meaning the transition table allows the system to do it.
+   *  Stripe errors other than a missing paymentIntent are thrown
+   *
+   *  @returns {[Discrepancy]}
+   * */
+  async reconcileOrder(order) {
+    const { orders } = this.context.dataSources;
+    const history = {
+      source: OrderStatusSource.SCHEDULER,
+      reason: 'Reconciliation with Stripe',
+    };
+
+    const paymentIntent = await this.stripeService.getPaymentIntent(
+      order.paymentIntent
+    );
+
+    if (!paymentIntent) {
+      return [
+        {
+          type: DiscrepancyType.MISSING_PAYMENT_INTENT,
+          order: order._id,
+          paymentIntent: order.paymentIntent,
+          orderStatus: order.status,
+        },
+      ];
+    }
+
+    const discrepancies = [];
+
+    const consistent = consistentStatuses[paymentIntent.status] || [];
+
+    if (!consistent.includes(order.status)) {
+      const from = order.status;
+      const to = eventStatusMap[paymentIntent.status];
+      const discrepancy = {
+        type: DiscrepancyType.STATUS,
+        order: order._id,
+        paymentIntent: paymentIntent.id,
+        orderStatus: from,
+        stripeStatus: paymentIntent.status,
+      };
+
+      if (to && allowedFromStatuses(to, OrderActor.SYSTEM).includes(from)) {
+        try {
+          await orders.updateOrderStatus(paymentIntent, order, history);
+
+          discrepancy.corrected = true;
+          discrepancy.correction = `Status changed from ${from} to ${to}`;
+        } catch (e) {
+          discrepancy.error = e.message;
+        }
+      }
+
+      discrepancies.push(discrepancy);
+    }
+
+    const charge =
+      paymentIntent.charges && paymentIntent.charges.data.length
+        ? paymentIntent.charges.data[0]
+        : null;
+    const amountRefunded =
+      (order.metadata && order.metadata.amountRefunded) || 0;
+
+    if (
+      charge &&
+      charge.captured &&
+      (charge.amount_refunded !== amountRefunded ||
+        charge.refunded !== !!order.refunded)
+    ) {
+      const discrepancy = {
+        type: DiscrepancyType.REFUND,
+        order: order._id,
+        paymentIntent: paymentIntent.id,
+        orderStatus: order.status,
+        stripeStatus: paymentIntent.status,
+        orderAmountRefunded: amountRefunded,
+        stripeAmountRefunded: charge.amount_refunded,
+      };
+
+      try {
+        await orders.updateOrderRefund(charge, order, history);
+
+        discrepancy.corrected = true;
+        discrepancy.correction = `Refunded amount set to ${charge.amount_refunded}, status is ${order.status}`;
+      } catch (e) {
+        discrepancy.error = e.message;
+      }
+
+      discrepancies.push(discrepancy);
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   *  Runs that never finished, e.g. the process was restarted,
+   *  would stay `RUNNING` forever
+   * */
+  async failInterrupted() {
+    const startedBefore = new Date(Date.now() - RECONCILIATION_TIMEOUT * 1000);
+
+    await this.model.updateMany(
+      {
+        status: ReconciliationStatus.RUNNING,
+        startedAt: { $lt: startedBefore },
+      },
+      {
+        status: ReconciliationStatus.FAILED,
+        error: 'Interrupted',
+        finishedAt: new Date(),
+      }
+    );
+  }
+
+  /**
+   *  One Order at a time, so we don't hit Stripe rate limits.
+   *  The report is saved as it goes, what was found before
+   *  a crash isn't lost
+   * */
+  async run() {
+    this.initialize();
+
+    const { orders } = this.context.dataSources;
+
+    await this.failInterrupted().catch((e) => console.error(e));
+
+    const report = await this.model.create({});
+
+    try {
+      await orders.model
+        .find({ status: { $in: reconciledStatuses } })
+        .cursor()
+        .eachAsync(async (order) => {
+          report.checked += 1;
+
+          try {
+            const discrepancies = await this.reconcileOrder(order);
+
+            report.discrepancies.push(...discrepancies);
+            report.corrected += discrepancies.filter((d) => d.corrected).length;
+          } catch (e) {
+            report.discrepancies.push({
+              order: order._id,
+              paymentIntent: order.paymentIntent,
+              orderStatus: order.status,
+              error: e.message,
+            });
+          }
+
+          if (report.checked % REPORT_SAVE_INTERVAL === 0) {
+            await report.save();
+          }
+        });
+
+      report.status = ReconciliationStatus.COMPLETE;
+    } catch (e) {
+      console.error('Error while reconciling Orders with Stripe');
+      console.error(e);
+
+      report.status = ReconciliationStatus.FAILED;
+      report.error = e.message;
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    return report;
+  }
+}
+
+const reconciliationDataSource = {
+  reconciliations: new ReconciliationDataSource(ReconciliationReportModel),
+};
+
+const reconciliationResolver = {
+  ReconciliationStatus,
+  DiscrepancyType,
+  Discrepancy: {
+    order(discrepancy, _, { dataSources: { orders } }) {
+      return discrepancy.order ? orders.get(discrepancy.order) : null;
+    },
+  },
+  ReconciliationReport: {
+    downloadUrl(report) {
+      return `${process.env.DOMAIN_PREFIX}/reports/reconciliation/${report._id}`;
+    },
+  },
+  Query: {
+    reconciliationReports(_, args, { dataSources: { reconciliations } }) {
+      return reconciliations.list(args);
+    },
+    reconciliationReport(_, args, { dataSources: { reconciliations } }) {
+      return reconciliations.getReport(args);
+    },
+  },
+};
+
+const scheduleReconciliation = async () => {
+  //  After the daily Split jobs at midnight
+  schedule('orderReconciliation', { hour: 2, minute: 0, tz: 'Etc/UTC' }, () =>
+    reconciliationDataSource.reconciliations.run()
+  );
+};
+
+module.exports = {
+  reconciliationTypes,
+  reconciliationResolver,
+  reconciliationDataSource,
+  scheduleReconciliation,
+  discrepancyColumns,
+  ReconciliationReportModel,
+  ReconciliationStatus,
+  DiscrepancyType,
+};
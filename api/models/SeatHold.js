@@ -0,0 +1,357 @@
+/**
+ *  Seats held for a client between `getOrderPaymentIntent` and `createOrder`,
+ *  so two clients can't pay for the same last seat.
+ *
+ *  Held seats are taken out of the Split's `placesLeft` right away and
+ *  counted in `heldSeats`, everything that reads `placesLeft` sees them
+ *  as taken. Converting or releasing the hold gives them back.
+ * */
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const { BaseDataSource } = require('./BaseDataSource');
+const {
+  StripeService,
+  StripePaymentStatusType,
+} = require('../services/stripe');
+const { schedule } = require('../services/scheduler');
+const { SEAT_HOLD_MINUTES } = require('../config');
+
+const SeatHoldStatus = {
+  ACTIVE: 'ACTIVE',
+  //  Turned into an Order
+  CONVERTED: 'CONVERTED',
+  //  Given up by the client or a failed `createOrder`
+  RELEASED: 'RELEASED',
+  EXPIRED: 'EXPIRED',
+};
+
+//  Nothing has been charged or authorized for these yet
+const cancellableStatuses = [
+  StripePaymentStatusType.REQUIRE_PAYMENT_METHOD,
+  StripePaymentStatusType.REQUIRE_CONFIRMATION,
+  StripePaymentStatusType.REUIRE_ACTION,
+];
+
+const SeatHoldSchema = mongoose.Schema(
+  {
+    split: {
+      type: mongoose.Types.ObjectId,
+      ref: 'Split',
+      required: true,
+    },
+    client: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    numSeats: {
+      type: Number,
+      required: true,
+    },
+    paymentIntent: {
+      type: String,
+      index: true,
+    },
+    //  Web checkout, its paymentIntent goes with it
+    checkoutSession: String,
+    order: {
+      type: mongoose.Types.ObjectId,
+      ref: 'Order',
+    },
+    status: {
+      type: String,
+      enum: Object.values(SeatHoldStatus),
+      default: SeatHoldStatus.ACTIVE,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  }
+);
+
+SeatHoldSchema.index({ status: 1, expiresAt: 1 });
+SeatHoldSchema.index({ split: 1, client: 1, status: 1 });
+
+const SeatHoldModel = mongoose.model('SeatHold', SeatHoldSchema);
+
+class SeatHoldDataSource extends BaseDataSource {
+  initialize(config) {
+    this.stripeService = new StripeService();
+
+    super.initialize(config);
+  }
+
+  /**
+   *  Holds `numSeats` of the Split for the client, throws if there aren't
+   *  that many left. The client's previous holds on the Split are replaced,
+   *  their seats count as free here.
+   *
+   *  @param split {ObjectID}
+   *  @param numSeats {Number}
+   *  @param client {ObjectID} - the current user by default
+   *  @param expiresAt {Date} - `SEAT_HOLD_MINUTES` from now by default
+   *  @param session {Mongoose.Session} - optional, runs its own transaction otherwise
+   *  @returns {Promise<SeatHold>}
+   * */
+  async place({
+    split,
+    numSeats,
+    client = this.context.user._id,
+    expiresAt = null,
+    session = null,
+  }) {
+    const { splits } = this.context.dataSources;
+
+    const take = async (session) => {
+      const previous = await this.model.find(
+        { split, client, status: SeatHoldStatus.ACTIVE },
+        null,
+        { session }
+      );
+
+      for (const hold of previous) {
+        await this.end(hold, SeatHoldStatus.RELEASED, { session });
+      }
+
+      const splitData = await splits.model.findOneAndUpdate(
+        { _id: split, placesLeft: { $gte: numSeats } },
+        { $inc: { placesLeft: -numSeats, heldSeats: numSeats } },
+        { session, new: true }
+      );
+
+      if (!splitData) {
+        throw new Error("Can't order this many seats");
+      }
+
+      const [hold] = await this.model.create(
+        [
+          {
+            split,
+            client,
+            numSeats,
+            expiresAt:
+              expiresAt ||
+              DateTime.now().plus({ minutes: SEAT_HOLD_MINUTES }).toJSDate(),
+          },
+        ],
+        { session }
+      );
+
+      return { hold, previous };
+    };
+
+    if (session) {
+      return (await take(session)).hold;
+    }
+
+    const ownSession = await mongoose.connection.startSession();
+
+    let result;
+
+    try {
+      await ownSession.withTransaction(async () => {
+        result = await take(ownSession);
+      });
+    } finally {
+      ownSession.endSession();
+    }
+
+    //  The previous paymentIntents are given up
+    for (const hold of result.previous) {
+      await this.cancelPayment(hold).catch((e) => console.error(e));
+    }
+
+    return result.hold;
+  }
+
+  /**
+   *  Number of seats of the Split held for the current user
+   * */
+  async heldByMe(split) {
+    const holds = await this.model.find(
+      { split, client: this.context.user._id, status: SeatHoldStatus.ACTIVE },
+      'numSeats'
+    );
+
+    return holds.reduce((sum, hold) => sum + hold.numSeats, 0);
+  }
+
+  async attach(hold, paymentIntent, checkoutSession = null) {
+    hold.paymentIntent = paymentIntent;
+    hold.checkoutSession = checkoutSession;
+
+    return await hold.save();
+  }
+
+  /**
+   *  The active hold for a paymentIntent of the client, if any
+   *
+   *  @param paymentIntent {String}
+   *  @param client {ObjectID} - the current user by default
+   * */
+  async findActive(paymentIntent, client = this.context.user._id) {
+    return await this.model.findOne({
+      paymentIntent,
+      client,
+      status: SeatHoldStatus.ACTIVE,
+    });
+  }
+
+  /**
+   *  Ends the hold and gives its seats back to the Split.
+   *  Does nothing if the hold has ended already
+   *
+   *  @param hold {SeatHold}
+   *  @param status {SeatHoldStatus}
+   *  @param order {ObjectID} - for `CONVERTED`
+   *  @param session {Mongoose.Session} - optional
+   *  @returns {Promise<Boolean>} - whether the hold was active
+   * */
+  async end(hold, status, { order = null, session = null } = {}) {
+    const { splits } = this.context.dataSources;
+
+    const ended = await this.model.findOneAndUpdate(
+      { _id: hold._id, status: SeatHoldStatus.ACTIVE },
+      { status, order },
+      { session, new: true }
+    );
+
+    if (!ended) {
+      return false;
+    }
+
+    await splits.model.findOneAndUpdate(
+      { _id: ended.split },
+      { $inc: { placesLeft: ended.numSeats, heldSeats: -ended.numSeats } },
+      { session }
+    );
+
+    return true;
+  }
+
+  /**
+   *  The seats are handed over to the Order, `splits.join` takes them again.
+   *  Throws if the hold has expired in the meantime
+   * */
+  async convert(hold, order, session) {
+    const converted = await this.end(hold, SeatHoldStatus.CONVERTED, {
+      order,
+      session,
+    });
+
+    if (!converted) {
+      throw new Error('Seat hold has expired, please try again');
+    }
+  }
+
+  async release(hold, session = null) {
+    return await this.end(hold, SeatHoldStatus.RELEASED, { session });
+  }
+
+  /**
+   *  Cancels the hold's paymentIntent unless the client has paid already,
+   *  `createOrder` takes care of those. Checkout Sessions are expired instead,
+   *  a completed one is left to `createOrderByCheckoutWebhook`
+   * */
+  async cancelPayment(hold) {
+    if (hold.checkoutSession) {
+      await this.stripeService.expireCheckoutSession(hold.checkoutSession);
+      return;
+    }
+
+    if (!hold.paymentIntent) {
+      return;
+    }
+
+    const paymentIntent = await this.stripeService.getPaymentIntent(
+      hold.paymentIntent
+    );
+
+    if (paymentIntent && cancellableStatuses.includes(paymentIntent.status)) {
+      await this.stripeService.cancelPaymentIntent(paymentIntent.id);
+    }
+  }
+
+  /**
+   *  @param client {ObjectID} - the current user by default
+   * */
+  async releaseAll(split, client = this.context.user._id) {
+    const holds = await this.model.find({
+      split,
+      client,
+      status: SeatHoldStatus.ACTIVE,
+    });
+
+    for (const hold of holds) {
+      if (await this.release(hold)) {
+        await this.cancelPayment(hold).catch((e) => console.error(e));
+      }
+    }
+
+    return holds.length;
+  }
+
+  /**
+   *  The freed seats go to the waitlist
+   * */
+  async releaseExpired() {
+    this.initialize();
+
+    const { waitlists } = this.context.dataSources;
+
+    try {
+      const holds = await this.model.find({
+        status: SeatHoldStatus.ACTIVE,
+        expiresAt: { $lte: new Date() },
+      });
+
+      const splits = new Set();
+
+      //  One at a time, so we don't hit Stripe rate limits
+      for (const hold of holds) {
+        try {
+          if (await this.end(hold, SeatHoldStatus.EXPIRED)) {
+            splits.add(hold.split.toString());
+            await this.cancelPayment(hold);
+          }
+        } catch (e) {
+          console.error(`Error releasing seat hold ${hold._id}`);
+          console.error(e);
+        }
+      }
+
+      for (const split of splits) {
+        await waitlists
+          .offer(split)
+          .catch((e) => console.error(`Error offering seats of ${split}`, e));
+      }
+    } catch (e) {
+      console.error('Error while releasing expired seat holds');
+      console.error(e);
+    }
+  }
+}
+
+const seatHoldDataSource = {
+  seatHolds: new SeatHoldDataSource(SeatHoldModel),
+};
+
+const scheduleSeatHolds = async () => {
+  const everyMinute = { second: 0, tz: 'Etc/UTC' };
+
+  schedule('releaseExpiredSeatHolds', everyMinute, () =>
+    seatHoldDataSource.seatHolds.releaseExpired()
+  );
+};
+
+module.exports = {
+  seatHoldDataSource,
+  scheduleSeatHolds,
+  SeatHoldModel,
+  SeatHoldStatus,
+};
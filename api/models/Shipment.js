@@ -0,0 +1,111 @@
+/**
+ *  Tracking details the Owner enters when shipping an Order
+ * */
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const { isHttpUrl } = require('../helpers/url');
+
+const ShippingCarrier = {
+  USPS: 'USPS',
+  UPS: 'UPS',
+  FEDEX: 'FEDEX',
+  DHL: 'DHL',
+  //  Needs `trackingUrl`, we can't build one
+  OTHER: 'OTHER',
+};
+
+const trackingUrlTemplates = {
+  [ShippingCarrier.USPS]: (number) =>
+    `https://tools.usps.com/go/TrackConfirmAction?tLabels=${number}`,
+  [ShippingCarrier.UPS]: (number) =>
+    `https://www.ups.com/track?tracknum=${number}`,
+  [ShippingCarrier.FEDEX]: (number) =>
+    `https://www.fedex.com/fedextrack/?trknbr=${number}`,
+  [ShippingCarrier.DHL]: (number) =>
+    `https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id=${number}`,
+};
+
+const ShipmentSchema = mongoose.Schema({
+  carrier: {
+    type: String,
+    enum: Object.values(ShippingCarrier),
+  },
+  //  Only for `OTHER` carriers
+  carrierName: String,
+  trackingNumber: String,
+  //  Only for `OTHER` carriers, the rest is built from `trackingNumber`
+  trackingUrl: String,
+  estimatedDelivery: Date,
+  shipped_at: Date,
+});
+
+/**
+ *  @param shipment {Shipment}
+ *  @returns {String|null}
+ * */
+const getTrackingUrl = (shipment) => {
+  const template = trackingUrlTemplates[shipment.carrier];
+
+  if (template && shipment.trackingNumber) {
+    return template(encodeURIComponent(shipment.trackingNumber));
+  }
+
+  return shipment.trackingUrl || null;
+};
+
+/**
+ *  @returns {String} - carrier name to show to the Client
+ * */
+const getCarrierName = (shipment) =>
+  shipment.carrier === ShippingCarrier.OTHER
+    ? shipment.carrierName
+    : shipment.carrier;
+
+/**
+ *  Validates `ShipmentInput` and turns it into `ShipmentSchema`
+ *
+ *  @param input {ShipmentInput}
+ *  @throws if the details are incomplete
+ * */
+const toShipment = (input) => {
+  const { carrier, estimatedDelivery } = input;
+  const trackingNumber = (input.trackingNumber || '').replace(/\s/g, '');
+  const isOther = carrier === ShippingCarrier.OTHER;
+
+  if (!trackingNumber) {
+    throw new Error('Tracking number is required');
+  }
+
+  if (isOther && !(input.carrierName || '').trim()) {
+    throw new Error('Carrier name is required for other carriers');
+  }
+
+  if (isOther && input.trackingUrl && !isHttpUrl(input.trackingUrl)) {
+    throw new Error('Tracking URL must be an http(s) link');
+  }
+
+  if (
+    estimatedDelivery &&
+    new Date(estimatedDelivery) < DateTime.now().startOf('day').toJSDate()
+  ) {
+    throw new Error('Estimated delivery date is in the past');
+  }
+
+  return {
+    carrier,
+    carrierName: isOther ? input.carrierName.trim() : null,
+    trackingNumber,
+    trackingUrl: isOther ? input.trackingUrl || null : null,
+    estimatedDelivery,
+    shipped_at: new Date(),
+  };
+};
+
+module.exports = {
+  ShippingCarrier,
+  ShipmentSchema,
+  getCarrierName,
+  getTrackingUrl,
+  toShipment,
+};
@@ -15,9 +15,22 @@ const { fetchProducts } = require('../services/woocommerce');
 const { getMediaType } = require('../share/types');
 const { schedule } = require('../services/scheduler');
 const { TwilioService } = require('../services/twilio');
+const { CaptureMethod, PayoutMode } = require('../services/stripe');
+const {
+  isSupportedCurrency,
+  normalizeCurrency,
+} = require('../helpers/currency');
+const {
+  DEFAULT_CURRENCY,
+  SHIP_BY_DAYS,
+  SHIP_BY_REMINDER_HOURS,
+} = require('../config');
+const { sendPush } = require('../services/push');
 
 const { EventObjectType, SystemNotificationAction } = require('./Event');
 const { OrderStatusType } = require('./Order');
+const { OrderActor, OrderStatusSource } = require('./OrderStatus');
+const { getCarrierName, getTrackingUrl } = require('./Shipment');
 const { UserRole } = require('./User');
 
 const PER_PAGE = 20;
@@ -25,12 +38,15 @@ const PER_PAGE = 20;
 const SplitRoomMessageTypes = {
   CLIENT_JOINED: 'client-joined',
   CLIENT_EXITED: 'client-exited',
+  SEATS_RELEASED: 'seats-released',
   EXPIRATION_NOTICE: 'expiration-notice',
   SPLIT_CREATED: 'split-created',
   SPLIT_CANCELLED: 'split-cancelled',
   SPLIT_COMPLETED: 'split-completed',
   SPLIT_RESET: 'split-reset',
   SPLIT_EXTENDED: 'split-extended',
+  ORDER_SHIPPED: 'order-shipped',
+  SHIP_BY_MISSED: 'ship-by-missed',
 };
 
 const SplitType = {
@@ -52,6 +68,14 @@ const SplitStatus = {
   COMPLETE: 'COMPLETE', //"Complete as in Done"
 };
 
+//  Orders the Owner still has to ship
+const unshippedStatuses = [OrderStatusType.AUTHORIZED, OrderStatusType.PAID];
+
+const shipByDeadline = (shippingType) =>
+  DateTime.now()
+    .plus({ days: SHIP_BY_DAYS[shippingType] || SHIP_BY_DAYS.SHIPPING })
+    .toJSDate();
+
 const splitCancelMessage = (status, reason) => {
   switch (status) {
   case SplitStatus.EXPIRED:
@@ -166,14 +190,22 @@ const splitTypes = `
     "Cached from \`numSeats\` on createSplit so we are not confused later"
     ownerSeats: Int
     price: Float
+    "ISO currency code, lowercase, e.g. \`usd\`. \`price\` and Order amounts are in this currency"
+    currency: String
+    "How the Owner gets paid for Orders, falls back to the Owner's setting if empty"
+    payoutMode: PayoutMode
+    "\`MANUAL\` only authorizes the cards and charges everyone when the Split is filled"
+    captureMethod: CaptureMethod
     regularPrice: Float
     salePrice: Float
     splitPrices:[Float]
     "For legacy"    
     media: [PostMedia]
 
-    "Use this to determine if Split can be ordered"
+    "Use this to determine if Split can be ordered. Seats held by clients in checkout are not included"
     placesLeft: Int
+    "Seats held by clients in checkout, they're given back if the client doesn't pay in time"
+    heldSeats: Int
 
     "User has joined the Split"
     joined: Boolean
@@ -185,6 +217,8 @@ const splitTypes = `
     rating: Float
     status: SplitStatus
     cancelReason: String
+    "\`COMPLETE\` only. Orders that aren't shipped by then are cancelled and refunded"
+    shipBy: DateTime
     
     comments: [Comment]
     commentsCount: Int
@@ -245,6 +279,11 @@ const splitTypes = `
     numPlaces: Int!
     numSeats: Int!
     price: Float!
+    "ISO currency code, defaults to \`usd\`"
+    currency: String
+    payoutMode: PayoutMode
+    "Can't be changed after Orders were placed"
+    captureMethod: CaptureMethod
     regularPrice: Float
     salePrice: Float
     splitPrices:[Float]
@@ -336,10 +375,28 @@ const SplitSchema = mongoose.Schema(
       type: Number,
       default: 1,
     },
+    //  See `models/SeatHold`
+    heldSeats: {
+      type: Number,
+      default: 0,
+    },
     price: {
       type: Number,
       required: true,
     },
+    currency: {
+      type: String,
+      lowercase: true,
+      default: DEFAULT_CURRENCY,
+    },
+    payoutMode: {
+      type: String,
+      enum: [...Object.values(PayoutMode), null],
+    },
+    captureMethod: {
+      type: String,
+      enum: [...Object.values(CaptureMethod), null],
+    },
     regularPrice: Number,
     salePrice: Number,
     splitPrices: [Number],
@@ -374,6 +431,13 @@ const SplitSchema = mongoose.Schema(
       default: SplitStatus.ACTIVE,
     },
     cancelReason: String,
+    //  Set when the Split is complete, see `SHIP_BY_DAYS`
+    shipBy: {
+      type: Date,
+      index: true,
+    },
+    //  `SHIP_BY_REMINDER_HOURS` the Owner was reminded at
+    shipByReminders: [Number],
 
     // Since it's a 1 to 1 relation with Split Room,
     // why not have it here and save loading time
@@ -613,7 +677,7 @@ class SplitDataSource extends BaseDataSource {
   }
 
   async incrementNumSeats({ _id, numSeats }, session) {
-    const { conversations } = this.context.dataSources;
+    const { conversations, orders } = this.context.dataSources;
 
     const split = await this.model.findOneAndUpdate(
       { _id },
@@ -626,10 +690,18 @@ class SplitDataSource extends BaseDataSource {
       { session, new: true }
     );
 
-    if (split.status === SplitStatus.ACTIVE && split.placesLeft <= 0) {
+    //  Held seats might still be given back
+    const isFull = split.placesLeft + (split.heldSeats || 0) <= 0;
+
+    if (split.status === SplitStatus.ACTIVE && isFull) {
       split.status = SplitStatus.COMPLETE;
+      split.shipBy = shipByDeadline(split.shippingType);
+      split.shipByReminders = [];
       await split.save({ session });
 
+      //  Charge `MANUAL` Orders now that the Split is filled
+      await orders.captureSplit({ split: _id, session });
+
       await conversations.sendSystemMessage({
         conversation: split.conversation,
         message:
@@ -640,8 +712,9 @@ class SplitDataSource extends BaseDataSource {
           split: _id,
         },
       });
-    } else if (split.status === SplitStatus.COMPLETE && split.placesLeft > 0) {
+    } else if (split.status === SplitStatus.COMPLETE && !isFull) {
       split.status = SplitStatus.ACTIVE;
+      split.shipBy = null;
       await split.save({ session });
 
       await conversations.sendSystemMessage({
@@ -740,9 +813,11 @@ class SplitDataSource extends BaseDataSource {
    *  @param order {Order} - Order object
    *  @param message {String} - Message that is attached to excluding a person
    *  @param session {Mongoose.Session} - for bulk operations
+   *  @returns {Promise<{offered: [WaitlistEntry]}>} - the freed seats offered
+   *    to the waitlist, see `WaitlistDataSource.notifyOffered`
    * */
   async exit({ split, order, client, message, session }) {
-    const { conversations } = this.context.dataSources;
+    const { conversations, waitlists } = this.context.dataSources;
 
     const splitData = await this.model.findOne(
       { _id: split },
@@ -777,6 +852,9 @@ class SplitDataSource extends BaseDataSource {
       session
     );
 
+    //  The freed seats are offered to whoever is waiting
+    const offered = await waitlists.offer(split, session);
+
     await conversations.deleteParticipant(
       conversation._id,
       client._id.toString(),
@@ -793,6 +871,89 @@ class SplitDataSource extends BaseDataSource {
         conversation: splitData.conversation,
       },
     });
+
+    return { offered };
+  }
+
+  /**
+   *  Tells the Client in the Split Room that their Order is on its way.
+   *  Tracking details only go to the attributes, the Room is shared
+   *
+   *  @param order {Order} - with `shipment`
+   * */
+  async orderShipped(order) {
+    const { conversations } = this.context.dataSources;
+    const { shipment } = order;
+
+    const splitData = await this.model.findOne(
+      { _id: order.split },
+      'conversation'
+    );
+
+    let message = `Good news, ${order.metadata.clientName}! Your order has been shipped.`;
+
+    if (shipment && shipment.trackingNumber) {
+      let eta = '';
+
+      if (shipment.estimatedDelivery) {
+        const date = DateTime.fromJSDate(shipment.estimatedDelivery);
+        eta = `, expected by ${date.toLocaleString(DateTime.DATE_MED)}`;
+      }
+
+      message = `Good news, ${
+        order.metadata.clientName
+      }! Your order is on its way with ${getCarrierName(
+        shipment
+      )}${eta}. Tracking details are in your order.`;
+    }
+
+    await conversations.sendSystemMessage({
+      conversation: splitData.conversation,
+      message,
+      attributes: {
+        messageType: SplitRoomMessageTypes.ORDER_SHIPPED,
+        action: SystemNotificationAction.OPEN_CONVERSATION,
+        conversation: splitData.conversation,
+        order: order._id,
+        client: order.client,
+        trackingUrl: shipment ? getTrackingUrl(shipment) : null,
+      },
+    });
+  }
+
+  /**
+   *  Release some of the seats of a client who stays in the Split,
+   *  e.g. when the Order is partially cancelled
+   *
+   *  @param split {ObjectID} - split in question
+   *  @param numSeats {Number} - number of seats to release
+   *  @param message {String} - Message that is attached to releasing the seats
+   *  @param session {Mongoose.Session}
+   * */
+  async releaseSeats({ split, numSeats, message, session }) {
+    const { conversations } = this.context.dataSources;
+
+    const splitData = await this.model.findOne(
+      { _id: split },
+      'numSeats ownerSeats conversation'
+    );
+
+    if (splitData.numSeats - splitData.ownerSeats < numSeats) {
+      throw new Error("Split doesn't have this many seats taken by clients");
+    }
+
+    //  Reopens a COMPLETE Split if needed
+    await this.incrementNumSeats({ _id: split, numSeats: -numSeats }, session);
+
+    await conversations.sendSystemMessage({
+      conversation: splitData.conversation,
+      message,
+      attributes: {
+        messageType: SplitRoomMessageTypes.SEATS_RELEASED,
+        action: SystemNotificationAction.OPEN_CONVERSATION,
+        conversation: splitData.conversation,
+      },
+    });
   }
 
   async cancelAction({ _id, reason }) {
@@ -833,6 +994,150 @@ class SplitDataSource extends BaseDataSource {
     }
   }
 
+  /**
+   *  Reminds Owners of complete Splits with unshipped Orders
+   *  `SHIP_BY_REMINDER_HOURS` before the ship-by deadline
+   * */
+  async shipByReminders() {
+    this.initialize();
+
+    const { orders } = this.context.dataSources;
+
+    //  Closest first, so a late run sends only the last reminder
+    const hoursList = [...SHIP_BY_REMINDER_HOURS].sort((a, b) => a - b);
+
+    try {
+      for (const hours of hoursList) {
+        const splits = await this.model.find(
+          {
+            status: SplitStatus.COMPLETE,
+            shipBy: {
+              $gt: new Date(),
+              $lte: DateTime.now().plus({ hours }).toJSDate(),
+            },
+            shipByReminders: { $ne: hours },
+          },
+          'title user shipBy'
+        );
+
+        for (const split of splits) {
+          await this.model.updateOne(
+            { _id: split._id },
+            {
+              $addToSet: {
+                shipByReminders: {
+                  $each: hoursList.filter((h) => h >= hours),
+                },
+              },
+            }
+          );
+
+          const unshipped = await orders.model.countDocuments({
+            split: split._id,
+            status: { $in: unshippedStatuses },
+          });
+
+          if (!unshipped) {
+            continue;
+          }
+
+          const date = DateTime.fromJSDate(split.shipBy).toLocaleString(
+            DateTime.DATETIME_MED
+          );
+
+          await sendPush(split.user, {
+            title: 'Time to ship your Split',
+            body: `Ship ${unshipped} order(s) of "${split.title}" by ${date}, otherwise they will be cancelled and refunded`,
+            data: { split: split._id.toString() },
+          }).catch((e) => console.error(e));
+        }
+      }
+    } catch (e) {
+      console.error('Error while sending ship-by reminders');
+      console.error(e);
+    }
+  }
+
+  /**
+   *  Cancels and refunds Orders the Owner didn't ship by the deadline,
+   *  the same way the Owner would cancel them. The Split is cancelled
+   *  and keeps `shipBy` until all of them are
+   * */
+  async cancelUnshipped() {
+    this.initialize();
+
+    const { orders, conversations } = this.context.dataSources;
+
+    try {
+      const splits = await this.model.find(
+        {
+          status: { $in: [SplitStatus.COMPLETE, SplitStatus.CANCELLED] },
+          shipBy: { $lte: new Date() },
+        },
+        '_id status conversation shipBy'
+      );
+
+      for (const split of splits) {
+        const unshipped = await orders.model.find({
+          split: split._id,
+          status: { $in: unshippedStatuses },
+        });
+
+        //  Closed first, otherwise the first cancellation reopens it
+        //  and the freed seats are offered to the waitlist
+        if (unshipped.length && split.status === SplitStatus.COMPLETE) {
+          await this.model.updateOne(
+            { _id: split._id, status: SplitStatus.COMPLETE },
+            {
+              status: SplitStatus.CANCELLED,
+              cancelReason: 'Not shipped by the ship-by deadline',
+            }
+          );
+        }
+
+        let cancelled = 0;
+        let failed = 0;
+
+        //  One at a time, every cancellation changes the Split
+        for (const order of unshipped) {
+          try {
+            await orders.ownerCancel(order, {
+              actor: OrderActor.SYSTEM,
+              source: OrderStatusSource.SCHEDULER,
+              reason: 'Not shipped by the ship-by deadline',
+              message: `${order.metadata.clientName}'s order was cancelled and refunded, it wasn't shipped in time`,
+            });
+            cancelled++;
+          } catch (e) {
+            failed++;
+            console.error(`Error cancelling unshipped Order ${order._id}`);
+            console.error(e);
+          }
+        }
+
+        if (cancelled) {
+          await conversations.sendSystemMessage({
+            conversation: split.conversation,
+            message: `The Split's Creator didn't ship in time. ${cancelled} unshipped order(s) were cancelled and fully refunded.`,
+            attributes: {
+              messageType: SplitRoomMessageTypes.SHIP_BY_MISSED,
+              action: SystemNotificationAction.OPEN_CONVERSATION,
+              conversation: split.conversation,
+            },
+          });
+        }
+
+        //  Failed ones are tried again next time
+        if (!failed) {
+          await this.model.updateOne({ _id: split._id }, { shipBy: null });
+        }
+      }
+    } catch (e) {
+      console.error('Error while cancelling unshipped Orders');
+      console.error(e);
+    }
+  }
+
   async expireNotifications(dry = false) {
     this.initialize();
 
@@ -968,7 +1273,17 @@ class SplitDataSource extends BaseDataSource {
         //  Set all orders as ~OWNER_CANCELLED~ and refund.
         //  That's it, not exits via `SplitDataSource.exit` should happen here
         await orders.bulkCancel(
-          { split: _id, status: OrderStatusType.OWNER_CANCELED },
+          {
+            split: _id,
+            status: OrderStatusType.OWNER_CANCELED,
+            source:
+              status === SplitStatus.EXPIRED
+                ? OrderStatusSource.SCHEDULER
+                : OrderStatusSource.MUTATION,
+            reason: `Split ${status.toLowerCase()}${
+              reason ? `: ${reason}` : ''
+            }`,
+          },
           session
         );
         //  Set status as ~CANCELLED~ or whatever is provided
@@ -1024,6 +1339,12 @@ class SplitDataSource extends BaseDataSource {
         throw new Error("NumSeats can't be bigger than numPlaces");
       }
 
+      if (!isSupportedCurrency(split.currency)) {
+        throw new Error(`Currency is not supported: ${split.currency}`);
+      }
+
+      split.currency = normalizeCurrency(split.currency);
+
       split.placesLeft = (split.numPlaces || 0) - (split.numSeats || 0);
       //  Cache this initial number so we are not confused later
       split.ownerSeats = split.numSeats || 0;
@@ -1033,9 +1354,10 @@ class SplitDataSource extends BaseDataSource {
         this.context.user._id
       );
 
+      //  Kept up to date by `account.updated` webhooks
       if (
-        !(await this.context.dataSources.users.stripeService.chargesEnabled(
-          user.stripeAccountId
+        !(await this.context.dataSources.stripeAccounts.chargesEnabled(
+          this.context.user._id
         ))
       ) {
         throw new Error(
@@ -1229,8 +1551,36 @@ class SplitDataSource extends BaseDataSource {
         );
       }
 
+      if (split.currency) {
+        if (!isSupportedCurrency(split.currency)) {
+          throw new Error(`Currency is not supported: ${split.currency}`);
+        }
+
+        split.currency = normalizeCurrency(split.currency);
+
+        //  Orders are already paid in the old currency
+        if (
+          split.currency !== splitData.currency &&
+          splitData.numSeats > splitData.ownerSeats
+        ) {
+          throw new Error("Can't change currency after Orders were placed");
+        }
+      }
+
+      //  Orders are already authorized or paid
+      if (
+        split.captureMethod !== undefined &&
+        split.captureMethod !== splitData.captureMethod &&
+        splitData.numSeats > splitData.ownerSeats
+      ) {
+        throw new Error("Can't change capture method after Orders were placed");
+      }
+
       if (split.numPlaces || split.numSeats) {
-        split.placesLeft = (split.numPlaces || 0) - (split.numSeats || 0);
+        split.placesLeft =
+          (split.numPlaces || 0) -
+          (split.numSeats || 0) -
+          (splitData.heldSeats || 0);
       }
 
       const updatedSplit = await this.model.findOneAndUpdate({ _id }, split, {
@@ -1427,6 +1777,16 @@ const scheduleSplits = async () => {
   );
 
   schedule('splitExpire', time, () => splitDataSource.splits.expire());
+
+  const hourly = { minute: 0, tz: 'Etc/UTC' };
+
+  schedule('shipByReminders', hourly, () =>
+    splitDataSource.splits.shipByReminders()
+  );
+
+  schedule('cancelUnshippedOrders', hourly, () =>
+    splitDataSource.splits.cancelUnshipped()
+  );
 };
 
 const fetchManually = () => {
@@ -0,0 +1,283 @@
+/**
+ *  Split Owners' connected Stripe accounts. Their state is stored on the user
+ *  from `account.updated` webhooks, so checks don't have to ask Stripe.
+ *
+ *  Accounts that never got a webhook, e.g. the ones created before it was
+ *  handled, are synced from Stripe the first time they're needed.
+ * */
+const { BaseDataSource } = require('./BaseDataSource');
+const { StripeService } = require('../services/stripe');
+const { UserModel, UserRole } = require('./User');
+
+const OnboardingStatus = {
+  //  No connected account yet
+  NOT_STARTED: 'NOT_STARTED',
+  //  Onboarding form isn't finished
+  PENDING: 'PENDING',
+  //  Stripe needs more information, or is still verifying it
+  RESTRICTED: 'RESTRICTED',
+  //  Can sell and get paid
+  ENABLED: 'ENABLED',
+};
+
+//  Stored by `toUserFields`, next to `stripeAccountId` and `stripeChargesEnabled`
+UserModel.schema.add({
+  stripePayoutsEnabled: Boolean,
+  stripeDetailsSubmitted: Boolean,
+  stripeRequirements: {
+    currentlyDue: [String],
+    pastDue: [String],
+    eventuallyDue: [String],
+    currentDeadline: Date,
+    disabledReason: String,
+  },
+  stripeAccountSyncedAt: Date,
+});
+
+//  User fields the account state is stored in. Read lean, documents of the
+//  already compiled User model don't have getters for the fields added above
+const accountFields =
+  'stripeAccountId stripeChargesEnabled stripePayoutsEnabled stripeDetailsSubmitted stripeRequirements stripeAccountSyncedAt';
+
+const stripeAccountTypes = /*gql*/ `
+  enum OnboardingStatus {
+    ${Object.keys(OnboardingStatus).join('\n')}
+  }
+
+  "What Stripe still needs from the Owner, as Stripe requirement names"
+  type StripeRequirements {
+    "Needed by \`currentDeadline\` to keep the account enabled"
+    currentlyDue: [String]
+    "Overdue, the account is restricted until they're provided"
+    pastDue: [String]
+    "Needed eventually, e.g. when a volume threshold is reached"
+    eventuallyDue: [String]
+    currentDeadline: DateTime
+    "Why the account is disabled, if it is"
+    disabledReason: String
+  }
+
+  "Split Owner's connected Stripe account state"
+  type OwnerOnboarding {
+    status: OnboardingStatus
+    "Can create Splits and accept Orders"
+    chargesEnabled: Boolean
+    "Can get paid to their bank"
+    payoutsEnabled: Boolean
+    "Finished the onboarding form"
+    detailsSubmitted: Boolean
+    requirements: StripeRequirements
+    "When the state was last updated from Stripe"
+    syncedAt: DateTime
+  }
+
+  extend type User {
+    "Only for the user themselves and admins"
+    onboarding: OwnerOnboarding
+  }
+
+  extend type Query {
+    "Current user's onboarding status as a Split Owner"
+    myOnboarding: OwnerOnboarding
+  }
+`;
+
+/**
+ *  User fields for a Stripe account object
+ *
+ *  @param account {Stripe.Account}
+ *  @param syncedAt {Date} - when Stripe reported this state
+ * */
+const toUserFields = (account, syncedAt) => {
+  const requirements = account.requirements || {};
+
+  return {
+    stripeChargesEnabled: !!account.charges_enabled,
+    stripePayoutsEnabled: !!account.payouts_enabled,
+    stripeDetailsSubmitted: !!account.details_submitted,
+    stripeRequirements: {
+      currentlyDue: requirements.currently_due || [],
+      pastDue: requirements.past_due || [],
+      eventuallyDue: requirements.eventually_due || [],
+      currentDeadline: requirements.current_deadline
+        ? new Date(requirements.current_deadline * 1000)
+        : null,
+      disabledReason: requirements.disabled_reason || null,
+    },
+    stripeAccountSyncedAt: syncedAt,
+  };
+};
+
+const onboardingStatus = (user) => {
+  if (!user.stripeAccountId) {
+    return OnboardingStatus.NOT_STARTED;
+  }
+
+  if (!user.stripeDetailsSubmitted) {
+    return OnboardingStatus.PENDING;
+  }
+
+  if (!user.stripeChargesEnabled || !user.stripePayoutsEnabled) {
+    return OnboardingStatus.RESTRICTED;
+  }
+
+  return OnboardingStatus.ENABLED;
+};
+
+class StripeAccountDataSource extends BaseDataSource {
+  initialize(config) {
+    this.stripeService = new StripeService();
+
+    super.initialize(config);
+  }
+
+  /**
+   *  Fetches the account from Stripe and stores its state
+   *
+   *  @param user {User} - with `accountFields`
+   *  @returns {User} - updated
+   * */
+  async sync(user) {
+    const syncedAt = new Date();
+    const account = await this.stripeService.getAccount(user.stripeAccountId);
+
+    return await this.model
+      .findOneAndUpdate({ _id: user._id }, toUserFields(account, syncedAt), {
+        new: true,
+        projection: accountFields,
+      })
+      .lean();
+  }
+
+  /**
+   *  When the Owner comes back from Stripe onboarding, webhooks might be late
+   *
+   *  @param account {String} - connected account id
+   *  @returns {OnboardingStatus}
+   *  @throws if the account isn't ours
+   * */
+  async finishOnboarding(account) {
+    this.initialize();
+
+    const user = await this.model
+      .findOne({ stripeAccountId: account }, accountFields)
+      .lean();
+
+    if (!user) {
+      throw new Error(`No user with Stripe account ${account}`);
+    }
+
+    return onboardingStatus(await this.sync(user));
+  }
+
+  /**
+   *  Stored account state of the user, synced from Stripe if it never was
+   *
+   *  @param _id {ObjectID} - user
+   * */
+  async getState(_id) {
+    const user = await this.model.findOne({ _id }, accountFields).lean();
+
+    if (user && user.stripeAccountId && !user.stripeAccountSyncedAt) {
+      return await this.sync(user);
+    }
+
+    return user;
+  }
+
+  /**
+   *  @param _id {ObjectID} - user
+   *  @returns {Boolean} - whether the user can sell
+   * */
+  async chargesEnabled(_id) {
+    const user = await this.getState(_id);
+
+    return !!user && !!user.stripeAccountId && !!user.stripeChargesEnabled;
+  }
+
+  async onboarding(_id) {
+    const user = await this.getState(_id);
+
+    if (!user) {
+      return null;
+    }
+
+    return {
+      status: onboardingStatus(user),
+      chargesEnabled: !!user.stripeChargesEnabled,
+      payoutsEnabled: !!user.stripePayoutsEnabled,
+      detailsSubmitted: !!user.stripeDetailsSubmitted,
+      requirements: user.stripeRequirements,
+      syncedAt: user.stripeAccountSyncedAt,
+    };
+  }
+
+  /**
+   *  Webhook for `account.updated` events of connected accounts
+   *
+   *  @returns {Boolean} - false for accounts that aren't ours
+   * */
+  async updateByWebhook(event) {
+    const account = event.data.object;
+    const syncedAt = new Date(event.created * 1000);
+
+    const user = await this.model.findOne(
+      { stripeAccountId: account.id },
+      '_id'
+    );
+
+    if (!user) {
+      return false;
+    }
+
+    //  Stripe doesn't keep the order, older events don't overwrite newer state
+    await this.model.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { stripeAccountSyncedAt: null },
+          { stripeAccountSyncedAt: { $lte: syncedAt } },
+        ],
+      },
+      toUserFields(account, syncedAt)
+    );
+
+    return true;
+  }
+}
+
+const stripeAccountDataSource = {
+  stripeAccounts: new StripeAccountDataSource(UserModel),
+};
+
+const stripeAccountResolver = {
+  OnboardingStatus,
+  User: {
+    onboarding(
+      user,
+      _,
+      { user: currentUser, dataSources: { stripeAccounts } }
+    ) {
+      if (
+        user._id.toString() !== currentUser._id.toString() &&
+        currentUser.role !== UserRole.ADMIN
+      ) {
+        return null;
+      }
+
+      return stripeAccounts.onboarding(user._id);
+    },
+  },
+  Query: {
+    myOnboarding(_, args, { user, dataSources: { stripeAccounts } }) {
+      return stripeAccounts.onboarding(user._id);
+    },
+  },
+};
+
+module.exports = {
+  stripeAccountTypes,
+  stripeAccountResolver,
+  stripeAccountDataSource,
+  OnboardingStatus,
+};
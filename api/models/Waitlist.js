@@ -0,0 +1,483 @@
+/**
+ *  Waitlist for full Splits.
+ *
+ *  When seats free up, the people in line get them held for
+ *  `WAITLIST_OFFER_MINUTES` in the order they joined, see `models/SeatHold`.
+ *  Whoever wants more seats than are free keeps their place for the next ones.
+ * */
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const { BaseDataSource } = require('./BaseDataSource');
+const { sendPush } = require('../services/push');
+const { schedule } = require('../services/scheduler');
+const { WAITLIST_OFFER_MINUTES } = require('../config');
+const { UserRole } = require('./User');
+const { SplitStatus } = require('./Split');
+const { OrderStatusType } = require('./OrderStatus');
+
+const WaitlistStatus = {
+  WAITING: 'WAITING',
+  //  Seats are held for the user until `offerExpiresAt`
+  OFFERED: 'OFFERED',
+  //  The user ordered the Split
+  ACCEPTED: 'ACCEPTED',
+  //  The offer wasn't used in time
+  EXPIRED: 'EXPIRED',
+  LEFT: 'LEFT',
+};
+
+const activeStatuses = [WaitlistStatus.WAITING, WaitlistStatus.OFFERED];
+
+//  ACTIVE ones might have all the seats held by clients in checkout
+const waitableStatuses = [
+  SplitStatus.ACTIVE,
+  SplitStatus.FILLED,
+  SplitStatus.COMPLETE,
+];
+
+const waitlistTypes = /*gql*/ `
+  enum WaitlistStatus {
+    ${Object.keys(WaitlistStatus).join('\n')}
+  }
+
+  type WaitlistEntry {
+    _id: ObjectID
+    split: Split
+    user: User
+    "Number of seats the user wants"
+    numSeats: Int
+    status: WaitlistStatus
+    "1-based place in line while \`WAITING\`"
+    position: Int
+    offeredAt: DateTime
+    "The offered seats have to be ordered with \`getOrderPaymentIntent\` until then"
+    offerExpiresAt: DateTime
+    created_at: DateTime
+  }
+
+  type WaitlistResponse implements MutationResponse {
+    code: String!
+    success: Boolean!
+    message: String
+    entry: WaitlistEntry
+  }
+
+  extend type Query {
+    "Current user's waitlist entries that are still waiting or offered"
+    myWaitlist: [WaitlistEntry]
+    "The Split's line, for its Owner or an admin"
+    splitWaitlist(split: ObjectID!): [WaitlistEntry]
+  }
+
+  extend type Mutation {
+    "Wait for seats of a full Split"
+    joinWaitlist(split: ObjectID!, numSeats: Int!): WaitlistResponse
+    "Leave the line, offered seats go to the next in line"
+    leaveWaitlist(split: ObjectID!): WaitlistResponse
+  }
+`;
+
+const WaitlistEntrySchema = mongoose.Schema(
+  {
+    split: {
+      type: mongoose.Types.ObjectId,
+      ref: 'Split',
+      required: true,
+    },
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    numSeats: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: Object.values(WaitlistStatus),
+      default: WaitlistStatus.WAITING,
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date,
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  }
+);
+
+WaitlistEntrySchema.index({ split: 1, status: 1, created_at: 1 });
+WaitlistEntrySchema.index({ user: 1, status: 1 });
+
+const WaitlistEntryModel = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
+
+class WaitlistDataSource extends BaseDataSource {
+  async myWaitlist() {
+    return await this.model.find(
+      { user: this.context.user._id, status: { $in: activeStatuses } },
+      null,
+      { sort: { created_at: -1 } }
+    );
+  }
+
+  async splitWaitlist({ split }) {
+    const { splits } = this.context.dataSources;
+    const { user } = this.context;
+
+    const splitData = await splits.model.findOne({ _id: split }, 'user');
+
+    if (!splitData) {
+      throw new Error('Split not found');
+    }
+
+    if (
+      splitData.user.toString() !== user._id.toString() &&
+      user.role !== UserRole.ADMIN
+    ) {
+      throw new Error("Only the Split's owner or admin can see its waitlist");
+    }
+
+    return await this.model.find(
+      { split, status: { $in: activeStatuses } },
+      null,
+      { sort: { created_at: 1 } }
+    );
+  }
+
+  /**
+   *  @returns {Number|null} - 1-based, only for `WAITING` entries
+   * */
+  async position(entry) {
+    if (entry.status !== WaitlistStatus.WAITING) {
+      return null;
+    }
+
+    const ahead = await this.model.countDocuments({
+      split: entry.split,
+      status: WaitlistStatus.WAITING,
+      created_at: { $lt: entry.created_at },
+    });
+
+    return ahead + 1;
+  }
+
+  async join({ split, numSeats }) {
+    const { orders, splits } = this.context.dataSources;
+    const { user } = this.context;
+
+    try {
+      if (!numSeats || numSeats <= 0) {
+        throw new Error(
+          'Invalid input for `numSeats`, must be a positive non-zero number'
+        );
+      }
+
+      const splitData = await splits.model.findOne(
+        { _id: split },
+        'user status placesLeft numPlaces ownerSeats'
+      );
+
+      if (!splitData) {
+        throw new Error('Split not found');
+      }
+
+      if (splitData.user.toString() === user._id.toString()) {
+        throw new Error("Can't wait for your own Split");
+      }
+
+      if (!waitableStatuses.includes(splitData.status)) {
+        throw new Error("This Split can't be ordered anymore");
+      }
+
+      if (splitData.placesLeft >= numSeats) {
+        throw new Error('This Split has enough seats left, order it instead');
+      }
+
+      if (numSeats > splitData.numPlaces - splitData.ownerSeats) {
+        throw new Error("Can't wait for this many seats");
+      }
+
+      const existingOrder = await orders.model.findOne({
+        split,
+        client: user._id,
+        status: {
+          $nin: [
+            OrderStatusType.SYSTEM_CANCELED,
+            OrderStatusType.OWNER_CANCELED,
+            OrderStatusType.CLIENT_CANCELED,
+          ],
+        },
+      });
+
+      if (existingOrder) {
+        throw new Error('This User already ordered this Split');
+      }
+
+      const existingEntry = await this.model.findOne({
+        split,
+        user: user._id,
+        status: { $in: activeStatuses },
+      });
+
+      if (existingEntry) {
+        throw new Error('This User is already waiting for this Split');
+      }
+
+      const entry = await this.model.create({
+        split,
+        user: user._id,
+        numSeats,
+      });
+
+      return {
+        code: 200,
+        success: true,
+        entry,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  async leave({ split }) {
+    const { seatHolds } = this.context.dataSources;
+
+    try {
+      const entry = await this.model.findOne({
+        split,
+        user: this.context.user._id,
+        status: { $in: activeStatuses },
+      });
+
+      if (!entry) {
+        throw new Error('This User is not waiting for this Split');
+      }
+
+      const wasOffered = entry.status === WaitlistStatus.OFFERED;
+
+      entry.status = WaitlistStatus.LEFT;
+      await entry.save();
+
+      if (wasOffered && (await seatHolds.releaseAll(split))) {
+        await this.offer(split);
+      }
+
+      return {
+        code: 200,
+        success: true,
+        entry,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+
+  /**
+   *  Offers the Split's free seats to the people in line, unless the Split
+   *  can't be ordered, e.g. it's being cancelled in the same transaction.
+   *
+   *  Within a transaction nobody is notified, it can still be rolled back
+   *  or retried. The caller sends the notifications with `notifyOffered`
+   *  once it's committed
+   *
+   *  @param split {ObjectID}
+   *  @param session {Mongoose.Session} - optional, e.g. of the `exit` that freed the seats
+   *  @returns {Promise<[WaitlistEntry]>} - offered entries
+   * */
+  async offer(split, session = null) {
+    const { splits, seatHolds } = this.context.dataSources;
+
+    const splitData = await splits.model.findOne(
+      { _id: split },
+      'status placesLeft title',
+      { session }
+    );
+
+    if (!splitData || splitData.status !== SplitStatus.ACTIVE) {
+      return [];
+    }
+
+    let seatsLeft = splitData.placesLeft;
+
+    if (seatsLeft <= 0) {
+      return [];
+    }
+
+    const entries = await this.model.find(
+      { split, status: WaitlistStatus.WAITING },
+      null,
+      { session, sort: { created_at: 1 } }
+    );
+
+    const offered = [];
+
+    for (const entry of entries) {
+      if (seatsLeft <= 0) {
+        break;
+      }
+
+      if (entry.numSeats > seatsLeft) {
+        continue;
+      }
+
+      const offerExpiresAt = DateTime.now()
+        .plus({ minutes: WAITLIST_OFFER_MINUTES })
+        .toJSDate();
+
+      await seatHolds.place({
+        split,
+        numSeats: entry.numSeats,
+        client: entry.user,
+        expiresAt: offerExpiresAt,
+        session,
+      });
+
+      entry.status = WaitlistStatus.OFFERED;
+      entry.offeredAt = new Date();
+      entry.offerExpiresAt = offerExpiresAt;
+      await entry.save({ session });
+
+      seatsLeft -= entry.numSeats;
+      offered.push(entry);
+    }
+
+    if (!session) {
+      await this.notifyOffered(offered);
+    }
+
+    return offered;
+  }
+
+  /**
+   *  Tells the users their seats are held, see `offer`.
+   *  A lost notification shouldn't cost anyone their seats
+   *
+   *  @param entries {[WaitlistEntry]} - offered entries of one Split
+   * */
+  async notifyOffered(entries) {
+    const { splits } = this.context.dataSources;
+
+    if (!entries || !entries.length) {
+      return;
+    }
+
+    try {
+      const splitData = await splits.model.findOne(
+        { _id: entries[0].split },
+        'title'
+      );
+
+      await Promise.all(
+        entries.map((entry) =>
+          this.notify(entry, splitData).catch((e) => console.error(e))
+        )
+      );
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  async notify(entry, split) {
+    return await sendPush(entry.user, {
+      title: 'Seats are available!',
+      body: `${entry.numSeats} seat(s) of "${split.title}" are held for you for ${WAITLIST_OFFER_MINUTES} minutes`,
+      data: {
+        split: split._id.toString(),
+        waitlistEntry: entry._id.toString(),
+      },
+    });
+  }
+
+  /**
+   *  The user got seats of the Split, the line is no longer needed
+   * */
+  async fulfil({ split, user, session }) {
+    await this.model.updateMany(
+      { split, user, status: { $in: activeStatuses } },
+      { status: WaitlistStatus.ACCEPTED },
+      { session }
+    );
+  }
+
+  /**
+   *  The seats themselves are given back when the seat hold expires
+   * */
+  async expireOffers() {
+    this.initialize();
+
+    try {
+      await this.model.updateMany(
+        {
+          status: WaitlistStatus.OFFERED,
+          offerExpiresAt: { $lte: new Date() },
+        },
+        { status: WaitlistStatus.EXPIRED }
+      );
+    } catch (e) {
+      console.error('Error while expiring waitlist offers');
+      console.error(e);
+    }
+  }
+}
+
+const waitlistDataSource = {
+  waitlists: new WaitlistDataSource(WaitlistEntryModel),
+};
+
+const waitlistResolver = {
+  WaitlistStatus,
+  WaitlistEntry: {
+    split(entry, _, { dataSources: { splits } }) {
+      return splits.get(entry.split);
+    },
+    user(entry, _, { dataSources: { users } }) {
+      return users.nonNullGet(entry.user);
+    },
+    position(entry, _, { dataSources: { waitlists } }) {
+      return waitlists.position(entry);
+    },
+  },
+  Query: {
+    myWaitlist(_, args, { dataSources: { waitlists } }) {
+      return waitlists.myWaitlist();
+    },
+    splitWaitlist(_, args, { dataSources: { waitlists } }) {
+      return waitlists.splitWaitlist(args);
+    },
+  },
+  Mutation: {
+    joinWaitlist(_, args, { dataSources: { waitlists } }) {
+      return waitlists.join(args);
+    },
+    leaveWaitlist(_, args, { dataSources: { waitlists } }) {
+      return waitlists.leave(args);
+    },
+  },
+};
+
+const scheduleWaitlists = async () => {
+  const everyMinute = { second: 0, tz: 'Etc/UTC' };
+
+  schedule('expireWaitlistOffers', everyMinute, () =>
+    waitlistDataSource.waitlists.expireOffers()
+  );
+};
+
+module.exports = {
+  waitlistTypes,
+  waitlistResolver,
+  waitlistDataSource,
+  scheduleWaitlists,
+  WaitlistEntryModel,
+  WaitlistStatus,
+};
@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+
+const { BaseDataSource } = require('./BaseDataSource');
+const { StripeService } = require('../services/stripe');
+const { WEBHOOK_PROCESSING_TIMEOUT } = require('../config');
+const { UserRole } = require('./User');
+
+const WebhookEventStatus = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  //  We don't handle this event type
+  IGNORED: 'ignored',
+};
+
+//  Processing started before this, whoever was on it most likely crashed
+const staleBefore = () =>
+  new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT * 1000);
+
+const webhookEventTypes = /*gql*/ `
+  enum WebhookEventStatus {
+    ${Object.keys(WebhookEventStatus).join('\n')}
+  }
+
+  "Verified Stripe webhook event, stored as it was received"
+  type WebhookEvent {
+    _id: ObjectID
+    "Stripe event id, \`evt_...\`"
+    eventId: String
+    "e.g. \`payment_intent.succeeded\`"
+    type: String
+    "Connected account id for Connect events"
+    account: String
+    livemode: Boolean
+    status: WebhookEventStatus
+    "How many times we tried to process it"
+    attempts: Int
+    lastError: String
+    processedAt: DateTime
+    "Raw Stripe event JSON"
+    payload: String
+    created_at: DateTime
+    updated_at: DateTime
+  }
+
+  input WebhookEventQuery {
+    eventId: String
+    type: String
+    status: WebhookEventStatus
+    created_at: DateTimeQuery
+  }
+
+  type WebhookEventResponse implements MutationResponse {
+    code: String!
+    success: Boolean!
+    message: String
+    event: WebhookEvent
+  }
+
+  extend type Query {
+    "Admin only"
+    webhookEvents(query: WebhookEventQuery, limit: Int, skip: Int, sort: SplitSort): [WebhookEvent]
+    "Admin only"
+    webhookEvent(eventId: String!): WebhookEvent
+  }
+
+  extend type Mutation {
+    "Admin only. Process the stored event again, regardless of its status"
+    reprocessWebhookEvent(eventId: String!): WebhookEventResponse
+  }
+`;
+
+const WebhookEventSchema = mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    account: String,
+    livemode: Boolean,
+    status: {
+      type: String,
+      required: true,
+      index: true,
+      enum: Object.values(WebhookEventStatus),
+      default: WebhookEventStatus.RECEIVED,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    processedAt: Date,
+    payload: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+  }
+);
+
+const WebhookEventModel = mongoose.model('WebhookEvent', WebhookEventSchema);
+
+class WebhookEventDataSource extends BaseDataSource {
+  initialize(config) {
+    this.stripeService = new StripeService();
+
+    super.initialize(config);
+  }
+
+  checkAdmin() {
+    if (this.context.user.role !== UserRole.ADMIN) {
+      throw new Error('Only admins can access webhook events');
+    }
+  }
+
+  /**
+   *  Verifies and stores the event, then processes it
+   *  unless it was already handled before.
+   *
+   *  Events processing right now fail the delivery, so Stripe delivers them
+   *  again. By then they're processed, or stale and taken over.
+   *
+   *  @returns {Boolean} - whether Stripe should consider the delivery successful
+   * */
+  async receive(signature, body) {
+    //  The webhook router doesn't go through Apollo, which initializes
+    //  the data sources for requests
+    this.initialize();
+
+    let event;
+
+    try {
+      event = await this.stripeService.verifyWebhook(body, signature);
+    } catch (e) {
+      console.error('Stripe webhook verification failed');
+      console.error(e);
+      return false;
+    }
+
+    //  Stripe delivers at least once, so it's fine if the event is here already
+    const webhookEvent = await this.model.findOneAndUpdate(
+      { eventId: event.id },
+      {
+        $setOnInsert: {
+          eventId: event.id,
+          type: event.type,
+          account: event.account,
+          livemode: event.livemode,
+          payload: event,
+          status: WebhookEventStatus.RECEIVED,
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    if (
+      [WebhookEventStatus.PROCESSED, WebhookEventStatus.IGNORED].includes(
+        webhookEvent.status
+      )
+    ) {
+      return true;
+    }
+
+    return await this.process(webhookEvent._id, [
+      WebhookEventStatus.RECEIVED,
+      WebhookEventStatus.FAILED,
+    ]);
+  }
+
+  /**
+   *  Claims the event so concurrent deliveries don't process it twice,
+   *  dispatches it and records the outcome. Events stuck in `PROCESSING`
+   *  for longer than `WEBHOOK_PROCESSING_TIMEOUT` can be claimed as well.
+   *
+   *  @param _id {ObjectID} - WebhookEvent id
+   *  @param fromStatuses {[WebhookEventStatus]} - statuses the event can be claimed in
+   *  @returns {Boolean} - true if processed or ignored
+   * */
+  async process(_id, fromStatuses) {
+    const webhookEvent = await this.model.findOneAndUpdate(
+      {
+        _id,
+        $or: [
+          { status: { $in: fromStatuses } },
+          {
+            status: WebhookEventStatus.PROCESSING,
+            updated_at: { $lt: staleBefore() },
+          },
+        ],
+      },
+      { status: WebhookEventStatus.PROCESSING, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    //  Someone else is on it, see `receive`
+    if (!webhookEvent) {
+      return false;
+    }
+
+    try {
+      const handled = await this.dispatch(webhookEvent.payload);
+
+      webhookEvent.status = handled
+        ? WebhookEventStatus.PROCESSED
+        : WebhookEventStatus.IGNORED;
+      webhookEvent.processedAt = new Date();
+      webhookEvent.lastError = null;
+      await webhookEvent.save();
+
+      return true;
+    } catch (e) {
+      console.error(`Error processing Stripe event ${webhookEvent.eventId}`);
+      console.error(e);
+
+      webhookEvent.status = WebhookEventStatus.FAILED;
+      webhookEvent.lastError = e.message;
+      await webhookEvent.save();
+
+      return false;
+    }
+  }
+
+  /**
+   *  Routes the event to whoever is responsible for it
+   *
+   *  @returns {Boolean} - false if we don't handle this event type
+   * */
+  async dispatch(event) {
+    const { orders, payouts, stripeAccounts } = this.context.dataSources;
+
+    switch (event.type) {
+    case 'payment_intent.succeeded':
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+    case 'payment_intent.processing':
+    case 'payment_intent.amount_capturable_updated':
+      return await orders.updateOrderStatusByWebhook(event);
+    case 'charge.refunded':
+      return await orders.updateOrderRefundByWebhook(event);
+    case 'checkout.session.completed':
+      return await orders.createOrderByCheckoutWebhook(event);
+    case 'payout.created':
+    case 'payout.updated':
+    case 'payout.paid':
+    case 'payout.failed':
+    case 'payout.canceled':
+      return await payouts.updateByWebhook(event);
+    case 'account.updated':
+      return await stripeAccounts.updateByWebhook(event);
+    default:
+      return false;
+    }
+  }
+
+  async list({ query, limit, skip, sort }, fields) {
+    this.checkAdmin();
+
+    return await super.list({ query, limit, skip, sort }, fields);
+  }
+
+  async getEvent({ eventId }) {
+    this.checkAdmin();
+
+    return await this.model.findOne({ eventId });
+  }
+
+  async reprocess({ eventId }) {
+    try {
+      this.checkAdmin();
+
+      const webhookEvent = await this.model.findOne({ eventId }, '_id');
+
+      if (!webhookEvent) {
+        throw new Error("Can't find webhook event with provided id");
+      }
+
+      //  Any status, including `processing` ones stuck after a crash
+      const success = await this.process(
+        webhookEvent._id,
+        Object.values(WebhookEventStatus)
+      );
+
+      const event = await this.model.findOne({ eventId });
+
+      return {
+        code: success ? 200 : 501,
+        success,
+        message: success ? null : event.lastError,
+        event,
+      };
+    } catch (e) {
+      return {
+        code: 501,
+        success: false,
+        message: e.message,
+      };
+    }
+  }
+}
+
+const webhookEventDataSource = {
+  webhookEvents: new WebhookEventDataSource(WebhookEventModel),
+};
+
+const webhookEventResolver = {
+  WebhookEventStatus,
+  WebhookEvent: {
+    payload(webhookEvent) {
+      return JSON.stringify(webhookEvent.payload);
+    },
+  },
+  Query: {
+    webhookEvents(_, args, { dataSources: { webhookEvents } }) {
+      return webhookEvents.list(args);
+    },
+    webhookEvent(_, args, { dataSources: { webhookEvents } }) {
+      return webhookEvents.getEvent(args);
+    },
+  },
+  Mutation: {
+    reprocessWebhookEvent(_, args, { dataSources: { webhookEvents } }) {
+      return webhookEvents.reprocess(args);
+    },
+  },
+};
+
+module.exports = {
+  webhookEventTypes,
+  webhookEventResolver,
+  webhookEventDataSource,
+  WebhookEventModel,
+  WebhookEventStatus,
+};
@@ -0,0 +1,127 @@
+/**
+ *  Payment, checkout and fulfilment modules built around Orders and Splits.
+ *  `withPayments` adds them to the ApolloServer config, `index.js` gives
+ *  the running server their data sources and schedules their jobs
+ * */
+const { scheduleOrders } = require('./Order');
+const {
+  feeRuleTypes,
+  feeRuleResolver,
+  feeRuleDataSource,
+} = require('./FeeRule');
+const {
+  paymentMethodTypes,
+  paymentMethodResolver,
+  paymentMethodDataSource,
+} = require('./PaymentMethod');
+const { payoutTypes, payoutResolver, payoutDataSource } = require('./Payout');
+const {
+  promoCodeTypes,
+  promoCodeResolver,
+  promoCodeDataSource,
+} = require('./PromoCode');
+const { receiptTypes, receiptResolver } = require('./Receipt');
+const {
+  reconciliationTypes,
+  reconciliationResolver,
+  reconciliationDataSource,
+  scheduleReconciliation,
+} = require('./Reconciliation');
+const { seatHoldDataSource, scheduleSeatHolds } = require('./SeatHold');
+const {
+  stripeAccountTypes,
+  stripeAccountResolver,
+  stripeAccountDataSource,
+} = require('./StripeAccount');
+const {
+  waitlistTypes,
+  waitlistResolver,
+  waitlistDataSource,
+  scheduleWaitlists,
+} = require('./Waitlist');
+const {
+  webhookEventTypes,
+  webhookEventResolver,
+  webhookEventDataSource,
+} = require('./WebhookEvent');
+
+const paymentTypes = [
+  feeRuleTypes,
+  paymentMethodTypes,
+  payoutTypes,
+  promoCodeTypes,
+  receiptTypes,
+  reconciliationTypes,
+  stripeAccountTypes,
+  waitlistTypes,
+  webhookEventTypes,
+];
+
+const paymentResolvers = [
+  feeRuleResolver,
+  paymentMethodResolver,
+  payoutResolver,
+  promoCodeResolver,
+  receiptResolver,
+  reconciliationResolver,
+  stripeAccountResolver,
+  waitlistResolver,
+  webhookEventResolver,
+];
+
+//  The same instances the scheduled jobs and webhooks use
+const paymentDataSources = {
+  ...feeRuleDataSource,
+  ...paymentMethodDataSource,
+  ...payoutDataSource,
+  ...promoCodeDataSource,
+  ...reconciliationDataSource,
+  ...seatHoldDataSource,
+  ...stripeAccountDataSource,
+  ...waitlistDataSource,
+  ...webhookEventDataSource,
+};
+
+/**
+ *  ApolloServer config with the payment modules next to what it has
+ * */
+const withPayments = ({
+  typeDefs = [],
+  resolvers = [],
+  dataSources,
+  ...config
+}) => ({
+  ...config,
+  typeDefs: [...[].concat(typeDefs), ...paymentTypes],
+  resolvers: [...[].concat(resolvers), ...paymentResolvers],
+  dataSources: () => ({
+    ...(dataSources ? dataSources() : {}),
+    ...paymentDataSources,
+  }),
+});
+
+/**
+ *  For a server built already, requests and the Stripe webhook get
+ *  the data sources from its `requestOptions`
+ * */
+const registerPaymentDataSources = (apolloServer) => {
+  const { dataSources } = withPayments(apolloServer.requestOptions);
+
+  apolloServer.requestOptions.dataSources = dataSources;
+};
+
+const schedulePayments = async () => {
+  await scheduleOrders();
+  await scheduleReconciliation();
+  await scheduleSeatHolds();
+  await scheduleWaitlists();
+};
+
+module.exports = {
+  paymentTypes,
+  paymentResolvers,
+  paymentDataSources,
+  registerPaymentDataSources,
+  schedulePayments,
+  withPayments,
+};
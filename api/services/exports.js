@@ -0,0 +1,91 @@
+const express = require('express');
+const { once } = require('events');
+const router = express.Router();
+
+const {
+  ExportFormat,
+  exportCursor,
+  formatExportHeader,
+  formatExportLine,
+} = require('../models/OrderExport');
+
+router.use((req, res, next) => {
+  if (!req.user || !req.user._id) {
+    res.status(401).json({ message: 'Unauthorized' });
+    return;
+  }
+  next();
+});
+
+const contentTypes = {
+  [ExportFormat.CSV]: 'text/csv; charset=utf-8',
+  [ExportFormat.JSONL]: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ *  Owners get Orders on their Splits, admins get everything.
+ *  `?format=csv|jsonl`, CSV by default.
+ *  `?query=` takes an `OrderQuery` as JSON
+ * */
+router.get('/orders', async (req, res) => {
+  const format = req.query.format || ExportFormat.CSV;
+
+  if (!contentTypes[format]) {
+    res.status(400).json({ message: `Unsupported format "${format}"` });
+    return;
+  }
+
+  let cursor;
+
+  try {
+    const query = req.query.query ? JSON.parse(req.query.query) : {};
+    cursor = exportCursor(req.user, query);
+  } catch (e) {
+    res.status(400).json({ message: e.message });
+    return;
+  }
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  try {
+    res.status(200);
+    //  Sets the type from the extension too, `.jsonl` has none
+    res.attachment(`orders-${new Date().toISOString()}.${format}`);
+    res.type(contentTypes[format]);
+
+    const header = formatExportHeader(format);
+
+    if (header) {
+      res.write(header);
+    }
+
+    for await (const order of cursor) {
+      if (closed) {
+        break;
+      }
+
+      //  Wait for the client to catch up instead of buffering
+      if (!res.write(formatExportLine(order, format))) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    }
+
+    res.end();
+  } catch (e) {
+    console.error(e);
+
+    //  Too late for a status code, cut the file short
+    if (res.headersSent) {
+      res.destroy(e);
+    } else {
+      res.status(500).json({ message: e.message });
+    }
+  } finally {
+    await cursor.close().catch(() => null);
+  }
+});
+
+module.exports = router;
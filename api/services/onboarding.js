@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+
+const { APP_URL_SCHEME } = require('../config');
+const { StripeService, verifyAccountSignature } = require('./stripe');
+const {
+  OnboardingStatus,
+  stripeAccountDataSource,
+} = require('../models/StripeAccount');
+
+const OnboardingResult = {
+  SUCCESS: 'success',
+  PENDING: 'pending',
+  ERROR: 'error',
+};
+
+const appLink = (result) =>
+  `${APP_URL_SCHEME}://stripe-onboarding?${new URLSearchParams({ result })}`;
+
+//  Links Stripe redirects to carry a signed account id and expiry,
+//  see `getAccountLink`
+router.use(['/stripe_refresh', '/stripe_return'], (req, res, next) => {
+  const { account, expires, signature } = req.query;
+
+  if (!account || !verifyAccountSignature(account, expires, signature)) {
+    res.status(400).send('Invalid or expired onboarding link');
+    return;
+  }
+  next();
+});
+
+//  The account link expired or was already used, send them to a new one
+router.get('/stripe_refresh', async (req, res) => {
+  try {
+    const accountLink = await new StripeService().getAccountLink(
+      req.query.account,
+      'account_onboarding',
+      Number(req.query.expires)
+    );
+
+    res.redirect(accountLink.url);
+  } catch (e) {
+    console.error(e);
+    res.redirect(appLink(OnboardingResult.ERROR));
+  }
+});
+
+//  The Owner left the onboarding, finished or not
+router.get('/stripe_return', async (req, res) => {
+  try {
+    const { stripeAccounts } = stripeAccountDataSource;
+    const status = await stripeAccounts.finishOnboarding(req.query.account);
+
+    res.redirect(
+      appLink(
+        status === OnboardingStatus.ENABLED
+          ? OnboardingResult.SUCCESS
+          : OnboardingResult.PENDING
+      )
+    );
+  } catch (e) {
+    console.error(e);
+    res.redirect(appLink(OnboardingResult.ERROR));
+  }
+});
+
+module.exports = router;
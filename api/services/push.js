@@ -0,0 +1,29 @@
+const { firebase } = require('./firebase');
+const { UserModel } = require('../models/User');
+
+/**
+ *  Push notification to all devices of the user.
+ *  Users without devices are skipped silently
+ *
+ *  @param user {ObjectID}
+ *  @param title {String}
+ *  @param body {String}
+ *  @param data {Object} - string values only
+ * */
+const sendPush = async (user, { title, body, data = {} }) => {
+  const userData = await UserModel.findOne({ _id: user }, 'fcmTokens');
+
+  if (!userData || !userData.fcmTokens || !userData.fcmTokens.length) {
+    return null;
+  }
+
+  return await firebase.messaging().sendMulticast({
+    tokens: userData.fcmTokens,
+    notification: { title, body },
+    data,
+  });
+};
+
+module.exports = {
+  sendPush,
+};
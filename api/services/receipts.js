@@ -0,0 +1,58 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { OrderModel } = require('../models/Order');
+const { UserRole } = require('../models/User');
+const {
+  getReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+} = require('../models/Receipt');
+
+router.use((req, res, next) => {
+  if (!req.user || !req.user._id) {
+    res.status(401).json({ message: 'Unauthorized' });
+    return;
+  }
+  next();
+});
+
+//  HTML by default, `?format=pdf` for PDF
+router.get('/:id', async (req, res) => {
+  try {
+    const { user } = req;
+
+    const order = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await OrderModel.findById(req.params.id)
+      : null;
+
+    //  Same response for someone else's Orders
+    if (
+      !order ||
+      (order.client.toString() !== user._id.toString() &&
+        order.owner.toString() !== user._id.toString() &&
+        user.role !== UserRole.ADMIN)
+    ) {
+      res.status(404).json({ message: 'Order not found' });
+      return;
+    }
+
+    const receipt = await getReceipt(order);
+
+    if (req.query.format === 'pdf') {
+      res.type('pdf');
+      res.attachment(`receipt-${receipt.number}.pdf`);
+      renderReceiptPdf(receipt, res);
+      return;
+    }
+
+    res.type('html');
+    res.status(200).send(renderReceiptHtml(receipt));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const { toCsv } = require('../helpers/csv');
+const { UserRole } = require('../models/User');
+const {
+  ReconciliationReportModel,
+  discrepancyColumns,
+} = require('../models/Reconciliation');
+
+//  Reports are for admins only
+router.use((req, res, next) => {
+  if (!req.user || req.user.role !== UserRole.ADMIN) {
+    res.status(403).json({ message: 'Only admins can download reports' });
+    return;
+  }
+  next();
+});
+
+//  CSV by default, `?format=json` for JSON
+router.get('/reconciliation/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      res.status(404).json({ message: 'Report not found' });
+      return;
+    }
+
+    const report = await ReconciliationReportModel.findById(
+      req.params.id
+    ).lean();
+
+    if (!report) {
+      res.status(404).json({ message: 'Report not found' });
+      return;
+    }
+
+    const filename = `reconciliation-${report.startedAt.toISOString()}`;
+
+    if (req.query.format === 'json') {
+      res.attachment(`${filename}.json`);
+      res.status(200).json(report);
+      return;
+    }
+
+    res.attachment(`${filename}.csv`);
+    res.status(200).send(toCsv(report.discrepancies, discrepancyColumns));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: e.message });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,95 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
+const crypto = require('crypto');
 const isEmpty = require('lodash/isEmpty');
 
+const { normalizeCurrency, roundMinorUnits } = require('../helpers/currency');
+const { ONBOARDING_LINK_HOURS } = require('../config');
+
 const StripePaymentStatusType = {
   REQUIRE_PAYMENT_METHOD: 'requires_payment_method',
   REQUIRE_CONFIRMATION: 'requires_confirmation',
   REUIRE_ACTION: 'requires_action',
+  //  `MANUAL` capture, the funds are authorized but not charged yet
+  REQUIRE_CAPTURE: 'requires_capture',
   FAILED: 'payment_failed',
   PROCESSING: 'processing',
   CANCELED: 'canceled',
   SUCCESS: 'succeeded',
 };
 
+//  Stored on refunds we issue ourselves, so `charge.refunded`
+//  webhooks can tell them apart from refunds made in the Dashboard
+const API_REFUND_METADATA = { initiatedBy: 'api' };
+
+const isApiRefund = (refund) =>
+  !!refund.metadata &&
+  refund.metadata.initiatedBy === API_REFUND_METADATA.initiatedBy;
+
+/**
+ *  Stripe opens onboarding return and refresh URLs in a browser,
+ *  without our authorization, so the account id in them is signed
+ *  along with when the link expires
+ *
+ *  @param account {String} - connected account id
+ *  @param expires {Number} - unix timestamp
+ * */
+const signAccount = (account, expires) =>
+  crypto
+    .createHmac('sha256', process.env.STRIPE_SECRET_KEY)
+    .update(`${account}.${expires}`)
+    .digest('hex');
+
+/**
+ *  @returns {Boolean} - false for forged or expired links
+ * */
+const verifyAccountSignature = (account, expires, signature) => {
+  if (!/^\d+$/.test(String(expires)) || expires * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signAccount(account, expires));
+  const actual = Buffer.from(String(signature || ''));
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+/**
+ *  How the Split Owner gets paid
+ *
+ *  DIRECT - destination charges, the Owner is paid as soon as the client pays
+ *  ESCROW - separate charges and transfers, the platform holds the funds
+ *    until the Order is received or the auto release period passes
+ * */
+const PayoutMode = {
+  DIRECT: 'DIRECT',
+  ESCROW: 'ESCROW',
+};
+
+/**
+ *  When the client is charged
+ *
+ *  AUTOMATIC - right away when the client pays
+ *  MANUAL - the card is only authorized, the funds are captured
+ *    once the Split is filled and voided if it's not
+ * */
+const CaptureMethod = {
+  AUTOMATIC: 'AUTOMATIC',
+  MANUAL: 'MANUAL',
+};
+
 const stripeTypes = `
+  enum PayoutMode {
+    ${Object.keys(PayoutMode).join('\n')}
+  }
+
+  enum CaptureMethod {
+    ${Object.keys(CaptureMethod).join('\n')}
+  }
+
   type StripeAccountLink {
     created: DateTime
     expires_at: DateTime
@@ -30,6 +107,7 @@ const stripeTypes = `
 
   type StripePaymentIntent {
     amount: String
+    currency: String
     amount_received: String
     application_fee_amount: String
     livemode: Boolean
@@ -83,6 +161,8 @@ const stripeTypes = `
     created: Int
     customer: String
     livemode: Boolean
+    "The customer's default card, offered at checkout"
+    isDefault: Boolean
   }
 
   type StripePaymentInfo {
@@ -142,46 +222,233 @@ class StripeService {
 
   /**
    * @param customer String - customer id
+   * @param idempotencyKey String - optional, Stripe returns the same key on retries
    * */
-  createEphemeralKey(customer) {
+  createEphemeralKey(customer, idempotencyKey) {
     return stripe.ephemeralKeys.create(
       { customer },
-      { apiVersion: '2020-08-27' }
+      { apiVersion: '2020-08-27', idempotencyKey }
     );
   }
 
   /**
-   * @param customer String - customer id
+   *  How the Owner gets paid and when the card is charged,
+   *  the same for PaymentSheet and Checkout payments
+   *
    * @param destination String - connected express account id
-   * @param amount Number - customer id
+   * @param feeAmount Number - application fee in the smallest currency unit
+   * @param payoutMode PayoutMode - `ESCROW` keeps the funds on the platform
+   * @param transferGroup String - groups the charge with the transfers made later
+   * @param captureMethod CaptureMethod - `MANUAL` only authorizes the card
+   * @param metadata Object - optional, string values only
+   * */
+  paymentIntentSettings({
+    destination,
+    feeAmount,
+    payoutMode = PayoutMode.DIRECT,
+    transferGroup,
+    captureMethod = CaptureMethod.AUTOMATIC,
+    metadata,
+  }) {
+    const data = { metadata };
+
+    if (captureMethod === CaptureMethod.MANUAL) {
+      data.capture_method = 'manual';
+      //  Saves the card so it can be authorized again without the client,
+      //  see `reauthorizePaymentIntent`
+      data.setup_future_usage = 'off_session';
+    }
+
+    if (payoutMode === PayoutMode.ESCROW) {
+      //  The Owner is paid later with `createTransfer`,
+      //  the fee is whatever is not transferred
+      data.transfer_group = transferGroup;
+    } else {
+      data.transfer_data = { destination };
+
+      //  Discounts can take the whole fee
+      if (feeAmount) {
+        data.application_fee_amount = feeAmount;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * @param customer String - customer id
+   * @param amount Number - amount in the smallest currency unit, see `helpers/currency`
    * @param currency String - Stripe Currency
+   * @param paymentMethod String - optional, saved card to confirm the paymentIntent with right away
+   * @param idempotencyKey String - optional, Stripe returns the same paymentIntent on retries
+   *
+   *  The rest is described in `paymentIntentSettings`
    * */
   async createPaymentIntent({
     customer,
-    destination,
     amount,
-    feeAmount,
-    currency = 'usd',
+    currency,
+    paymentMethod,
+    idempotencyKey,
+    ...settings
   }) {
-    return await stripe.paymentIntents.create({
-      // TODO: we need to pay as a smallest unit, for USD we need to pay as cents
-      // temporarily we are using only cents. we need to do later with other currency
+    const data = {
       amount,
-      currency,
+      currency: normalizeCurrency(currency),
       customer,
-      transfer_data: {
+      payment_method_types: ['card'],
+      ...this.paymentIntentSettings(settings),
+    };
+
+    //  The client is around, so it's `requires_action` if 3DS is needed
+    if (paymentMethod) {
+      data.payment_method = paymentMethod;
+      data.confirm = true;
+    }
+
+    return await stripe.paymentIntents.create(data, { idempotencyKey });
+  }
+
+  /**
+   *  Stripe hosted payment page for web clients. Its paymentIntent is created
+   *  right away, the same way `createPaymentIntent` does it
+   *
+   * @param customer String - customer id
+   * @param amount Number - the whole Order in the smallest currency unit
+   * @param currency String - Stripe Currency
+   * @param name String - what the client sees they're paying for
+   * @param sessionMetadata Object - string values only, for the webhook
+   * @param successUrl String
+   * @param cancelUrl String
+   * @param expiresAt Date - at least 30 minutes from now
+   * @param idempotencyKey String - optional
+   *
+   *  The rest is described in `paymentIntentSettings`
+   * */
+  async createCheckoutSession({
+    customer,
+    amount,
+    currency,
+    name,
+    sessionMetadata,
+    successUrl,
+    cancelUrl,
+    expiresAt,
+    idempotencyKey,
+    ...settings
+  }) {
+    return await stripe.checkout.sessions.create(
+      {
+        mode: 'payment',
+        customer,
+        payment_method_types: ['card'],
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency: normalizeCurrency(currency),
+              unit_amount: amount,
+              product_data: { name },
+            },
+          },
+        ],
+        payment_intent_data: this.paymentIntentSettings(settings),
+        metadata: sessionMetadata,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        expires_at: Math.floor(expiresAt.getTime() / 1000),
+      },
+      { idempotencyKey }
+    );
+  }
+
+  /**
+   *  Ends an open Checkout Session, its paymentIntent is cancelled with it.
+   *  Stripe doesn't cancel those directly while the session is open
+   *
+   * @param id String - Checkout Session id
+   * @returns {Boolean} - false if the session wasn't open anymore
+   * */
+  async expireCheckoutSession(id) {
+    const checkoutSession = await stripe.checkout.sessions.retrieve(id);
+
+    if (checkoutSession.status !== 'open') {
+      return false;
+    }
+
+    await stripe.checkout.sessions.expire(id);
+
+    return true;
+  }
+
+  /**
+   *  Pays the Owner for an `ESCROW` paymentIntent.
+   *  `source_transaction` allows to transfer funds that are not available yet
+   *
+   *  https://stripe.com/docs/connect/charges-transfers
+   *
+   * @param piid String - paymentIntent id
+   * @param destination String - connected express account id
+   * @param amount Number - in the smallest unit of the charge's currency
+   * @param transferGroup String
+   * @param idempotencyKey String - the same transfer is never made twice
+   * */
+  async createTransfer({
+    piid,
+    destination,
+    amount,
+    transferGroup,
+    idempotencyKey,
+  }) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(piid);
+
+    if (isEmpty(paymentIntent.charges)) {
+      throw new Error("paymentIntent doesn't have charges");
+    }
+
+    const charge = paymentIntent.charges.data[0];
+
+    return await stripe.transfers.create(
+      {
+        amount,
+        currency: charge.currency,
         destination,
+        source_transaction: charge.id,
+        transfer_group: transferGroup,
       },
-      payment_method_types: ['card'],
-      application_fee_amount: feeAmount,
-    });
+      { idempotencyKey }
+    );
   }
 
+  /**
+   *  Takes the funds back from the Owner, for `ESCROW` Orders
+   *  refunded after the funds were released
+   *
+   * @param transfer String - transfer id
+   * @param amount Number - optional, the whole transfer is reversed if omitted
+   * @param idempotencyKey String - optional
+   * */
+  async reverseTransfer(transfer, amount, idempotencyKey) {
+    return await stripe.transfers.createReversal(
+      transfer,
+      amount ? { amount } : {},
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
+  }
+
+  /**
+   * @param paymentIntent String - paymentIntent id
+   * @returns {Stripe.PaymentIntent|null} - null if Stripe doesn't know it,
+   *  any other error is thrown
+   * */
   async getPaymentIntent(paymentIntent) {
     try {
       return await stripe.paymentIntents.retrieve(paymentIntent);
     } catch (e) {
-      return null;
+      if (e.code === 'resource_missing') {
+        return null;
+      }
+      throw e;
     }
   }
 
@@ -189,6 +456,60 @@ class StripeService {
     return await stripe.paymentIntents.cancel(paymentIntent);
   }
 
+  /**
+   *  Charges an authorized `MANUAL` paymentIntent
+   *
+   * @param piid String - paymentIntent id
+   * @param idempotencyKey String - optional
+   * */
+  async capturePaymentIntent(piid, idempotencyKey) {
+    return await stripe.paymentIntents.capture(piid, {}, { idempotencyKey });
+  }
+
+  /**
+   *  Card authorizations expire after about 7 days. This authorizes
+   *  the same amount again with the card saved by the original paymentIntent,
+   *  without the client being around. The original one is left as it is.
+   *
+   *  https://stripe.com/docs/payments/place-a-hold-on-a-payment-method
+   *
+   * @param piid String - the authorized paymentIntent id
+   * @param idempotencyKey String - optional
+   * @returns paymentIntent - `requires_capture` if it worked
+   * */
+  async reauthorizePaymentIntent(piid, idempotencyKey) {
+    const previous = await stripe.paymentIntents.retrieve(piid);
+
+    if (!previous.payment_method) {
+      throw new Error("paymentIntent doesn't have a payment method");
+    }
+
+    const data = {
+      amount: previous.amount,
+      currency: previous.currency,
+      customer: previous.customer,
+      payment_method: previous.payment_method,
+      payment_method_types: previous.payment_method_types,
+      capture_method: 'manual',
+      confirm: true,
+      off_session: true,
+      metadata: previous.metadata,
+    };
+
+    //  Same payout mode as the original one
+    if (previous.transfer_data) {
+      data.transfer_data = { destination: previous.transfer_data.destination };
+
+      if (previous.application_fee_amount) {
+        data.application_fee_amount = previous.application_fee_amount;
+      }
+    } else if (previous.transfer_group) {
+      data.transfer_group = previous.transfer_group;
+    }
+
+    return await stripe.paymentIntents.create(data, { idempotencyKey });
+  }
+
   async getPaymentMethods(id) {
     return await stripe.customers.listPaymentMethods(id, { type: 'card' });
   }
@@ -197,6 +518,46 @@ class StripeService {
     return await stripe.paymentMethods.retrieve(id);
   }
 
+  /**
+   *  Saves a card for later without charging it, the client
+   *  finishes it with PaymentSheet in setup mode
+   *
+   * @param customer String - customer id
+   * */
+  async createSetupIntent(customer) {
+    return await stripe.setupIntents.create({
+      customer,
+      payment_method_types: ['card'],
+      usage: 'off_session',
+    });
+  }
+
+  async detachPaymentMethod(id) {
+    return await stripe.paymentMethods.detach(id);
+  }
+
+  /**
+   * @param customer String - customer id
+   * @returns String - payment method id or null
+   * */
+  async getDefaultPaymentMethodId(customer) {
+    const { invoice_settings } = await this.getCustomer(customer);
+
+    return (
+      (invoice_settings && invoice_settings.default_payment_method) || null
+    );
+  }
+
+  /**
+   * @param customer String - customer id
+   * @param id String - payment method id, null unsets the default one
+   * */
+  async setDefaultPaymentMethod(customer, id) {
+    return await stripe.customers.update(customer, {
+      invoice_settings: { default_payment_method: id || '' },
+    });
+  }
+
   async getAccount(id) {
     return await stripe.accounts.retrieve(id);
   }
@@ -215,18 +576,99 @@ class StripeService {
       .then((link) => this.transformAccountLink(link));
   }
 
+  /**
+   * @param account String - connected account id
+   * @returns {available: [{amount, currency}], pending: [{amount, currency}]}
+   * */
+  async getBalance(account) {
+    return await stripe.balance.retrieve({ stripeAccount: account });
+  }
+
+  /**
+   * @param account String - connected account id
+   * @param limit Number - 1 to 100
+   * @param startingAfter String - payout id, for the next page
+   * */
+  async listPayouts(account, { limit = 10, startingAfter } = {}) {
+    return await stripe.payouts.list(
+      { limit, starting_after: startingAfter },
+      { stripeAccount: account }
+    );
+  }
+
+  async getPayout(account, id) {
+    return await stripe.payouts.retrieve(id, { stripeAccount: account });
+  }
+
+  /**
+   *  Funds a payout is made of. On the connected account every transfer
+   *  from the platform, destination charges included, arrives as a payment
+   *  with `source_transfer` pointing to the platform transfer
+   *
+   * @param account String - connected account id
+   * @param payout String - payout id
+   * @returns [{transfer, amount, currency}] - amounts in the smallest currency unit
+   * */
+  async getPayoutTransfers(account, payout) {
+    const balanceTransactions = await stripe.balanceTransactions
+      .list(
+        { payout, limit: 100, expand: ['data.source'] },
+        { stripeAccount: account }
+      )
+      .autoPagingToArray({ limit: 10000 });
+
+    return balanceTransactions
+      .filter((bt) => bt.source && bt.source.source_transfer)
+      .map((bt) => ({
+        transfer: bt.source.source_transfer,
+        amount: bt.net,
+        currency: bt.currency,
+      }));
+  }
+
+  /**
+   * @param id String - platform transfer id
+   * @returns String - paymentIntent id the transfer was paid from, if any
+   * */
+  async getTransferPaymentIntent(id) {
+    const transfer = await stripe.transfers.retrieve(id, {
+      expand: ['source_transaction'],
+    });
+
+    return (
+      (transfer.source_transaction &&
+        transfer.source_transaction.payment_intent) ||
+      null
+    );
+  }
+
   /**
    *  Used to get Express Account's Onboarind Link.
    *  Unfortunately, Express accounts can't get `account_update` links
    *  and it's necessary to use Login Link instead
+   *
+   *  @param expires {Number} - unix timestamp the refresh and return links
+   *    stop working at. Refreshed links keep it, so they can't be renewed
+   *    forever
    * */
-  async getAccountLink(account, type = 'account_onboarding') {
+  async getAccountLink(
+    account,
+    type = 'account_onboarding',
+    expires = Math.floor(Date.now() / 1000 + ONBOARDING_LINK_HOURS * 60 * 60)
+  ) {
+    //  See `services/onboarding`
+    const query = new URLSearchParams({
+      account,
+      expires,
+      signature: signAccount(account, expires),
+    });
+
     //  The onboarding link
     const accountLink = await stripe.accountLinks.create({
       account,
       type,
-      refresh_url: `${process.env.DOMAIN_PREFIX}/stripe_refresh`,
-      return_url: `${process.env.DOMAIN_PREFIX}/stripe_return`,
+      refresh_url: `${process.env.DOMAIN_PREFIX}/stripe_refresh?${query}`,
+      return_url: `${process.env.DOMAIN_PREFIX}/stripe_return?${query}`,
     });
 
     return this.transformAccountLink(accountLink);
@@ -259,11 +701,20 @@ class StripeService {
    *  in regular Stripe usage. We're using `reverse_transfer` to pull funds
    *  from the Express account so
    *
+   *  `ESCROW` charges have no transfer attached, it's a regular refund.
+   *  See `reverseTransfer` if the funds were released already
+   *
    * @param piid String - paymentIntent id
    * @param refund_application_fee Boolean - Whether or not to refund the application fee
+   * @param amount Number - optional, in the smallest unit of the charge's currency.
+   *  The whole charge is refunded if omitted
+   * @param idempotencyKey String - optional, a refund made with it already
+   *  is returned instead of refunding again
+   * @returns {refund, amountRefunded} - `amountRefunded` of the whole charge,
+   *  the refund included
    *
    * */
-  async refund(piid, refund_application_fee = false) {
+  async refund(piid, refund_application_fee = false, amount, idempotencyKey) {
     const paymentIntent = await stripe.paymentIntents.retrieve(piid);
 
     if (!paymentIntent) {
@@ -278,18 +729,56 @@ class StripeService {
       throw new Error('paymentIntent doesn\'t have charges');
     }
 
-    const refund = await stripe.refunds.create({
-      charge: paymentIntent.charges.data[0].id,
-      reverse_transfer: true,
-      refund_application_fee,
-    });
+    const charge = paymentIntent.charges.data[0];
+
+    //  Stripe only keeps idempotency keys for a day, retries can come later
+    const previous =
+      idempotencyKey &&
+      (charge.refunds ? charge.refunds.data : []).find(
+        ({ metadata }) => metadata && metadata.idempotencyKey === idempotencyKey
+      );
+
+    if (previous) {
+      return { refund: previous, amountRefunded: charge.amount_refunded };
+    }
+
+    const refundData = {
+      charge: charge.id,
+      metadata: idempotencyKey
+        ? { ...API_REFUND_METADATA, idempotencyKey }
+        : API_REFUND_METADATA,
+    };
+
+    //  Destination charge, the Owner has the funds
+    if (paymentIntent.transfer_data) {
+      refundData.reverse_transfer = true;
+      refundData.refund_application_fee = refund_application_fee;
+    }
+
+    if (amount !== undefined && amount !== null) {
+      refundData.amount = roundMinorUnits(amount, charge.currency);
+
+      if (refundData.amount <= 0) {
+        throw new Error('Refund amount must be a positive number');
+      }
+
+      if (refundData.amount > charge.amount - charge.amount_refunded) {
+        throw new Error('Refund amount exceeds the refundable amount');
+      }
+    }
+
+    const refund = await stripe.refunds.create(refundData, { idempotencyKey });
 
-    return { refund };
+    return { refund, amountRefunded: charge.amount_refunded + refund.amount };
   }
 }
 
 module.exports = {
+  isApiRefund,
+  CaptureMethod,
+  PayoutMode,
   StripePaymentStatusType,
   StripeService,
   stripeTypes,
+  verifyAccountSignature,
 };
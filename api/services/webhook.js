@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 
-const apolloServer = require('../services/apollo');
+const { apolloServer } = require('../services/apollo');
 
 const { conversationDataSource } = require('../models/Conversation');
 
@@ -15,7 +15,7 @@ router.post('/stripe', async(request, response) => {
 
   const ret = await apolloServer.requestOptions
     .dataSources()
-    .orders.updateStatusFromWebhook(stripeSignature, request.body);
+    .webhookEvents.receive(stripeSignature, request.body);
 
   if ( !ret ) {
     response.status(500).json({success:false});
@@ -0,0 +1,116 @@
+const { fromDb, userContext } = require('./support');
+const fixtures = require('./fixtures');
+
+const { StripeService } = require('../services/stripe');
+const {
+  orderDataSource,
+  OrderModel,
+  OrderStatusType,
+} = require('../models/Order');
+
+const { orders } = orderDataSource;
+
+const split = fixtures.id();
+const session = {};
+
+let paid;
+let authorized;
+let updateMany;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  orders.initialize(userContext(fixtures.users.owner, {}));
+
+  paid = [1, 2].map(() => fromDb(OrderModel, fixtures.order({ split })));
+  authorized = fromDb(
+    OrderModel,
+    fixtures.order({ split, status: OrderStatusType.AUTHORIZED })
+  );
+  orders.batch = {
+    load: jest
+      .fn()
+      .mockResolvedValue([
+        ...paid,
+        authorized,
+        fromDb(
+          OrderModel,
+          fixtures.order({ split, status: OrderStatusType.SHIPPED })
+        ),
+      ]),
+  };
+
+  jest
+    .spyOn(StripeService.prototype, 'refund')
+    .mockResolvedValue({ refund: { id: 're_1', amount: 5500 } });
+  jest
+    .spyOn(StripeService.prototype, 'cancelPaymentIntent')
+    .mockResolvedValue({});
+
+  //  Fails if the session is used for two operations at once
+  let running = false;
+  updateMany = jest
+    .spyOn(OrderModel, 'updateMany')
+    .mockImplementation(async () => {
+      if (running) {
+        throw new Error('Session is busy');
+      }
+      running = true;
+      await new Promise((resolve) => setImmediate(resolve));
+      running = false;
+      return { n: 1 };
+    });
+});
+
+const cancel = () =>
+  orders.bulkCancel(
+    {
+      split,
+      status: OrderStatusType.OWNER_CANCELED,
+      reason: 'Split cancelled',
+    },
+    session
+  );
+
+describe('bulkCancel', () => {
+  it('refunds and cancels the Orders that can be cancelled', async () => {
+    await expect(cancel()).resolves.toEqual({ failed: [] });
+
+    expect(StripeService.prototype.refund).toHaveBeenCalledTimes(2);
+    expect(StripeService.prototype.cancelPaymentIntent).toHaveBeenCalledWith(
+      authorized.paymentIntent
+    );
+
+    const cancelled = updateMany.mock.calls.flatMap(
+      ([filter]) => filter._id.$in
+    );
+    expect(new Set(cancelled)).toEqual(
+      new Set([...paid, authorized].map((order) => order._id))
+    );
+    updateMany.mock.calls.forEach(([, update, options]) => {
+      expect(update.status).toBe(OrderStatusType.OWNER_CANCELED);
+      expect(options.session).toBe(session);
+    });
+  });
+
+  it('leaves Orders whose refund failed as they are', async () => {
+    StripeService.prototype.refund
+      .mockResolvedValueOnce({ refund: { id: 're_1', amount: 5500 } })
+      .mockRejectedValueOnce(new Error('Stripe is down'));
+
+    const { failed } = await cancel();
+
+    expect(failed).toEqual([paid[1]]);
+    expect(StripeService.prototype.refund).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledWith(
+      `Error refunding Order ${paid[1]._id} of Split ${split}`
+    );
+
+    const cancelled = updateMany.mock.calls.flatMap(
+      ([filter]) => filter._id.$in
+    );
+    expect(cancelled).not.toContain(paid[1]._id);
+    expect(cancelled).toContain(paid[0]._id);
+  });
+});
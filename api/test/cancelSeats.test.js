@@ -0,0 +1,206 @@
+const {
+  fromDb,
+  mockSave,
+  mockTransactions,
+  userContext,
+} = require('./support');
+const fixtures = require('./fixtures');
+
+const { StripeService } = require('../services/stripe');
+const {
+  orderDataSource,
+  OrderModel,
+  seatsRefundAmount,
+} = require('../models/Order');
+
+const { orders } = orderDataSource;
+
+let order;
+let splits;
+
+const cancelAs = (user, numSeats) => {
+  orders.initialize(userContext(user, { splits }));
+  return orders.cancelSeats({ _id: order._id, numSeats });
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  mockTransactions();
+  mockSave(OrderModel);
+
+  //  4 seats for 100.00 plus a 10.00 fee
+  order = fromDb(
+    OrderModel,
+    fixtures.order({
+      numSeats: 4,
+      metadata: { amount: 11000, feeAmount: 1000 },
+    })
+  );
+  splits = { releaseSeats: jest.fn() };
+
+  jest.spyOn(OrderModel, 'findById').mockResolvedValue(order);
+  jest.spyOn(OrderModel, 'updateOne').mockResolvedValue({});
+  jest
+    .spyOn(StripeService.prototype, 'refund')
+    .mockImplementation(async (paymentIntent, fee, amount) => ({
+      refund: { id: 're_1', amount },
+      amountRefunded: (order.metadata.amountRefunded || 0) + amount,
+    }));
+});
+
+describe('cancelSeats', () => {
+  it('refunds the fee share of the seats when the Owner cancels', async () => {
+    const response = await cancelAs(fixtures.users.owner, 1);
+
+    expect(response.success).toBe(true);
+    expect(StripeService.prototype.refund).toHaveBeenCalledWith(
+      'pi_1',
+      true,
+      2750,
+      expect.stringMatching(`^order_${order._id}_refund_`)
+    );
+    expect(order.numSeats).toBe(3);
+    expect(order.metadata.amountRefunded).toBe(2750);
+    expect(order.pendingRefunds).toHaveLength(0);
+  });
+
+  it("doesn't refund the fee share when the client cancels", async () => {
+    await cancelAs(fixtures.users.client, 2);
+
+    expect(StripeService.prototype.refund).toHaveBeenCalledWith(
+      'pi_1',
+      false,
+      5000,
+      expect.any(String)
+    );
+    expect(order.numSeats).toBe(2);
+  });
+
+  it('refunds the same share per seat on later cancellations', async () => {
+    await cancelAs(fixtures.users.owner, 1);
+    await cancelAs(fixtures.users.owner, 1);
+    await cancelAs(fixtures.users.owner, 1);
+
+    const amounts = StripeService.prototype.refund.mock.calls.map(
+      ([, , amount]) => amount
+    );
+
+    expect(amounts).toEqual([2750, 2750, 2750]);
+    expect(order.numSeats).toBe(1);
+    expect(order.metadata.amountRefunded).toBe(8250);
+  });
+
+  it('refunds what is left per seat for Orders without the paid seats', async () => {
+    order.metadata.numSeats = undefined;
+    order.numSeats = 3;
+    order.metadata.amountRefunded = 2750;
+
+    await cancelAs(fixtures.users.owner, 1);
+
+    expect(StripeService.prototype.refund).toHaveBeenCalledWith(
+      'pi_1',
+      true,
+      2750,
+      expect.any(String)
+    );
+  });
+
+  it('refunds and releases the seats once when the transaction is retried', async () => {
+    mockTransactions({ attempts: 2 });
+
+    await cancelAs(fixtures.users.owner, 1);
+
+    expect(StripeService.prototype.refund).toHaveBeenCalledTimes(1);
+    expect(order.numSeats).toBe(3);
+  });
+
+  it('keeps a failed refund on the Order to retry it', async () => {
+    StripeService.prototype.refund.mockRejectedValue(new Error('Card expired'));
+
+    const response = await cancelAs(fixtures.users.client, 1);
+
+    expect(response.success).toBe(true);
+    expect(response.message).toBe(
+      'The refund failed, it will be retried: Card expired'
+    );
+    expect(order.numSeats).toBe(3);
+    expect(order.metadata.amountRefunded).toBe(0);
+    expect(order.pendingRefunds).toHaveLength(1);
+    expect(order.pendingRefunds[0].amount).toBe(2500);
+    expect(OrderModel.updateOne).toHaveBeenCalledWith(
+      { _id: order._id, 'pendingRefunds.key': order.pendingRefunds[0].key },
+      {
+        $inc: { 'pendingRefunds.$.attempts': 1 },
+        $set: { 'pendingRefunds.$.lastError': 'Card expired' },
+      }
+    );
+  });
+});
+
+describe('retryPendingRefunds', () => {
+  it('retries failed refunds with the same idempotency key', async () => {
+    StripeService.prototype.refund.mockRejectedValueOnce(
+      new Error('Card expired')
+    );
+    await cancelAs(fixtures.users.client, 1);
+
+    const [{ key }] = order.pendingRefunds;
+    jest.spyOn(OrderModel, 'find').mockResolvedValue([order]);
+
+    await orders.retryPendingRefunds();
+
+    expect(StripeService.prototype.refund).toHaveBeenLastCalledWith(
+      'pi_1',
+      false,
+      2500,
+      `order_${order._id}_refund_${key}`
+    );
+    expect(OrderModel.updateOne).toHaveBeenLastCalledWith(
+      { _id: order._id },
+      {
+        $pull: { pendingRefunds: { key } },
+        $max: { 'metadata.amountRefunded': 2500 },
+      }
+    );
+    expect(order.pendingRefunds).toHaveLength(0);
+  });
+});
+
+describe('seatsRefundAmount', () => {
+  //  4 seats for 100.00 plus a 10.00 fee
+  const paid = (metadata = {}) =>
+    fixtures.order({
+      numSeats: 4,
+      metadata: { amount: 11000, feeAmount: 1000, ...metadata },
+    });
+
+  it('is the price of the seats, with their fee share if asked', () => {
+    expect(seatsRefundAmount(paid(), 1, false)).toBe(2500);
+    expect(seatsRefundAmount(paid(), 1, true)).toBe(2750);
+    expect(seatsRefundAmount(paid(), 3, true)).toBe(8250);
+  });
+
+  it("doesn't change with what was refunded already", () => {
+    const order = paid({ amountRefunded: 2750 });
+    order.numSeats = 3;
+
+    expect(seatsRefundAmount(order, 1, true)).toBe(2750);
+  });
+
+  it('splits what is left for Orders without the paid seats', () => {
+    const order = paid({ numSeats: undefined, amountRefunded: 2750 });
+    order.numSeats = 3;
+
+    expect(seatsRefundAmount(order, 1, true)).toBe(2750);
+    expect(seatsRefundAmount(order, 1, false)).toBe(2417);
+  });
+
+  it('is rounded to what the currency can be charged in', () => {
+    const order = fixtures.order({
+      numSeats: 3,
+      metadata: { amount: 10000, feeAmount: 0, currency: 'kwd' },
+    });
+
+    expect(seatsRefundAmount(order, 1, false)).toBe(3330);
+  });
+});
@@ -0,0 +1,179 @@
+const {
+  fromDb,
+  mockSave,
+  mockTransactions,
+  userContext,
+} = require('./support');
+const fixtures = require('./fixtures');
+
+const { StripeService } = require('../services/stripe');
+const {
+  OrderModel,
+  OrderStatusType,
+  orderDataSource,
+} = require('../models/Order');
+const { SplitModel, SplitStatus, splitDataSource } = require('../models/Split');
+const {
+  waitlistDataSource,
+  WaitlistEntryModel,
+  WaitlistStatus,
+} = require('../models/Waitlist');
+
+const { orders } = orderDataSource;
+const { splits } = splitDataSource;
+const { waitlists } = waitlistDataSource;
+
+//  What's stored for the Split, the model is stubbed around it
+let stored;
+let unshipped;
+let dataSources;
+let splitSaved;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockTransactions();
+  mockSave(OrderModel);
+  splitSaved = mockSave(SplitModel);
+
+  stored = {
+    ...fixtures.split(),
+    status: SplitStatus.COMPLETE,
+    numSeats: 4,
+    placesLeft: 0,
+    conversation: fixtures.id(),
+    shipBy: new Date(Date.now() - 60 * 1000),
+  };
+
+  jest
+    .spyOn(SplitModel, 'find')
+    .mockImplementation(async (filter) =>
+      filter.status.$in.includes(stored.status) && stored.shipBy
+        ? [fromDb(SplitModel, stored)]
+        : []
+    );
+  jest
+    .spyOn(SplitModel, 'findOne')
+    .mockImplementation(async () => fromDb(SplitModel, stored));
+  jest
+    .spyOn(SplitModel, 'findOneAndUpdate')
+    .mockImplementation(async (filter, { $inc }) => {
+      stored.numSeats += $inc.numSeats;
+      stored.placesLeft += $inc.placesLeft;
+      return fromDb(SplitModel, stored);
+    });
+  jest
+    .spyOn(SplitModel, 'updateOne')
+    .mockImplementation(async (filter, update) => {
+      if (filter.status && filter.status !== stored.status) {
+        return { n: 0 };
+      }
+      Object.assign(stored, update);
+      return { n: 1 };
+    });
+
+  unshipped = [1, 2].map(() =>
+    fromDb(OrderModel, fixtures.order({ split: stored._id }))
+  );
+  jest
+    .spyOn(OrderModel, 'find')
+    .mockImplementation(async () =>
+      unshipped.filter((order) => order.status === OrderStatusType.PAID)
+    );
+
+  jest.spyOn(WaitlistEntryModel, 'find').mockResolvedValue([
+    fromDb(WaitlistEntryModel, {
+      split: stored._id,
+      user: fixtures.id(),
+      numSeats: 1,
+      status: WaitlistStatus.WAITING,
+    }),
+  ]);
+
+  jest
+    .spyOn(StripeService.prototype, 'refund')
+    .mockResolvedValue({ refund: { id: 're_1', amount: 5500 } });
+
+  dataSources = {
+    orders,
+    splits,
+    waitlists,
+    seatHolds: { place: jest.fn() },
+    conversations: {
+      model: {
+        findOne: jest.fn().mockResolvedValue({ _id: fixtures.id() }),
+      },
+      checkMember: () => true,
+      deleteParticipant: jest.fn(),
+      sendSystemMessage: jest.fn(),
+    },
+  };
+
+  const context = userContext(undefined, dataSources);
+  orders.initialize(context);
+  splits.initialize(context);
+  waitlists.initialize(context);
+});
+
+describe('cancelUnshipped', () => {
+  it("cancels the Split so its seats aren't sold again", async () => {
+    await splits.cancelUnshipped();
+
+    expect(unshipped.map((order) => order.status)).toEqual([
+      OrderStatusType.OWNER_CANCELED,
+      OrderStatusType.OWNER_CANCELED,
+    ]);
+    expect(stored).toMatchObject({
+      status: SplitStatus.CANCELLED,
+      cancelReason: 'Not shipped by the ship-by deadline',
+      shipBy: null,
+      placesLeft: 4,
+    });
+    expect(splitSaved).not.toHaveBeenCalled();
+    expect(dataSources.seatHolds.place).not.toHaveBeenCalled();
+  });
+
+  it('keeps the deadline until every Order is cancelled', async () => {
+    //  Fails before anything is written, there's no rollback here
+    dataSources.conversations.model.findOne
+      .mockResolvedValueOnce({ _id: fixtures.id() })
+      .mockRejectedValueOnce(new Error('Connection lost'));
+
+    await splits.cancelUnshipped();
+
+    expect(unshipped[0].status).toBe(OrderStatusType.OWNER_CANCELED);
+    expect(unshipped[1].status).toBe(OrderStatusType.PAID);
+    expect(stored.status).toBe(SplitStatus.CANCELLED);
+    expect(stored.shipBy).toBeInstanceOf(Date);
+
+    await splits.cancelUnshipped();
+
+    expect(unshipped[1].status).toBe(OrderStatusType.OWNER_CANCELED);
+    expect(stored.shipBy).toBeNull();
+    expect(dataSources.seatHolds.place).not.toHaveBeenCalled();
+  });
+
+  it('keeps failed refunds on the cancelled Orders to retry them', async () => {
+    StripeService.prototype.refund.mockRejectedValue(new Error('Card expired'));
+
+    await splits.cancelUnshipped();
+
+    expect(unshipped.map((order) => order.status)).toEqual([
+      OrderStatusType.OWNER_CANCELED,
+      OrderStatusType.OWNER_CANCELED,
+    ]);
+    expect(unshipped.map((order) => order.pendingRefunds.length)).toEqual([
+      1, 1,
+    ]);
+    expect(stored.shipBy).toBeNull();
+  });
+
+  it("leaves Splits alone once everything's shipped", async () => {
+    unshipped = [];
+
+    await splits.cancelUnshipped();
+
+    expect(stored.status).toBe(SplitStatus.COMPLETE);
+    expect(stored.shipBy).toBeNull();
+  });
+});
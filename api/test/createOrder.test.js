@@ -0,0 +1,289 @@
+const { mockSave, mockTransactions, userContext } = require('./support');
+const fixtures = require('./fixtures');
+
+const { StripeService } = require('../services/stripe');
+const {
+  orderDataSource,
+  OrderModel,
+  OrderStatusType,
+} = require('../models/Order');
+const {
+  promoCodeDataSource,
+  PromoCodeFunding,
+  PromoCodeModel,
+  PromoCodeTarget,
+} = require('../models/PromoCode');
+
+const { backfillOpen } = require('../migrations/order-open');
+
+const { orders } = orderDataSource;
+const { promoCodes } = promoCodeDataSource;
+
+let split;
+let dataSources;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  mockTransactions();
+
+  split = fixtures.split();
+  dataSources = {
+    orders,
+    splits: { get: jest.fn().mockResolvedValue(split), join: jest.fn() },
+    users: {
+      get: jest.fn(async (_id) =>
+        [fixtures.users.client, fixtures.users.owner].find(
+          (user) => user._id.toString() === _id.toString()
+        )
+      ),
+    },
+    seatHolds: { findActive: jest.fn().mockResolvedValue(null) },
+    promoCodes: { findValid: jest.fn(), redeem: jest.fn() },
+    feeRules: {
+      feeFor: jest.fn().mockResolvedValue({ feeAmount: 500, feeRule: null }),
+    },
+    waitlists: { fulfil: jest.fn() },
+    conversations: { model: { findOne: jest.fn() } },
+  };
+
+  orders.initialize(userContext(fixtures.users.client, dataSources));
+
+  jest.spyOn(OrderModel, 'findOne').mockResolvedValue(null);
+  jest.spyOn(StripeService.prototype, 'refund').mockResolvedValue({});
+  jest
+    .spyOn(StripeService.prototype, 'cancelPaymentIntent')
+    .mockResolvedValue({});
+});
+
+const input = () => ({
+  split: split._id,
+  numSeats: 2,
+  shippingAddress: fixtures.id(),
+  paymentIntent: 'pi_1',
+});
+
+describe('createOrder', () => {
+  it('creates the Order and joins the Split', async () => {
+    jest
+      .spyOn(StripeService.prototype, 'getPaymentIntent')
+      .mockResolvedValue(fixtures.paymentIntent());
+    jest
+      .spyOn(OrderModel, 'create')
+      .mockImplementation(async ([order]) => [new OrderModel(order)]);
+
+    const response = await orders.createOrder(input());
+
+    expect(response.success).toBe(true);
+    expect(response.order.status).toBe(OrderStatusType.PAID);
+    expect(response.order.metadata.amount).toBe(5500);
+    expect(dataSources.splits.join).toHaveBeenCalledWith(
+      expect.objectContaining({ split: split._id, role: 'full' })
+    );
+  });
+
+  it("doesn't use a paymentIntent a failed attempt refunded already", async () => {
+    jest.spyOn(StripeService.prototype, 'getPaymentIntent').mockResolvedValue(
+      fixtures.paymentIntent({
+        charges: {
+          data: [{ id: 'ch_1', amount: 5500, amount_refunded: 5500 }],
+        },
+      })
+    );
+    const create = jest.spyOn(OrderModel, 'create');
+
+    const response = await orders.createOrder(input());
+
+    expect(response).toMatchObject({
+      success: false,
+      message: 'paymentIntent was canceled or refunded, please pay again',
+    });
+    expect(create).not.toHaveBeenCalled();
+    expect(StripeService.prototype.refund).not.toHaveBeenCalled();
+    expect(StripeService.prototype.cancelPaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it('refunds the payment when a concurrent Order for the Split won', async () => {
+    jest
+      .spyOn(StripeService.prototype, 'getPaymentIntent')
+      .mockResolvedValue(fixtures.paymentIntent());
+    jest
+      .spyOn(OrderModel, 'create')
+      .mockRejectedValue(
+        Object.assign(new Error('E11000 duplicate key error'), { code: 11000 })
+      );
+
+    const response = await orders.createOrder(input());
+
+    expect(response).toMatchObject({
+      success: false,
+      message: 'This User already ordered this Split',
+    });
+    expect(StripeService.prototype.refund).toHaveBeenCalledWith('pi_1', true);
+  });
+});
+
+describe('checkout.session.completed', () => {
+  const promoCode = {
+    _id: fixtures.id(),
+    code: 'FEELESS',
+    active: true,
+    percentOff: 20,
+    target: PromoCodeTarget.FEE,
+    fundedBy: PromoCodeFunding.PLATFORM,
+    usesCount: 0,
+    maxUsesPerUser: 1,
+  };
+
+  const checkoutEvent = () =>
+    fixtures.event('checkout.session.completed', {
+      id: 'cs_1',
+      object: 'checkout.session',
+      payment_intent: 'pi_1',
+      metadata: {
+        split: split._id.toString(),
+        client: fixtures.users.client._id.toString(),
+        numSeats: '2',
+        shippingAddress: fixtures.id().toString(),
+      },
+    });
+
+  let create;
+
+  beforeEach(() => {
+    //  Webhooks don't have a user
+    const context = {
+      context: { dataSources: { ...dataSources, promoCodes } },
+    };
+    orders.initialize(context);
+    promoCodes.initialize(context);
+
+    jest
+      .spyOn(PromoCodeModel, 'findOne')
+      .mockReturnValue({ lean: async () => promoCode });
+    jest
+      .spyOn(PromoCodeModel, 'findOneAndUpdate')
+      .mockResolvedValue({ ...promoCode, usesCount: 1 });
+    jest.spyOn(OrderModel, 'countDocuments').mockResolvedValue(0);
+    create = jest
+      .spyOn(OrderModel, 'create')
+      .mockImplementation(async ([order]) => [new OrderModel(order)]);
+
+    //  20% off the 5.00 fee
+    jest.spyOn(StripeService.prototype, 'getPaymentIntent').mockResolvedValue(
+      fixtures.paymentIntent({
+        amount: 5400,
+        metadata: {
+          promoCode: promoCode.code,
+          promoFundedBy: PromoCodeFunding.PLATFORM,
+          discountAmount: '100',
+        },
+      })
+    );
+  });
+
+  it('creates the Order with the discount the client paid', async () => {
+    await expect(
+      orders.createOrderByCheckoutWebhook(checkoutEvent())
+    ).resolves.toBe(true);
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0][0].metadata).toMatchObject({
+      amount: 5400,
+      feeAmount: 400,
+      discountAmount: 100,
+      promoCode: promoCode.code,
+    });
+    expect(PromoCodeModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { code: promoCode.code },
+      { $inc: { usesCount: 1 } },
+      expect.anything()
+    );
+    expect(StripeService.prototype.refund).not.toHaveBeenCalled();
+  });
+
+  it('honours the discount when the promo code ran out since', async () => {
+    PromoCodeModel.findOne.mockReturnValue({
+      lean: async () => ({ ...promoCode, maxUses: 1, usesCount: 1 }),
+    });
+    OrderModel.countDocuments.mockResolvedValue(1);
+
+    await expect(
+      orders.createOrderByCheckoutWebhook(checkoutEvent())
+    ).resolves.toBe(true);
+
+    expect(create.mock.calls[0][0][0].metadata).toMatchObject({
+      amount: 5400,
+      discountAmount: 100,
+    });
+    expect(StripeService.prototype.refund).not.toHaveBeenCalled();
+  });
+
+  it('applies the promo code of paymentIntents without the discount', async () => {
+    StripeService.prototype.getPaymentIntent.mockResolvedValue(
+      fixtures.paymentIntent({
+        amount: 5400,
+        metadata: { promoCode: promoCode.code },
+      })
+    );
+
+    await orders.createOrderByCheckoutWebhook(checkoutEvent());
+
+    expect(PromoCodeModel.findOne).toHaveBeenCalledWith({
+      code: promoCode.code,
+    });
+    expect(create.mock.calls[0][0][0].metadata).toMatchObject({
+      amount: 5400,
+      discountAmount: 100,
+    });
+  });
+});
+
+describe('open Orders', () => {
+  beforeEach(() => {
+    mockSave(OrderModel);
+  });
+
+  it('are marked for the unique split and client index', async () => {
+    const order = await new OrderModel(fixtures.order()).save();
+
+    expect(order.open).toBe(true);
+  });
+
+  it('stop being open once cancelled', async () => {
+    const order = await new OrderModel(
+      fixtures.order({ status: OrderStatusType.CLIENT_CANCELED })
+    ).save();
+
+    expect(order.open).toBe(false);
+  });
+
+  it('are backfilled from the status of older Orders', async () => {
+    const updateMany = jest
+      .spyOn(OrderModel, 'updateMany')
+      .mockResolvedValueOnce({ n: 3 })
+      .mockResolvedValueOnce({ n: 2 });
+
+    await expect(backfillOpen()).resolves.toBe(5);
+
+    const [[opened, openUpdate], [closed, closedUpdate]] =
+      updateMany.mock.calls;
+    expect(opened).toEqual({
+      open: { $exists: false },
+      status: { $nin: expect.arrayContaining(['client_canceled']) },
+    });
+    expect(openUpdate).toEqual({ $set: { open: true } });
+    expect(closed.status.$in).toEqual(opened.status.$nin);
+    expect(closedUpdate).toEqual({ $set: { open: false } });
+  });
+
+  it('have a unique partial index on split and client', () => {
+    const index = OrderModel.schema
+      .indexes()
+      .find(([fields]) => fields.split === 1 && fields.client === 1);
+
+    expect(index[1]).toMatchObject({
+      unique: true,
+      partialFilterExpression: { open: true },
+    });
+  });
+});
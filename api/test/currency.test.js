@@ -0,0 +1,55 @@
+const {
+  fromMinorUnits,
+  getCurrencyExponent,
+  getMinimumChargeAmount,
+  isSupportedCurrency,
+  normalizeCurrency,
+  roundMinorUnits,
+  toMinorUnits,
+} = require('../helpers/currency');
+
+describe('currencies', () => {
+  it('have 2 decimals unless Stripe says otherwise', () => {
+    expect(getCurrencyExponent('usd')).toBe(2);
+    expect(getCurrencyExponent('JPY')).toBe(0);
+    expect(getCurrencyExponent('kwd')).toBe(3);
+  });
+
+  it('are converted to minor units and back', () => {
+    expect(toMinorUnits(12.34, 'usd')).toBe(1234);
+    expect(toMinorUnits(1234, 'jpy')).toBe(1234);
+    expect(toMinorUnits(1.234, 'kwd')).toBe(1230);
+
+    expect(fromMinorUnits(1234, 'usd')).toBe(12.34);
+    expect(fromMinorUnits(1234, 'jpy')).toBe(1234);
+    expect(fromMinorUnits(1230, 'kwd')).toBe(1.23);
+    expect(fromMinorUnits(null, 'usd')).toBeNull();
+  });
+
+  it("don't pick up floating point errors in minor units", () => {
+    expect(toMinorUnits(19.99, 'usd')).toBe(1999);
+    expect(toMinorUnits(0.1 + 0.2, 'eur')).toBe(30);
+  });
+
+  it('are rounded to what Stripe accepts', () => {
+    expect(roundMinorUnits(1234.5, 'usd')).toBe(1235);
+    expect(roundMinorUnits(3333.33, 'kwd')).toBe(3330);
+    expect(roundMinorUnits(3335, 'KWD')).toBe(3340);
+  });
+
+  it('have a minimum charge amount in minor units', () => {
+    expect(getMinimumChargeAmount('usd')).toBe(50);
+    expect(getMinimumChargeAmount('jpy')).toBe(50);
+    expect(getMinimumChargeAmount('kwd')).toBe(200);
+  });
+
+  it('are supported only with a known minimum charge amount', () => {
+    expect(isSupportedCurrency('EUR')).toBe(true);
+    expect(isSupportedCurrency('xof')).toBe(false);
+  });
+
+  it('default to the configured currency', () => {
+    expect(normalizeCurrency('USD')).toBe('usd');
+    expect(isSupportedCurrency(normalizeCurrency())).toBe(true);
+  });
+});
@@ -0,0 +1,214 @@
+const { fromDb, mockSave, mockTransactions } = require('./support');
+const fixtures = require('./fixtures');
+
+const { PayoutMode, StripeService } = require('../services/stripe');
+const { UserModel } = require('../models/User');
+const {
+  orderDataSource,
+  OrderModel,
+  OrderStatusType,
+} = require('../models/Order');
+const { OrderActor } = require('../models/OrderStatus');
+
+const { orders } = orderDataSource;
+
+const escrowOrder = (data = {}) =>
+  fromDb(
+    OrderModel,
+    fixtures.order({ payoutMode: PayoutMode.ESCROW, ...data })
+  );
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  mockTransactions();
+  mockSave(OrderModel);
+
+  orders.initialize({
+    context: {
+      dataSources: {
+        splits: { exit: jest.fn().mockResolvedValue({ offered: [] }) },
+        waitlists: { notifyOffered: jest.fn() },
+      },
+    },
+  });
+
+  jest
+    .spyOn(StripeService.prototype, 'refund')
+    .mockImplementation(async (paymentIntent, fee, amount = 5500) => ({
+      refund: { id: 're_1', amount },
+    }));
+  jest
+    .spyOn(StripeService.prototype, 'reverseTransfer')
+    .mockResolvedValue({ id: 'trr_1' });
+});
+
+describe('releaseEscrowFunds', () => {
+  it("doesn't auto-release Orders that weren't shipped", async () => {
+    const find = jest.spyOn(OrderModel, 'find').mockResolvedValue([]);
+
+    await orders.releaseEscrowFunds();
+
+    const [, autoRelease] = find.mock.calls[0][0].$or;
+    expect(autoRelease.status.$in).not.toContain(OrderStatusType.PAID);
+    expect(autoRelease.status.$in).toContain(OrderStatusType.SHIPPED);
+  });
+});
+
+describe('transition', () => {
+  beforeEach(() => {
+    jest.spyOn(UserModel, 'findOne').mockReturnValue({
+      lean: async () => ({ stripeAccountId: 'acct_1' }),
+    });
+    jest.spyOn(OrderModel, 'updateOne').mockResolvedValue({ n: 1 });
+    jest
+      .spyOn(StripeService.prototype, 'createTransfer')
+      .mockResolvedValue({ id: 'tr_1' });
+  });
+
+  const receive = (order, options) =>
+    orders.transition(order, OrderStatusType.RECEIVED, {
+      actor: OrderActor.SYSTEM,
+      ...options,
+    });
+
+  it('releases the funds once the Order is received', async () => {
+    const order = escrowOrder({ status: OrderStatusType.SHIPPED });
+
+    await receive(order);
+
+    expect(StripeService.prototype.createTransfer).toHaveBeenCalledWith(
+      expect.objectContaining({ destination: 'acct_1', amount: 5000 })
+    );
+    expect(order.transfer).toBe('tr_1');
+  });
+
+  it('leaves the funds to the scheduler inside a transaction', async () => {
+    const order = escrowOrder({ status: OrderStatusType.SHIPPED });
+
+    await receive(order, { session: {} });
+
+    expect(order.status).toBe(OrderStatusType.RECEIVED);
+    expect(StripeService.prototype.createTransfer).not.toHaveBeenCalled();
+    expect(OrderModel.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('refundPayment', () => {
+  it('takes released funds back from the Owner', async () => {
+    const order = escrowOrder({ transfer: 'tr_1' });
+
+    await orders.refundPayment(order);
+
+    expect(StripeService.prototype.reverseTransfer).toHaveBeenCalledWith(
+      'tr_1',
+      null,
+      `order_${order._id}_reverse_re_1`
+    );
+  });
+
+  it("takes back the Owner's share of a partial refund", async () => {
+    const order = escrowOrder({ transfer: 'tr_1' });
+
+    await orders.refundPayment(order, false, 2750);
+
+    expect(StripeService.prototype.reverseTransfer).toHaveBeenCalledWith(
+      'tr_1',
+      2500,
+      expect.any(String)
+    );
+  });
+
+  it("doesn't reverse anything before the funds are released", async () => {
+    await orders.refundPayment(escrowOrder());
+
+    expect(StripeService.prototype.reverseTransfer).not.toHaveBeenCalled();
+  });
+});
+
+describe('refunds from the Stripe Dashboard', () => {
+  const charge = (refund) => ({
+    id: 'ch_1',
+    captured: true,
+    amount: 5500,
+    amount_refunded: 5500,
+    refunded: true,
+    refunds: { data: [refund] },
+  });
+
+  it('take released funds back from the Owner', async () => {
+    const order = escrowOrder({
+      status: OrderStatusType.COMPLETE,
+      transfer: 'tr_1',
+    });
+
+    await orders.updateOrderRefund(
+      charge({ id: 're_2', amount: 5500, metadata: {} }),
+      order
+    );
+
+    expect(StripeService.prototype.reverseTransfer).toHaveBeenCalledWith(
+      'tr_1',
+      null,
+      `order_${order._id}_reverse_re_2`
+    );
+    expect(order.status).toBe(OrderStatusType.REFUNDED);
+  });
+
+  it('leave refunds of the API to the API', async () => {
+    const order = escrowOrder({
+      status: OrderStatusType.COMPLETE,
+      transfer: 'tr_1',
+    });
+
+    await orders.updateOrderRefund(
+      charge({ id: 're_2', amount: 5500, metadata: { initiatedBy: 'api' } }),
+      order
+    );
+
+    expect(StripeService.prototype.reverseTransfer).not.toHaveBeenCalled();
+  });
+});
+
+describe('setOwnerPayoutMode', () => {
+  const setAs = (user, args) => {
+    orders.initialize({ context: { user, dataSources: {} } });
+    return orders.setOwnerPayoutMode(args);
+  };
+
+  it('is stored on the User', async () => {
+    const updateOne = jest
+      .spyOn(UserModel, 'updateOne')
+      .mockResolvedValue({ n: 1 });
+    const owner = fixtures.users.owner._id;
+
+    const response = await setAs(
+      { ...fixtures.users.client, role: 'ADMIN' },
+      { user: owner, payoutMode: PayoutMode.ESCROW }
+    );
+
+    expect(response).toMatchObject({
+      success: true,
+      payoutMode: PayoutMode.ESCROW,
+    });
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: owner },
+      { payoutMode: PayoutMode.ESCROW },
+      { runValidators: true }
+    );
+    expect(
+      new UserModel({ payoutMode: PayoutMode.ESCROW }).get('payoutMode')
+    ).toBe(PayoutMode.ESCROW);
+  });
+
+  it('is for admins only', async () => {
+    const updateOne = jest.spyOn(UserModel, 'updateOne');
+
+    const response = await setAs(fixtures.users.owner, {
+      user: fixtures.users.owner._id,
+      payoutMode: PayoutMode.ESCROW,
+    });
+
+    expect(response.success).toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
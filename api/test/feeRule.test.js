@@ -0,0 +1,83 @@
+const { userContext } = require('./support');
+const fixtures = require('./fixtures');
+
+const { UserModel } = require('../models/User');
+const { feeRuleDataSource, FeeRuleModel } = require('../models/FeeRule');
+
+const { feeRules } = feeRuleDataSource;
+
+const admin = { ...fixtures.users.client, role: 'ADMIN' };
+
+const proRule = {
+  _id: fixtures.id(),
+  name: 'pro',
+  active: true,
+  priority: 10,
+  rate: 0.05,
+  ownerTiers: ['pro'],
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  feeRules.initialize(userContext(admin, {}));
+
+  jest.spyOn(FeeRuleModel, 'find').mockReturnValue({
+    sort: () => ({ lean: async () => [proRule] }),
+  });
+});
+
+describe('fee rules', () => {
+  it("match the Owner's tier", async () => {
+    const { feeAmount, feeRule } = await feeRules.feeFor({
+      split: fixtures.split(),
+      owner: { tier: 'pro' },
+      amount: 10000,
+      currency: 'usd',
+    });
+
+    expect(feeAmount).toBe(500);
+    expect(feeRule.rule).toBe(proRule._id);
+  });
+
+  it('fall back to the default rate for other tiers', async () => {
+    const { feeRule } = await feeRules.feeFor({
+      split: fixtures.split(),
+      owner: {},
+      amount: 10000,
+      currency: 'usd',
+    });
+
+    expect(feeRule.name).toBe('default');
+  });
+});
+
+describe('setOwnerTier', () => {
+  it('stores the tier on the User', async () => {
+    const updateOne = jest
+      .spyOn(UserModel, 'updateOne')
+      .mockResolvedValue({ n: 1 });
+    const owner = fixtures.users.owner._id;
+
+    const response = await feeRules.setOwnerTier({ user: owner, tier: 'pro' });
+
+    expect(response).toMatchObject({ success: true, tier: 'pro' });
+    expect(updateOne).toHaveBeenCalledWith({ _id: owner }, { tier: 'pro' });
+    expect(new UserModel({ tier: 'pro' }).get('tier')).toBe('pro');
+  });
+
+  it('is for admins only', async () => {
+    feeRules.initialize(userContext(fixtures.users.owner, {}));
+    const updateOne = jest.spyOn(UserModel, 'updateOne');
+
+    const response = await feeRules.setOwnerTier({
+      user: fixtures.users.owner._id,
+      tier: 'pro',
+    });
+
+    expect(response).toMatchObject({
+      success: false,
+      message: 'Only admins can manage fee rules',
+    });
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ *  Test data shaped like what the models read from the database and Stripe
+ * */
+const mongoose = require('mongoose');
+
+const { PayoutMode } = require('../services/stripe');
+const { OrderStatusType } = require('../models/OrderStatus');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const users = {
+  owner: {
+    _id: id(),
+    fullname: 'Olga Owner',
+    role: 'USER',
+    stripeAccountId: 'acct_owner',
+    stripeCustomerId: 'cus_owner',
+  },
+  client: {
+    _id: id(),
+    fullname: 'Carl Client',
+    role: 'USER',
+    stripeCustomerId: 'cus_client',
+  },
+};
+
+/**
+ *  100.00 for 4 seats, 25.00 per seat
+ * */
+const split = (data = {}) => ({
+  _id: id(),
+  title: 'Lens kit',
+  description: 'Shared lens kit',
+  user: users.owner._id,
+  price: 100,
+  numPlaces: 4,
+  placesLeft: 2,
+  currency: 'usd',
+  media: [],
+  ...data,
+});
+
+const paymentIntent = (data = {}) => ({
+  id: 'pi_1',
+  object: 'payment_intent',
+  amount: 5500,
+  currency: 'usd',
+  status: 'succeeded',
+  client_secret: 'pi_1_secret',
+  payment_method: 'pm_1',
+  transfer_data: { destination: users.owner.stripeAccountId },
+  metadata: {},
+  charges: {
+    data: [{ id: 'ch_1', amount: 5500, amount_refunded: 0, refunded: false }],
+  },
+  ...data,
+});
+
+/**
+ *  2 seats paid with `paymentIntent`, 50.00 plus a 5.00 fee
+ * */
+const order = (data = {}) => ({
+  client: users.client._id,
+  owner: users.owner._id,
+  split: id(),
+  status: OrderStatusType.PAID,
+  numSeats: 2,
+  shippingAddress: id(),
+  paymentIntent: 'pi_1',
+  paymentMethod: 'pm_1',
+  payoutMode: PayoutMode.DIRECT,
+  history: [],
+  ...data,
+  metadata: {
+    clientName: users.client.fullname,
+    ownerName: users.owner.fullname,
+    splitTitle: 'Lens kit',
+    amount: 5500,
+    feeAmount: 500,
+    numSeats: data.numSeats || 2,
+    currency: 'usd',
+    amountRefunded: 0,
+    ...data.metadata,
+  },
+});
+
+/**
+ *  Stripe webhook event
+ * */
+const event = (type, object, data = {}) => ({
+  id: `evt_${Math.random().toString(36).slice(2)}`,
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object },
+  ...data,
+});
+
+module.exports = {
+  event,
+  id,
+  order,
+  paymentIntent,
+  split,
+  users,
+};
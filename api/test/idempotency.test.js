@@ -0,0 +1,88 @@
+require('./support');
+
+const crypto = require('crypto');
+
+const {
+  IdempotencyKeyModel,
+  IdempotencyKeyStatus,
+  withIdempotency,
+} = require('../models/IdempotencyKey');
+
+const request = {
+  key: 'key-1',
+  user: '5f0000000000000000000001',
+  operation: 'createOrder',
+  params: { split: 'split-1', numSeats: 1 },
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(IdempotencyKeyModel, 'create').mockResolvedValue({});
+  jest.spyOn(IdempotencyKeyModel, 'updateOne').mockResolvedValue({});
+  jest.spyOn(IdempotencyKeyModel, 'deleteOne').mockResolvedValue({});
+});
+
+describe('withIdempotency', () => {
+  it('stores successful responses', async () => {
+    const response = { code: 200, success: true };
+
+    await expect(withIdempotency(request, async () => response)).resolves.toBe(
+      response
+    );
+
+    expect(IdempotencyKeyModel.updateOne).toHaveBeenCalledWith(
+      { key: 'key-1', user: request.user, operation: 'createOrder' },
+      { status: IdempotencyKeyStatus.COMPLETE, response }
+    );
+    expect(IdempotencyKeyModel.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it("releases the key for failed responses so they aren't replayed", async () => {
+    const response = { code: 501, success: false, message: 'Stripe is down' };
+
+    await expect(withIdempotency(request, async () => response)).resolves.toBe(
+      response
+    );
+
+    expect(IdempotencyKeyModel.updateOne).not.toHaveBeenCalled();
+    expect(IdempotencyKeyModel.deleteOne).toHaveBeenCalledWith({
+      key: 'key-1',
+      user: request.user,
+      operation: 'createOrder',
+    });
+  });
+
+  it('releases the key when the request throws', async () => {
+    await expect(
+      withIdempotency(request, async () => {
+        throw new Error('Network error');
+      })
+    ).rejects.toThrow('Network error');
+
+    expect(IdempotencyKeyModel.deleteOne).toHaveBeenCalled();
+  });
+
+  it('replays the stored response of a completed request', async () => {
+    const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+    IdempotencyKeyModel.create.mockRejectedValue(duplicate);
+
+    const stored = {
+      requestHash: crypto
+        .createHash('sha256')
+        .update(JSON.stringify(request.params))
+        .digest('hex'),
+      status: IdempotencyKeyStatus.COMPLETE,
+      response: { code: 200, success: true, order: 'order-1' },
+    };
+    jest.spyOn(IdempotencyKeyModel, 'findOne').mockReturnValue({
+      lean: async () => stored,
+    });
+
+    const fn = jest.fn();
+
+    await expect(withIdempotency(request, fn)).resolves.toEqual(
+      stored.response
+    );
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
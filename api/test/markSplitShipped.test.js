@@ -0,0 +1,119 @@
+const { fromDb, mockSave, userContext } = require('./support');
+const fixtures = require('./fixtures');
+
+const {
+  orderDataSource,
+  OrderModel,
+  OrderStatusType,
+} = require('../models/Order');
+const { ShippingCarrier } = require('../models/Shipment');
+
+const { orders } = orderDataSource;
+
+const split = fixtures.id();
+
+let paid;
+let splits;
+
+const usps = (trackingNumber) => ({
+  carrier: ShippingCarrier.USPS,
+  trackingNumber,
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  mockSave(OrderModel);
+
+  paid = [1, 2].map(() =>
+    fromDb(OrderModel, fixtures.order({ _id: fixtures.id(), split }))
+  );
+  splits = { orderShipped: jest.fn().mockResolvedValue() };
+
+  jest
+    .spyOn(OrderModel, 'find')
+    .mockImplementation(async ({ _id }) =>
+      paid.filter((order) => _id.$in.includes(order._id.toString()))
+    );
+
+  orders.initialize(userContext(fixtures.users.owner, { splits }));
+});
+
+describe('markSplitShipped', () => {
+  it('ships every Order of the Split with its tracking details', async () => {
+    const response = await orders.markSplitShipped({
+      split,
+      shipments: [
+        { order: paid[0]._id, shipment: usps('9400 1000') },
+        { order: paid[1]._id, shipment: usps('9400 2000') },
+      ],
+    });
+
+    expect(response).toMatchObject({ success: true, errors: [] });
+    expect(response.orders).toEqual(paid);
+    expect(OrderModel.find).toHaveBeenCalledWith({
+      _id: { $in: paid.map((order) => order._id.toString()) },
+      split,
+    });
+    expect(paid.map((order) => order.status)).toEqual([
+      OrderStatusType.SHIPPED,
+      OrderStatusType.SHIPPED,
+    ]);
+    expect(paid[1].shipment.trackingNumber).toBe('94002000');
+    expect(splits.orderShipped).toHaveBeenCalledTimes(2);
+  });
+
+  it("ships the rest when an Order can't be shipped", async () => {
+    const elsewhere = fixtures.id();
+
+    const response = await orders.markSplitShipped({
+      split,
+      shipments: [
+        { order: paid[0]._id, shipment: usps('') },
+        { order: elsewhere, shipment: usps('9400 3000') },
+        { order: paid[1]._id, shipment: usps('9400 2000') },
+      ],
+    });
+
+    expect(response).toMatchObject({
+      code: 200,
+      success: false,
+      message: "2 of 3 Orders couldn't be shipped",
+      orders: [paid[1]],
+      errors: [
+        { order: paid[0]._id, message: 'Tracking number is required' },
+        { order: elsewhere, message: "Can't find Order with provided id" },
+      ],
+    });
+    expect(paid[0].status).toBe(OrderStatusType.PAID);
+    expect(paid[1].status).toBe(OrderStatusType.SHIPPED);
+  });
+
+  it('keeps the Order shipped when the Split Room message fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    splits.orderShipped.mockRejectedValue(new Error('Twilio is down'));
+
+    const response = await orders.markSplitShipped({
+      split,
+      shipments: [{ order: paid[0]._id }],
+    });
+
+    expect(response.success).toBe(true);
+    expect(paid[0].status).toBe(OrderStatusType.SHIPPED);
+  });
+
+  it('lists each Order once', async () => {
+    const response = await orders.markSplitShipped({
+      split,
+      shipments: [
+        { order: paid[0]._id, shipment: usps('9400 1000') },
+        { order: paid[0]._id.toString(), shipment: usps('9400 1000') },
+      ],
+    });
+
+    expect(response).toMatchObject({
+      success: false,
+      message: 'Each Order can only be listed once',
+    });
+    expect(OrderModel.find).not.toHaveBeenCalled();
+  });
+});
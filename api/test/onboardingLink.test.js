@@ -0,0 +1,64 @@
+require('./support');
+
+const Stripe = require('stripe');
+
+const { StripeService, verifyAccountSignature } = require('../services/stripe');
+
+const accountLinks = Object.getPrototypeOf(Stripe('sk_test').accountLinks);
+
+const hours = (n) => n * 60 * 60 * 1000;
+
+let create;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  process.env.DOMAIN_PREFIX = 'https://api.test';
+  process.env.STRIPE_SECRET_KEY = 'sk_test';
+
+  create = jest
+    .spyOn(accountLinks, 'create')
+    .mockImplementation(async (params) => ({
+      url: 'https://stripe',
+      ...params,
+    }));
+});
+
+//  Query of the refresh link Stripe would redirect the Owner to
+const refreshQuery = async (...args) => {
+  await new StripeService().getAccountLink(...args);
+
+  const [{ refresh_url }] = create.mock.calls[create.mock.calls.length - 1];
+  return Object.fromEntries(new URL(refresh_url).searchParams);
+};
+
+describe('onboarding links', () => {
+  it('are signed with an expiry', async () => {
+    const { account, expires, signature } = await refreshQuery('acct_1');
+
+    expect(account).toBe('acct_1');
+    expect(Number(expires) * 1000).toBeGreaterThan(Date.now() + hours(23));
+    expect(verifyAccountSignature(account, expires, signature)).toBe(true);
+  });
+
+  it("can't be used for another account or a later expiry", async () => {
+    const { expires, signature } = await refreshQuery('acct_1');
+
+    expect(verifyAccountSignature('acct_2', expires, signature)).toBe(false);
+    expect(
+      verifyAccountSignature('acct_1', Number(expires) + 3600, signature)
+    ).toBe(false);
+    expect(verifyAccountSignature('acct_1', expires, undefined)).toBe(false);
+  });
+
+  it('stop working once expired', async () => {
+    const expired = Math.floor((Date.now() - hours(1)) / 1000);
+    const { account, expires, signature } = await refreshQuery(
+      'acct_1',
+      'account_onboarding',
+      expired
+    );
+
+    expect(expires).toBe(String(expired));
+    expect(verifyAccountSignature(account, expires, signature)).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+const { fromDb, mockSave, userContext } = require('./support');
+const fixtures = require('./fixtures');
+
+const { sendPush } = require('../services/push');
+const {
+  orderDataSource,
+  OrderModel,
+  OrderStatusType,
+} = require('../models/Order');
+
+const { orders } = orderDataSource;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+let saved;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  sendPush.mockReset().mockResolvedValue();
+  saved = mockSave(OrderModel);
+});
+
+const shippedWithProblem = () =>
+  fromDb(
+    OrderModel,
+    fixtures.order({
+      status: OrderStatusType.SHIPPED,
+      autoReceiveAt: daysAgo(1),
+      remindersSent: [OrderStatusType.SHIPPED],
+      deliveryProblem: { reason: 'Never arrived', reported_at: daysAgo(5) },
+    })
+  );
+
+describe('resolveDeliveryProblem', () => {
+  let order;
+
+  beforeEach(() => {
+    order = shippedWithProblem();
+    jest.spyOn(OrderModel, 'findById').mockResolvedValue(order);
+  });
+
+  it('clears the problem and gives the client a new window', async () => {
+    orders.initialize(userContext(fixtures.users.owner, {}));
+
+    const response = await orders.resolveDeliveryProblem({ _id: order._id });
+
+    expect(response.success).toBe(true);
+    expect(order.deliveryProblem).toBeUndefined();
+    expect(order.autoReceiveAt.getTime()).toBeGreaterThan(Date.now());
+    expect(order.remindersSent).toHaveLength(0);
+    expect(saved).toHaveBeenCalledWith(order);
+    expect(sendPush).toHaveBeenCalledWith(
+      order.client,
+      expect.objectContaining({ title: 'Delivery problem resolved' })
+    );
+  });
+
+  it('can be done by admins', async () => {
+    orders.initialize(userContext({ _id: fixtures.id(), role: 'ADMIN' }, {}));
+
+    const response = await orders.resolveDeliveryProblem({ _id: order._id });
+
+    expect(response.success).toBe(true);
+  });
+
+  it("can't be done by the client", async () => {
+    orders.initialize(userContext(fixtures.users.client, {}));
+
+    const response = await orders.resolveDeliveryProblem({ _id: order._id });
+
+    expect(response).toMatchObject({
+      success: false,
+      message: 'Only the Owner can resolve a delivery problem',
+    });
+    expect(order.deliveryProblem.reason).toBe('Never arrived');
+    expect(saved).not.toHaveBeenCalled();
+  });
+});
+
+describe('advancePastDeadline', () => {
+  beforeEach(() => {
+    orders.initialize(userContext(fixtures.users.owner, {}));
+  });
+
+  it('moves Orders on one at a time and carries on after a failure', async () => {
+    const shipped = [1, 2, 3].map(() =>
+      fromDb(OrderModel, fixtures.order({ status: OrderStatusType.SHIPPED }))
+    );
+    jest
+      .spyOn(orders, 'findPastDeadline')
+      .mockImplementation(async (status) =>
+        status === OrderStatusType.SHIPPED ? shipped : []
+      );
+
+    let running = 0;
+    let maxRunning = 0;
+    const transition = jest
+      .spyOn(orders, 'transition')
+      .mockImplementation(async (order) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setImmediate(resolve));
+        running--;
+
+        if (order === shipped[0]) {
+          throw new Error('Stripe is down');
+        }
+      });
+
+    await orders.advancePastDeadline();
+
+    expect(transition).toHaveBeenCalledTimes(3);
+    expect(maxRunning).toBe(1);
+    expect(transition).toHaveBeenLastCalledWith(
+      shipped[2],
+      OrderStatusType.RECEIVED,
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,154 @@
+require('./support');
+const fixtures = require('./fixtures');
+
+const express = require('express');
+const { once } = require('events');
+const http = require('http');
+const mongoose = require('mongoose');
+
+const { OrderModel } = require('../models/Order');
+const {
+  ExportFormat,
+  exportCursor,
+  formatExportHeader,
+  formatExportLine,
+} = require('../models/OrderExport');
+const exportsRouter = require('../services/exports');
+
+const address = {
+  _id: fixtures.id(),
+  name: 'Carl Client',
+  line1: '1 Main St',
+  postal_code: '10001',
+  city: 'New York',
+  country: 'US',
+};
+
+let pipeline;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+
+  pipeline = null;
+  jest.spyOn(OrderModel, 'aggregate').mockImplementation((stages) => {
+    pipeline = stages;
+    return { cursor: () => ({ exec: () => [] }) };
+  });
+});
+
+describe('Order exports', () => {
+  it("only stream the Owner's Orders with their filters cast", () => {
+    const split = fixtures.id();
+
+    exportCursor(fixtures.users.owner, { split: split.toString() });
+
+    const [{ $match: filter }] = pipeline;
+
+    expect(filter.owner).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(filter.owner.equals(fixtures.users.owner._id)).toBe(true);
+    expect(filter.split.equals(split)).toBe(true);
+  });
+
+  it("join the client's shipping address", () => {
+    exportCursor({ ...fixtures.users.owner, role: 'ADMIN' }, {});
+
+    expect(pipeline[0].$match).toEqual({});
+    expect(pipeline).toContainEqual({
+      $lookup: expect.objectContaining({
+        from: 'users',
+        let: { client: '$client', address: '$shippingAddress' },
+        as: 'shippingAddressDetails',
+      }),
+    });
+  });
+
+  it('reject malformed ids', () => {
+    expect(() => exportCursor(fixtures.users.owner, { split: 'nope' })).toThrow(
+      '"split" is not a valid id'
+    );
+  });
+
+  it('have a shipping address column', () => {
+    const order = {
+      ...fixtures.order({ _id: fixtures.id(), created_at: new Date() }),
+      shippingAddressDetails: address,
+    };
+
+    expect(formatExportHeader(ExportFormat.CSV)).toContain(',shippingAddress,');
+    expect(formatExportLine(order, ExportFormat.CSV)).toContain(
+      '"Carl Client, 1 Main St, 10001, New York, US"'
+    );
+    expect(
+      JSON.parse(formatExportLine(order, ExportFormat.JSONL))
+    ).toMatchObject({
+      shippingAddress: 'Carl Client, 1 Main St, 10001, New York, US',
+      numSeats: 2,
+    });
+  });
+
+  it('leave the address empty when the client deleted it', () => {
+    const order = fixtures.order({ _id: fixtures.id() });
+
+    expect(
+      JSON.parse(formatExportLine(order, ExportFormat.JSONL)).shippingAddress
+    ).toBeUndefined();
+  });
+});
+
+describe('Order export downloads', () => {
+  let server;
+
+  const download = (path) =>
+    new Promise((resolve, reject) => {
+      const { port } = server.address();
+
+      http
+        .get(`http://127.0.0.1:${port}${path}`, (res) => {
+          res.resume();
+          res.on('end', () => resolve(res));
+        })
+        .on('error', reject);
+    });
+
+  beforeEach(async () => {
+    const cursor = Object.assign((async function* () {})(), {
+      close: async () => {},
+    });
+    OrderModel.aggregate.mockReturnValue({
+      cursor: () => ({ exec: () => cursor }),
+    });
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = fixtures.users.owner;
+      next();
+    });
+    app.use('/export', exportsRouter);
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+  });
+
+  afterEach(async () => {
+    server.close();
+    await once(server, 'close');
+  });
+
+  it('are JSON lines files of the ndjson type', async () => {
+    const res = await download('/export/orders?format=jsonl');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe(
+      'application/x-ndjson; charset=utf-8'
+    );
+    expect(res.headers['content-disposition']).toMatch(
+      /^attachment; filename="orders-.+\.jsonl"$/
+    );
+  });
+
+  it('are CSV files by default', async () => {
+    const res = await download('/export/orders');
+
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/\.csv"$/);
+  });
+});
@@ -0,0 +1,146 @@
+const { fromDb, mockSave, userContext } = require('./support');
+const fixtures = require('./fixtures');
+
+const {
+  OrderActor,
+  OrderTransitionError,
+  allowedFromStatuses,
+  assertTransition,
+} = require('../models/OrderStatus');
+const {
+  orderDataSource,
+  OrderModel,
+  OrderStatusType,
+} = require('../models/Order');
+
+const { orders } = orderDataSource;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('assertTransition', () => {
+  it('lets the Owner ship a paid Order', () => {
+    const order = fixtures.order();
+
+    expect(() =>
+      assertTransition(order, OrderStatusType.SHIPPED, {
+        actor: OrderActor.OWNER,
+        user: fixtures.users.owner,
+      })
+    ).not.toThrow();
+  });
+
+  it("doesn't let the client act as the Owner", () => {
+    const order = fixtures.order();
+
+    expect(() =>
+      assertTransition(order, OrderStatusType.SHIPPED, {
+        actor: OrderActor.OWNER,
+        user: fixtures.users.client,
+      })
+    ).toThrow(OrderTransitionError);
+  });
+
+  it("doesn't allow transitions that aren't listed", () => {
+    const order = fixtures.order({ status: OrderStatusType.COMPLETE });
+
+    expect(() =>
+      assertTransition(order, OrderStatusType.SHIPPED, {
+        actor: OrderActor.OWNER,
+        user: fixtures.users.owner,
+      })
+    ).toThrow("Can't change Order status from complete to shipped as owner");
+  });
+
+  it("doesn't auto-receive an Order with a delivery problem", () => {
+    const order = fixtures.order({
+      status: OrderStatusType.SHIPPED,
+      deliveryProblem: { reason: 'Never arrived' },
+    });
+
+    expect(() =>
+      assertTransition(order, OrderStatusType.RECEIVED, {
+        actor: OrderActor.SYSTEM,
+      })
+    ).toThrow('The client reported a delivery problem');
+  });
+
+  it('allows refund requests within the refund window only', () => {
+    const request = (received) =>
+      assertTransition(
+        fixtures.order({
+          status: OrderStatusType.RECEIVED,
+          history: [{ to: OrderStatusType.RECEIVED, created_at: received }],
+        }),
+        OrderStatusType.REFUND_REQUESTED,
+        { actor: OrderActor.CLIENT, user: fixtures.users.client }
+      );
+
+    expect(() => request(daysAgo(1))).not.toThrow();
+    expect(() => request(daysAgo(365))).toThrow(OrderTransitionError);
+  });
+
+  it('sends a rejected refund request back where it came from', () => {
+    const order = fixtures.order({
+      status: OrderStatusType.REFUND_REQUESTED,
+      refundRequest: { previousStatus: OrderStatusType.COMPLETE },
+    });
+    const context = { actor: OrderActor.OWNER, user: fixtures.users.owner };
+
+    expect(() =>
+      assertTransition(order, OrderStatusType.COMPLETE, context)
+    ).not.toThrow();
+    expect(() =>
+      assertTransition(order, OrderStatusType.RECEIVED, context)
+    ).toThrow('Order can only go back to the status it had before the request');
+  });
+});
+
+describe('allowedFromStatuses', () => {
+  it('lists where the client can cancel from', () => {
+    expect(
+      allowedFromStatuses(OrderStatusType.CLIENT_CANCELED, OrderActor.CLIENT)
+    ).toEqual([OrderStatusType.AUTHORIZED, OrderStatusType.PAID]);
+  });
+});
+
+describe('transition', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    mockSave(OrderModel);
+    orders.initialize(userContext(fixtures.users.owner, {}));
+  });
+
+  it('records the change in the history and sets the deadline', async () => {
+    const order = fromDb(OrderModel, fixtures.order());
+
+    await orders.transition(order, OrderStatusType.SHIPPED, {
+      actor: OrderActor.OWNER,
+      reason: 'Shipped with tracking',
+    });
+
+    expect(order.status).toBe(OrderStatusType.SHIPPED);
+    expect(order.autoReceiveAt).toBeInstanceOf(Date);
+    expect(order.history[order.history.length - 1]).toMatchObject({
+      from: OrderStatusType.PAID,
+      to: OrderStatusType.SHIPPED,
+      actor: OrderActor.OWNER,
+      reason: 'Shipped with tracking',
+    });
+  });
+
+  it("leaves the Order alone when it isn't allowed", async () => {
+    const order = fromDb(
+      OrderModel,
+      fixtures.order({ status: OrderStatusType.CLIENT_CANCELED })
+    );
+
+    await expect(
+      orders.transition(order, OrderStatusType.SHIPPED, {
+        actor: OrderActor.OWNER,
+      })
+    ).rejects.toThrow(OrderTransitionError);
+
+    expect(order.status).toBe(OrderStatusType.CLIENT_CANCELED);
+    expect(order.history).toHaveLength(0);
+  });
+});
@@ -0,0 +1,125 @@
+require('./support');
+
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { ApolloServer } = require('apollo-server-express');
+
+const { schedule } = require('../services/scheduler');
+const { stripeTypes } = require('../services/stripe');
+const { orderTypes, orderResolver } = require('../models/Order');
+const { splitTypes, splitResolver } = require('../models/Split');
+const {
+  paymentTypes,
+  paymentResolvers,
+  paymentDataSources,
+  registerPaymentDataSources,
+  schedulePayments,
+  withPayments,
+} = require('../models/payments');
+
+//  Defined outside the API, only what the types above refer to
+const sharedTypes = /*gql*/ `
+  scalar DateTime
+  scalar ObjectID
+  scalar JSON
+  input DateTimeQuery { gte: DateTime, lte: DateTime }
+  input PostMediaInput { src: String }
+  interface MutationResponse { code: String!, success: Boolean!, message: String }
+  type Query { _: Boolean }
+  type Mutation { _: Boolean }
+  type User { _id: ObjectID }
+  type PostMedia { src: String }
+  type ShippingAddress { _id: ObjectID }
+  type Conversation { _id: ObjectID }
+  type Comment { _id: ObjectID }
+`;
+
+describe('payment modules', () => {
+  it('build one schema with Orders and Splits', () => {
+    //  Throws for resolvers of fields that aren't in the types
+    const schema = makeExecutableSchema({
+      typeDefs: [
+        sharedTypes,
+        stripeTypes,
+        orderTypes,
+        splitTypes,
+        ...paymentTypes,
+      ],
+      resolvers: [orderResolver, splitResolver, ...paymentResolvers],
+    });
+
+    expect(Object.keys(schema.getQueryType().getFields())).toEqual(
+      expect.arrayContaining([
+        'feeRules',
+        'myOnboarding',
+        'myPayouts',
+        'reconciliationReports',
+      ])
+    );
+    expect(Object.keys(schema.getMutationType().getFields())).toEqual(
+      expect.arrayContaining(['createPromoCode', 'joinWaitlist'])
+    );
+  });
+
+  it('share the data sources the jobs and webhooks use', () => {
+    expect(Object.keys(paymentDataSources).sort()).toEqual([
+      'feeRules',
+      'paymentMethods',
+      'payouts',
+      'promoCodes',
+      'reconciliations',
+      'seatHolds',
+      'stripeAccounts',
+      'waitlists',
+      'webhookEvents',
+    ]);
+  });
+
+  it('schedule their jobs', async () => {
+    schedule.mockClear();
+
+    await schedulePayments();
+
+    expect(schedule.mock.calls.map(([name]) => name)).toEqual(
+      expect.arrayContaining([
+        'advanceOrdersPastDeadline',
+        'orderReconciliation',
+        'releaseExpiredSeatHolds',
+        'expireWaitlistOffers',
+      ])
+    );
+  });
+});
+
+describe('payment module registration', () => {
+  const baseConfig = () => ({
+    typeDefs: [sharedTypes, stripeTypes, orderTypes, splitTypes],
+    resolvers: [orderResolver, splitResolver],
+    dataSources: () => ({ orders: {} }),
+  });
+
+  it('adds their types and resolvers to the server config', async () => {
+    const server = new ApolloServer(withPayments(baseConfig()));
+
+    const { data } = await server.executeOperation({
+      query: '{ __type(name: "Query") { fields { name } } }',
+    });
+
+    expect(data.__type.fields.map(({ name }) => name)).toEqual(
+      expect.arrayContaining(['feeRules', 'myPayouts'])
+    );
+  });
+
+  it('gives a running server their data sources', () => {
+    //  Built without them
+    const server = new ApolloServer({
+      ...withPayments(baseConfig()),
+      dataSources: () => ({ orders: {} }),
+    });
+
+    registerPaymentDataSources(server);
+
+    const dataSources = server.requestOptions.dataSources();
+    expect(dataSources.orders).toEqual({});
+    expect(dataSources.webhookEvents).toBe(paymentDataSources.webhookEvents);
+  });
+});
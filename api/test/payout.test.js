@@ -0,0 +1,137 @@
+const { fromDb, mockSave, userContext } = require('./support');
+const fixtures = require('./fixtures');
+
+const { StripeService } = require('../services/stripe');
+const {
+  payoutTypes,
+  payoutResolver,
+  payoutDataSource,
+  PayoutModel,
+  PayoutStatus,
+} = require('../models/Payout');
+
+const { payouts } = payoutDataSource;
+
+const stripePayout = (data = {}) => ({
+  id: 'po_1',
+  amount: 5000,
+  currency: 'usd',
+  status: 'paid',
+  arrival_date: 1700000000,
+  created: 1700000000,
+  ...data,
+});
+
+let orders;
+let context;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+
+  orders = { model: { find: jest.fn(), findOne: jest.fn() } };
+  const users = {
+    model: {
+      findOne: jest.fn().mockResolvedValue(fixtures.users.owner),
+    },
+  };
+
+  ({ context } = userContext(fixtures.users.owner, {
+    orders,
+    users,
+    payouts,
+  }));
+  payouts.initialize({ context });
+
+  jest
+    .spyOn(StripeService.prototype, 'listPayouts')
+    .mockResolvedValue({ data: [stripePayout()], has_more: false });
+  jest
+    .spyOn(StripeService.prototype, 'getPayout')
+    .mockResolvedValue(stripePayout());
+  jest.spyOn(StripeService.prototype, 'getPayoutTransfers').mockResolvedValue([
+    { transfer: 'tr_escrow', amount: 3000, currency: 'usd' },
+    { transfer: 'tr_direct', amount: 2000, currency: 'usd' },
+  ]);
+  jest
+    .spyOn(StripeService.prototype, 'getTransferPaymentIntent')
+    .mockResolvedValue('pi_direct');
+});
+
+describe('payouts', () => {
+  it('have their status enum named by the keys', () => {
+    expect(payoutTypes).toContain('IN_TRANSIT');
+    expect(payoutTypes).not.toContain('in_transit');
+    expect(payoutResolver.PayoutStatus).toBe(PayoutStatus);
+  });
+
+  it("don't fetch transfers for every payout of the list", async () => {
+    const transfers = jest.spyOn(payouts, 'transfers');
+
+    const { data } = await payouts.list({});
+
+    expect(payoutResolver.Payout.transfers(data[0], {}, context)).toBeNull();
+    expect(transfers).not.toHaveBeenCalled();
+  });
+
+  it('come with the Orders their transfers paid for', async () => {
+    const escrowOrder = { _id: fixtures.id(), transfer: 'tr_escrow' };
+    const directOrder = { _id: fixtures.id(), paymentIntent: 'pi_direct' };
+    orders.model.find.mockResolvedValue([escrowOrder]);
+    orders.model.findOne.mockResolvedValue(directOrder);
+
+    const payout = await payouts.get({ id: 'po_1' });
+    const transfers = await payoutResolver.Payout.transfers(
+      payout,
+      {},
+      context
+    );
+
+    expect(transfers.map((t) => t.order)).toEqual([escrowOrder, directOrder]);
+    expect(
+      StripeService.prototype.getTransferPaymentIntent
+    ).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('payout webhooks', () => {
+  const payoutEvent = (status, created) =>
+    fixtures.event(`payout.${status}`, stripePayout({ status }), {
+      account: 'acct_1',
+      created,
+    });
+
+  it("don't overwrite the status of a newer event", async () => {
+    mockSave(PayoutModel);
+    jest.spyOn(payouts, 'notify').mockResolvedValue();
+    const update = jest
+      .spyOn(PayoutModel, 'findOneAndUpdate')
+      .mockResolvedValue(
+        fromDb(PayoutModel, { payoutId: 'po_1', notifiedStatuses: [] })
+      );
+
+    await payouts.updateByWebhook(payoutEvent('paid', 1700000100));
+
+    const [filter, fields] = update.mock.calls[0];
+    expect(filter).toEqual({
+      payoutId: 'po_1',
+      $or: [
+        { syncedAt: null },
+        { syncedAt: { $lte: new Date(1700000100 * 1000) } },
+      ],
+    });
+    expect(fields.syncedAt).toEqual(new Date(1700000100 * 1000));
+  });
+
+  it('are done once the payout is stored with a newer event', async () => {
+    const notify = jest.spyOn(payouts, 'notify');
+    jest
+      .spyOn(PayoutModel, 'findOneAndUpdate')
+      .mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    await expect(
+      payouts.updateByWebhook(payoutEvent('paid', 1700000000))
+    ).resolves.toBe(true);
+
+    expect(notify).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+require('./support');
+const fixtures = require('./fixtures');
+
+const { priceLines } = require('../models/Receipt');
+const { PromoCodeFunding } = require('../models/PromoCode');
+
+describe('receipt price lines', () => {
+  it('list the seats, the fee and what adds up to the total', () => {
+    expect(priceLines(fixtures.order())).toEqual([
+      { label: '2 x seat of "Lens kit" at $25.00', amount: 5000 },
+      { label: 'Platform fee', amount: 500 },
+    ]);
+  });
+
+  it('list the seats as paid once some are cancelled and refunded', () => {
+    const order = fixtures.order({
+      metadata: { numSeats: 2, amountRefunded: 2500 },
+    });
+    order.numSeats = 1;
+
+    expect(priceLines(order)).toEqual([
+      { label: '2 x seat of "Lens kit" at $25.00', amount: 5000 },
+      { label: 'Platform fee', amount: 500 },
+      { label: 'Refunded', amount: -2500 },
+    ]);
+  });
+
+  it('add discounts back to what they were taken from', () => {
+    const ownerFunded = fixtures.order({
+      metadata: {
+        amount: 5000,
+        discountAmount: 500,
+        promoCode: 'HALF',
+        promoFundedBy: PromoCodeFunding.OWNER,
+      },
+    });
+    const platformFunded = fixtures.order({
+      metadata: {
+        amount: 5400,
+        feeAmount: 400,
+        discountAmount: 100,
+        promoCode: 'FEELESS',
+        promoFundedBy: PromoCodeFunding.PLATFORM,
+      },
+    });
+
+    expect(priceLines(ownerFunded)).toEqual([
+      { label: '2 x seat of "Lens kit" at $25.00', amount: 5000 },
+      { label: 'Discount (HALF)', amount: -500 },
+      { label: 'Platform fee', amount: 500 },
+    ]);
+    expect(priceLines(platformFunded)).toEqual([
+      { label: '2 x seat of "Lens kit" at $25.00', amount: 5000 },
+      { label: 'Platform fee', amount: 500 },
+      { label: 'Platform fee discount (FEELESS)', amount: -100 },
+    ]);
+  });
+
+  it('round the seat price to what the currency can be charged in', () => {
+    const order = fixtures.order({
+      numSeats: 3,
+      metadata: { amount: 11000, feeAmount: 1000, currency: 'kwd' },
+    });
+
+    const [seats] = priceLines(order);
+
+    //  Intl puts a non-breaking space after the currency code
+    expect(seats.label).toMatch(/^3 x seat of "Lens kit" at KWD\s3\.330$/);
+    expect(seats.amount).toBe(10000);
+  });
+});
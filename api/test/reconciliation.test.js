@@ -0,0 +1,121 @@
+const { fromDb, mockSave } = require('./support');
+const fixtures = require('./fixtures');
+
+const { StripeService } = require('../services/stripe');
+const { OrderModel, OrderStatusType } = require('../models/Order');
+const {
+  reconciliationDataSource,
+  ReconciliationReportModel,
+  ReconciliationStatus,
+  DiscrepancyType,
+} = require('../models/Reconciliation');
+
+const { reconciliations } = reconciliationDataSource;
+
+let saved;
+let orders;
+
+const withOrders = (count) => {
+  const list = Array.from({ length: count }, () =>
+    fromDb(OrderModel, fixtures.order())
+  );
+
+  orders.model.find.mockReturnValue({
+    cursor: () => ({
+      eachAsync: async (fn) => {
+        for (const order of list) {
+          await fn(order);
+        }
+      },
+    }),
+  });
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  saved = mockSave(ReconciliationReportModel);
+  jest
+    .spyOn(ReconciliationReportModel, 'create')
+    .mockImplementation(async (data) => new ReconciliationReportModel(data));
+  jest.spyOn(ReconciliationReportModel, 'updateMany').mockResolvedValue({});
+
+  orders = {
+    model: { find: jest.fn() },
+    updateOrderStatus: jest.fn(),
+    updateOrderRefund: jest.fn(),
+  };
+  reconciliations.context = { dataSources: { orders } };
+});
+
+describe('reconciliation', () => {
+  it("reports paymentIntents Stripe doesn't know", async () => {
+    withOrders(1);
+    jest
+      .spyOn(StripeService.prototype, 'getPaymentIntent')
+      .mockResolvedValue(null);
+
+    const report = await reconciliations.run();
+
+    expect(report.status).toBe(ReconciliationStatus.COMPLETE);
+    expect(report.discrepancies[0].type).toBe(
+      DiscrepancyType.MISSING_PAYMENT_INTENT
+    );
+  });
+
+  it("doesn't take Stripe errors for missing paymentIntents", async () => {
+    withOrders(1);
+    jest
+      .spyOn(StripeService.prototype, 'getPaymentIntent')
+      .mockRejectedValue(new Error('Rate limited'));
+
+    const report = await reconciliations.run();
+
+    expect(report.discrepancies[0].type).toBeUndefined();
+    expect(report.discrepancies[0].error).toBe('Rate limited');
+  });
+
+  it('corrects Orders the webhooks missed', async () => {
+    withOrders(1);
+    jest
+      .spyOn(StripeService.prototype, 'getPaymentIntent')
+      .mockResolvedValue(fixtures.paymentIntent({ status: 'canceled' }));
+
+    const report = await reconciliations.run();
+
+    expect(orders.updateOrderStatus).toHaveBeenCalled();
+    expect(report.discrepancies[0]).toMatchObject({
+      type: DiscrepancyType.STATUS,
+      orderStatus: OrderStatusType.PAID,
+      corrected: true,
+    });
+  });
+
+  it('saves the report as it goes', async () => {
+    withOrders(120);
+    jest
+      .spyOn(StripeService.prototype, 'getPaymentIntent')
+      .mockResolvedValue(fixtures.paymentIntent());
+
+    const report = await reconciliations.run();
+
+    expect(report.checked).toBe(120);
+    //  After 50 and 100 Orders, and when it's done
+    expect(saved).toHaveBeenCalledTimes(3);
+  });
+
+  it('fails runs that were interrupted', async () => {
+    withOrders(0);
+
+    await reconciliations.run();
+
+    expect(ReconciliationReportModel.updateMany).toHaveBeenCalledWith(
+      {
+        status: ReconciliationStatus.RUNNING,
+        startedAt: { $lt: expect.any(Date) },
+      },
+      expect.objectContaining({ status: ReconciliationStatus.FAILED })
+    );
+  });
+});
@@ -0,0 +1,171 @@
+const { mockTransactions, userContext } = require('./support');
+const fixtures = require('./fixtures');
+
+const { StripeService } = require('../services/stripe');
+const {
+  seatHoldDataSource,
+  SeatHoldModel,
+  SeatHoldStatus,
+} = require('../models/SeatHold');
+
+const { seatHolds } = seatHoldDataSource;
+
+const client = fixtures.users.client._id;
+
+let split;
+let holds;
+let dataSources;
+
+//  Just enough of the queries `SeatHoldDataSource` runs
+const matches = (hold, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (value && value.$lte) {
+      return hold[key] <= value.$lte;
+    }
+    return String(hold[key]) === String(value);
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  mockTransactions();
+
+  split = { ...fixtures.split(), heldSeats: 0 };
+  holds = [];
+
+  jest
+    .spyOn(SeatHoldModel, 'find')
+    .mockImplementation(async (filter) =>
+      holds.filter((hold) => matches(hold, filter))
+    );
+  jest.spyOn(SeatHoldModel, 'create').mockImplementation(async ([data]) => {
+    const hold = {
+      _id: fixtures.id(),
+      status: SeatHoldStatus.ACTIVE,
+      ...data,
+    };
+    holds.push(hold);
+    return [hold];
+  });
+  jest
+    .spyOn(SeatHoldModel, 'findOneAndUpdate')
+    .mockImplementation(async (filter, update) => {
+      const hold = holds.find((h) => matches(h, filter));
+      return hold ? Object.assign(hold, update) : null;
+    });
+
+  dataSources = {
+    splits: {
+      model: {
+        findOneAndUpdate: jest.fn(async (filter, { $inc }) => {
+          if (filter.placesLeft && split.placesLeft < filter.placesLeft.$gte) {
+            return null;
+          }
+          split.placesLeft += $inc.placesLeft;
+          split.heldSeats += $inc.heldSeats;
+          return split;
+        }),
+      },
+    },
+    waitlists: { offer: jest.fn().mockResolvedValue() },
+  };
+  seatHolds.initialize(userContext(fixtures.users.client, dataSources));
+
+  jest
+    .spyOn(StripeService.prototype, 'getPaymentIntent')
+    .mockResolvedValue(
+      fixtures.paymentIntent({ status: 'requires_payment_method' })
+    );
+  jest
+    .spyOn(StripeService.prototype, 'cancelPaymentIntent')
+    .mockResolvedValue({});
+  jest
+    .spyOn(StripeService.prototype, 'expireCheckoutSession')
+    .mockResolvedValue(true);
+});
+
+describe('seat holds', () => {
+  it('take the seats out of placesLeft', async () => {
+    const hold = await seatHolds.place({ split: split._id, numSeats: 2 });
+
+    expect(hold.status).toBe(SeatHoldStatus.ACTIVE);
+    expect(hold.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(split).toMatchObject({ placesLeft: 0, heldSeats: 2 });
+  });
+
+  it("can't hold more seats than are left", async () => {
+    await expect(
+      seatHolds.place({ split: split._id, numSeats: 3 })
+    ).rejects.toThrow("Can't order this many seats");
+
+    expect(holds).toHaveLength(0);
+    expect(split).toMatchObject({ placesLeft: 2, heldSeats: 0 });
+  });
+
+  it("replace the client's previous hold and give up its paymentIntent", async () => {
+    const previous = await seatHolds.place({ split: split._id, numSeats: 2 });
+    previous.paymentIntent = 'pi_previous';
+
+    await seatHolds.place({ split: split._id, numSeats: 1 });
+
+    expect(previous.status).toBe(SeatHoldStatus.RELEASED);
+    expect(split).toMatchObject({ placesLeft: 1, heldSeats: 1 });
+    expect(StripeService.prototype.getPaymentIntent).toHaveBeenCalledWith(
+      'pi_previous'
+    );
+    expect(StripeService.prototype.cancelPaymentIntent).toHaveBeenCalled();
+  });
+
+  it('give the seats back once', async () => {
+    const hold = await seatHolds.place({ split: split._id, numSeats: 2 });
+
+    await expect(seatHolds.release(hold)).resolves.toBe(true);
+    await expect(seatHolds.release(hold)).resolves.toBe(false);
+
+    expect(split).toMatchObject({ placesLeft: 2, heldSeats: 0 });
+  });
+
+  it("can't be converted into an Order once expired", async () => {
+    const hold = await seatHolds.place({ split: split._id, numSeats: 1 });
+    await seatHolds.end(hold, SeatHoldStatus.EXPIRED);
+
+    await expect(seatHolds.convert(hold, fixtures.id())).rejects.toThrow(
+      'Seat hold has expired, please try again'
+    );
+  });
+
+  it('expire and offer their seats to the waitlist', async () => {
+    await seatHolds.place({
+      split: split._id,
+      numSeats: 2,
+      client,
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    await seatHolds.releaseExpired();
+
+    expect(holds[0].status).toBe(SeatHoldStatus.EXPIRED);
+    expect(split).toMatchObject({ placesLeft: 2, heldSeats: 0 });
+    expect(dataSources.waitlists.offer).toHaveBeenCalledWith(
+      split._id.toString()
+    );
+  });
+
+  it('expire the Checkout Session of a web checkout instead of its paymentIntent', async () => {
+    const hold = await seatHolds.place({
+      split: split._id,
+      numSeats: 2,
+      client,
+      expiresAt: new Date(Date.now() - 1000),
+    });
+    hold.paymentIntent = 'pi_checkout';
+    hold.checkoutSession = 'cs_1';
+
+    await seatHolds.releaseExpired();
+
+    expect(hold.status).toBe(SeatHoldStatus.EXPIRED);
+    expect(StripeService.prototype.expireCheckoutSession).toHaveBeenCalledWith(
+      'cs_1'
+    );
+    expect(StripeService.prototype.cancelPaymentIntent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+require('./support');
+const fixtures = require('./fixtures');
+
+const { StripeService } = require('../services/stripe');
+const { UserModel } = require('../models/User');
+const {
+  OnboardingStatus,
+  stripeAccountDataSource,
+} = require('../models/StripeAccount');
+
+const { stripeAccounts } = stripeAccountDataSource;
+
+const account = {
+  id: fixtures.users.owner.stripeAccountId,
+  object: 'account',
+  charges_enabled: true,
+  payouts_enabled: false,
+  details_submitted: true,
+  requirements: {
+    currently_due: ['external_account'],
+    past_due: [],
+    eventually_due: [],
+    current_deadline: 1700000000,
+    disabled_reason: null,
+  },
+};
+
+//  Below the model, so casting and strict mode apply like with a database
+let stored;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  stripeAccounts.initialize({ context: {} });
+
+  stored = {
+    _id: fixtures.users.owner._id,
+    stripeAccountId: account.id,
+  };
+
+  jest
+    .spyOn(UserModel.collection, 'findOne')
+    .mockImplementation((filter, options, callback) =>
+      callback(null, { ...stored })
+    );
+  jest
+    .spyOn(UserModel.collection, 'updateOne')
+    .mockImplementation((filter, update, options, callback) => {
+      Object.assign(stored, update.$set);
+      callback(null, { result: { n: 1 } });
+    });
+  jest
+    .spyOn(UserModel.collection, '_findAndModify')
+    .mockImplementation((filter, sort, update, options, callback) => {
+      Object.assign(stored, update.$set);
+      callback(null, { value: { ...stored } });
+    });
+  jest.spyOn(StripeService.prototype, 'getAccount').mockResolvedValue(account);
+});
+
+describe('connected account state', () => {
+  it('is stored from account.updated webhooks', async () => {
+    const event = fixtures.event('account.updated', account);
+
+    await expect(stripeAccounts.updateByWebhook(event)).resolves.toBe(true);
+
+    expect(stored).toMatchObject({
+      stripeChargesEnabled: true,
+      stripePayoutsEnabled: false,
+      stripeDetailsSubmitted: true,
+      stripeRequirements: {
+        currentlyDue: expect.arrayContaining(['external_account']),
+        currentDeadline: new Date(1700000000 * 1000),
+      },
+      stripeAccountSyncedAt: new Date(event.created * 1000),
+    });
+  });
+
+  it("is read from the User once it's synced", async () => {
+    await stripeAccounts.updateByWebhook(
+      fixtures.event('account.updated', account)
+    );
+
+    const onboarding = await stripeAccounts.onboarding(stored._id);
+
+    expect(onboarding).toMatchObject({
+      status: OnboardingStatus.RESTRICTED,
+      chargesEnabled: true,
+      payoutsEnabled: false,
+      requirements: {
+        currentlyDue: expect.arrayContaining(['external_account']),
+      },
+    });
+    expect(StripeService.prototype.getAccount).not.toHaveBeenCalled();
+  });
+
+  it('is synced from Stripe the first time for older accounts', async () => {
+    const onboarding = await stripeAccounts.onboarding(stored._id);
+
+    expect(StripeService.prototype.getAccount).toHaveBeenCalledWith(account.id);
+    expect(onboarding.status).toBe(OnboardingStatus.RESTRICTED);
+    expect(stored.stripeAccountSyncedAt).toBeInstanceOf(Date);
+  });
+});
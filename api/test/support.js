@@ -0,0 +1,175 @@
+/**
+ *  What the models need around them in tests. Modules talking to the outside
+ *  world are replaced, and so are the shared ones that live outside the API.
+ *  There's no database, queries are stubbed per test and the ones that
+ *  aren't fail right away instead of waiting for a connection.
+ *
+ *  Require this before any model.
+ * */
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+jest.mock(
+  '../models/BaseDataSource',
+  () => ({
+    BaseDataSource: class BaseDataSource {
+      constructor(model) {
+        this.model = model;
+      }
+
+      //  Scheduled jobs call it without a config, tests set the context
+      initialize(config) {
+        if (config) {
+          this.context = config.context;
+        }
+      }
+
+      async get(_id) {
+        return await this.model.findOne({ _id });
+      }
+
+      async nonNullGet(_id) {
+        return await this.get(_id);
+      }
+    },
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  '../models/User',
+  () => {
+    const mongoose = require('mongoose');
+
+    return {
+      UserModel: mongoose.model(
+        'User',
+        new mongoose.Schema({
+          fullname: String,
+          role: String,
+          stripeAccountId: String,
+          stripeCustomerId: String,
+          stripeChargesEnabled: Boolean,
+          fcmTokens: [String],
+        })
+      ),
+      UserRole: { USER: 'USER', ADMIN: 'ADMIN' },
+    };
+  },
+  { virtual: true }
+);
+
+jest.mock(
+  '../models/Event',
+  () => ({ EventObjectType: {}, SystemNotificationAction: {} }),
+  { virtual: true }
+);
+
+jest.mock(
+  '../share/schemas',
+  () => {
+    const mongoose = require('mongoose');
+
+    return { MediaSchema: new mongoose.Schema({ src: String, type: String }) };
+  },
+  { virtual: true }
+);
+
+jest.mock('../share/types', () => ({ getMediaType: () => 'image' }), {
+  virtual: true,
+});
+
+jest.mock('../helpers/query', () => ({ transformQuery: (query) => query }), {
+  virtual: true,
+});
+
+jest.mock(
+  '../helpers/keywords-plugin',
+  () => ({
+    keywordsPlugin: () => {},
+    normalizeKeyword: (keyword) => keyword,
+  }),
+  { virtual: true }
+);
+
+jest.mock('../services/woocommerce', () => ({ fetchProducts: jest.fn() }), {
+  virtual: true,
+});
+
+jest.mock(
+  '../services/scheduler',
+  () => ({ init: jest.fn(), schedule: jest.fn() }),
+  { virtual: true }
+);
+
+jest.mock(
+  '../services/twilio',
+  () => ({
+    TwilioService: class TwilioService {
+      async sendMessage() {}
+    },
+  }),
+  { virtual: true }
+);
+
+jest.mock('../services/cache', () => ({ withCache: (fn) => fn }), {
+  virtual: true,
+});
+
+jest.mock('../services/push', () => ({ sendPush: jest.fn() }));
+
+/**
+ *  Transactions run their callback right away. `attempts` above 1 runs it
+ *  again the way the driver does on transient errors
+ * */
+const mockTransactions = ({ attempts = 1 } = {}) => {
+  const session = {
+    async withTransaction(fn) {
+      for (let i = 0; i < attempts; i++) {
+        await fn();
+      }
+    },
+    endSession: jest.fn(),
+  };
+
+  jest.spyOn(mongoose.connection, 'startSession').mockResolvedValue(session);
+
+  return session;
+};
+
+/**
+ *  Saving runs the middleware but doesn't write anywhere
+ *
+ *  @param model {Mongoose.Model}
+ *  @returns {jest.SpyInstance} - called with the saved documents
+ * */
+const mockSave = (model) => {
+  const saved = jest.fn();
+
+  jest
+    .spyOn(model.prototype, '$__handleSave')
+    .mockImplementation(function (options, callback) {
+      saved(this);
+      callback(null, {});
+    });
+
+  return saved;
+};
+
+/**
+ *  A document as if it was read from the database
+ * */
+const fromDb = (model, data) =>
+  model.hydrate({ _id: new mongoose.Types.ObjectId(), ...data });
+
+const userContext = (user, dataSources) => ({
+  context: { user, dataSources },
+});
+
+module.exports = {
+  fromDb,
+  mockSave,
+  mockTransactions,
+  userContext,
+};
@@ -0,0 +1,120 @@
+const { fromDb, mockSave, mockTransactions } = require('./support');
+const fixtures = require('./fixtures');
+
+const {
+  orderDataSource,
+  OrderModel,
+  OrderStatusType,
+} = require('../models/Order');
+
+const { orders } = orderDataSource;
+
+const dashboardRefund = { id: 're_1', metadata: {} };
+const apiRefund = { id: 're_2', metadata: { initiatedBy: 'api' } };
+
+const charge = (amountRefunded, refunds = [dashboardRefund]) => ({
+  id: 'ch_1',
+  payment_intent: 'pi_1',
+  captured: true,
+  amount: 5500,
+  amount_refunded: amountRefunded,
+  refunded: amountRefunded === 5500,
+  refunds: { data: refunds },
+});
+
+let splits;
+let waitlists;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  mockTransactions();
+  mockSave(OrderModel);
+
+  splits = { exit: jest.fn().mockResolvedValue({ offered: [] }) };
+  waitlists = { notifyOffered: jest.fn() };
+  orders.initialize({ context: { dataSources: { splits, waitlists } } });
+});
+
+describe('updateOrderRefund', () => {
+  it('moves a partially refunded Order to REFUNDED and keeps the seats', async () => {
+    const order = fromDb(OrderModel, fixtures.order());
+
+    await orders.updateOrderRefund(charge(2000), order);
+
+    expect(order.status).toBe(OrderStatusType.REFUNDED);
+    expect(order.refunded).toBe(true);
+    expect(order.metadata.amountRefunded).toBe(2000);
+    expect(splits.exit).not.toHaveBeenCalled();
+  });
+
+  it('takes the seats away on a full refund', async () => {
+    const order = fromDb(OrderModel, fixtures.order());
+
+    await orders.updateOrderRefund(charge(5500), order);
+
+    expect(order.status).toBe(OrderStatusType.REFUNDED);
+    expect(order.refunded).toBe(true);
+    expect(splits.exit).toHaveBeenCalledWith(
+      expect.objectContaining({ split: order.split, client: order.client })
+    );
+  });
+
+  it('offers the seats to the waitlist once the refund is committed', async () => {
+    const offered = [{ _id: fixtures.id() }];
+    splits.exit.mockResolvedValue({ offered });
+    const session = mockTransactions();
+    session.endSession.mockImplementation(() =>
+      expect(waitlists.notifyOffered).not.toHaveBeenCalled()
+    );
+
+    await orders.updateOrderRefund(
+      charge(5500),
+      fromDb(OrderModel, fixtures.order())
+    );
+
+    expect(waitlists.notifyOffered).toHaveBeenCalledTimes(1);
+    expect(waitlists.notifyOffered).toHaveBeenCalledWith(offered);
+  });
+
+  it('takes the seats away when a partial refund is completed', async () => {
+    const order = fromDb(
+      OrderModel,
+      fixtures.order({
+        status: OrderStatusType.REFUNDED,
+        refunded: true,
+        metadata: { amountRefunded: 2000 },
+      })
+    );
+
+    await orders.updateOrderRefund(charge(5500), order);
+
+    expect(order.status).toBe(OrderStatusType.REFUNDED);
+    expect(order.metadata.amountRefunded).toBe(5500);
+    expect(splits.exit).toHaveBeenCalledTimes(1);
+  });
+
+  it("doesn't exit the Split twice for the same full refund", async () => {
+    const order = fromDb(
+      OrderModel,
+      fixtures.order({
+        status: OrderStatusType.REFUNDED,
+        refunded: true,
+        metadata: { amountRefunded: 5500 },
+      })
+    );
+
+    await orders.updateOrderRefund(charge(5500), order);
+
+    expect(splits.exit).not.toHaveBeenCalled();
+  });
+
+  it('only keeps the refunded amount in sync for refunds of the API', async () => {
+    const order = fromDb(OrderModel, fixtures.order());
+
+    await orders.updateOrderRefund(charge(2000, [apiRefund]), order);
+
+    expect(order.status).toBe(OrderStatusType.PAID);
+    expect(order.metadata.amountRefunded).toBe(2000);
+    expect(splits.exit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+const { fromDb, mockSave, userContext } = require('./support');
+const fixtures = require('./fixtures');
+
+const { sendPush } = require('../services/push');
+const { SplitStatus } = require('../models/Split');
+const {
+  waitlistDataSource,
+  WaitlistEntryModel,
+  WaitlistStatus,
+} = require('../models/Waitlist');
+
+const { waitlists } = waitlistDataSource;
+
+let split;
+let entries;
+let dataSources;
+
+const waiting = (numSeats) =>
+  fromDb(WaitlistEntryModel, {
+    split: split._id,
+    user: fixtures.id(),
+    numSeats,
+    status: WaitlistStatus.WAITING,
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  sendPush.mockReset().mockResolvedValue();
+  mockSave(WaitlistEntryModel);
+
+  split = { ...fixtures.split(), status: SplitStatus.ACTIVE, placesLeft: 2 };
+  entries = [waiting(3), waiting(2)];
+
+  jest.spyOn(WaitlistEntryModel, 'find').mockResolvedValue(entries);
+
+  dataSources = {
+    splits: { model: { findOne: jest.fn(async () => split) } },
+    seatHolds: { place: jest.fn() },
+  };
+  waitlists.initialize(userContext(fixtures.users.owner, dataSources));
+});
+
+describe('waitlist offers', () => {
+  it('hold the free seats for whoever fits, in order', async () => {
+    const offered = await waitlists.offer(split._id);
+
+    expect(offered).toEqual([entries[1]]);
+    expect(entries[1].status).toBe(WaitlistStatus.OFFERED);
+    expect(entries[0].status).toBe(WaitlistStatus.WAITING);
+    expect(dataSources.seatHolds.place).toHaveBeenCalledWith(
+      expect.objectContaining({ numSeats: 2, client: entries[1].user })
+    );
+    expect(sendPush).toHaveBeenCalledTimes(1);
+  });
+
+  it("aren't announced before the caller's transaction is committed", async () => {
+    const session = {};
+
+    const offered = await waitlists.offer(split._id, session);
+
+    expect(offered).toHaveLength(1);
+    expect(dataSources.seatHolds.place).toHaveBeenCalledWith(
+      expect.objectContaining({ session })
+    );
+    expect(sendPush).not.toHaveBeenCalled();
+
+    await waitlists.notifyOffered(offered);
+
+    expect(sendPush).toHaveBeenCalledWith(
+      entries[1].user,
+      expect.objectContaining({ title: 'Seats are available!' })
+    );
+  });
+
+  it("aren't made for Splits that can't be ordered", async () => {
+    split.status = SplitStatus.CANCELLED;
+
+    await expect(waitlists.offer(split._id)).resolves.toEqual([]);
+
+    expect(dataSources.seatHolds.place).not.toHaveBeenCalled();
+  });
+
+  it('keep their seats when the notification fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sendPush.mockRejectedValue(new Error('No FCM token'));
+
+    const offered = await waitlists.offer(split._id);
+
+    expect(offered[0].status).toBe(WaitlistStatus.OFFERED);
+  });
+});
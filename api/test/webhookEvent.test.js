@@ -0,0 +1,206 @@
+const { fromDb, mockSave } = require('./support');
+const fixtures = require('./fixtures');
+
+const Stripe = require('stripe');
+
+const { orderDataSource, OrderModel } = require('../models/Order');
+const {
+  webhookEventDataSource,
+  WebhookEventModel,
+  WebhookEventStatus,
+} = require('../models/WebhookEvent');
+
+const { webhookEvents } = webhookEventDataSource;
+
+const secret = 'whsec_test';
+const stripe = Stripe('sk_test');
+
+const deliver = (event) => {
+  const body = JSON.stringify(event);
+
+  return webhookEvents.receive(
+    stripe.webhooks.generateTestHeaderString({ payload: body, secret }),
+    Buffer.from(body)
+  );
+};
+
+let orders;
+let stored;
+let saved;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  process.env.STRIPE_WEBHOOK_SECRET = secret;
+
+  saved = mockSave(WebhookEventModel);
+  orders = { updateOrderRefundByWebhook: jest.fn().mockResolvedValue(true) };
+
+  //  Like the webhook router, nothing has initialized it
+  delete webhookEvents.stripeService;
+  webhookEvents.context = { dataSources: { orders } };
+
+  stored = null;
+
+  //  The upsert keeps what's stored, the claim only takes matching statuses
+  jest
+    .spyOn(WebhookEventModel, 'findOneAndUpdate')
+    .mockImplementation(async (filter, update) => {
+      if (update.$setOnInsert) {
+        stored = stored || fromDb(WebhookEventModel, update.$setOnInsert);
+        return stored;
+      }
+
+      const [claimable, stale] = filter.$or;
+      const canClaim =
+        claimable.status.$in.includes(stored.status) ||
+        (stored.status === stale.status &&
+          stored.updated_at < stale.updated_at.$lt);
+
+      if (!canClaim) {
+        return null;
+      }
+
+      stored.status = update.status;
+      stored.attempts += update.$inc.attempts;
+      return stored;
+    });
+});
+
+const refundEvent = () =>
+  fixtures.event('charge.refunded', { id: 'ch_1', payment_intent: 'pi_1' });
+
+describe('Stripe webhook events', () => {
+  it('are verified and processed once', async () => {
+    const event = refundEvent();
+
+    await expect(deliver(event)).resolves.toBe(true);
+
+    expect(orders.updateOrderRefundByWebhook).toHaveBeenCalledWith(event);
+    expect(stored.status).toBe(WebhookEventStatus.PROCESSED);
+    expect(stored.attempts).toBe(1);
+    expect(saved).toHaveBeenCalled();
+  });
+
+  it('are not processed again when Stripe delivers them twice', async () => {
+    const event = refundEvent();
+
+    await deliver(event);
+    await expect(deliver(event)).resolves.toBe(true);
+
+    expect(orders.updateOrderRefundByWebhook).toHaveBeenCalledTimes(1);
+  });
+
+  it('fail the delivery while another one is processing them', async () => {
+    const event = refundEvent();
+
+    stored = fromDb(WebhookEventModel, {
+      eventId: event.id,
+      type: event.type,
+      payload: event,
+      status: WebhookEventStatus.PROCESSING,
+      attempts: 1,
+      updated_at: new Date(),
+    });
+
+    await expect(deliver(event)).resolves.toBe(false);
+
+    expect(orders.updateOrderRefundByWebhook).not.toHaveBeenCalled();
+  });
+
+  it('are taken over once stuck in processing', async () => {
+    const event = refundEvent();
+
+    stored = fromDb(WebhookEventModel, {
+      eventId: event.id,
+      type: event.type,
+      payload: event,
+      status: WebhookEventStatus.PROCESSING,
+      attempts: 1,
+      updated_at: new Date(Date.now() - 60 * 60 * 1000),
+    });
+
+    await expect(deliver(event)).resolves.toBe(true);
+
+    expect(orders.updateOrderRefundByWebhook).toHaveBeenCalledTimes(1);
+    expect(stored.status).toBe(WebhookEventStatus.PROCESSED);
+    expect(stored.attempts).toBe(2);
+  });
+
+  it('are retried by Stripe when processing fails', async () => {
+    orders.updateOrderRefundByWebhook.mockRejectedValue(new Error('Oops'));
+
+    await expect(deliver(refundEvent())).resolves.toBe(false);
+
+    expect(stored.status).toBe(WebhookEventStatus.FAILED);
+    expect(stored.lastError).toBe('Oops');
+  });
+
+  it('are ignored when the type is not handled', async () => {
+    await expect(
+      deliver(fixtures.event('customer.created', { id: 'cus_1' }))
+    ).resolves.toBe(true);
+
+    expect(stored.status).toBe(WebhookEventStatus.IGNORED);
+  });
+
+  it("are ignored for paymentIntents of seat holds that didn't become Orders", async () => {
+    jest.spyOn(OrderModel, 'findOne').mockResolvedValue(null);
+    webhookEvents.context = {
+      dataSources: { orders: orderDataSource.orders },
+    };
+
+    await expect(
+      deliver(
+        fixtures.event('payment_intent.canceled', {
+          id: 'pi_hold',
+          object: 'payment_intent',
+          status: 'canceled',
+        })
+      )
+    ).resolves.toBe(true);
+
+    expect(OrderModel.findOne).toHaveBeenCalledWith({
+      paymentIntent: 'pi_hold',
+    });
+    expect(stored.status).toBe(WebhookEventStatus.IGNORED);
+  });
+
+  it('are ignored for refunds of payments that never became Orders', async () => {
+    jest.spyOn(OrderModel, 'findOne').mockResolvedValue(null);
+    webhookEvents.context = {
+      dataSources: { orders: orderDataSource.orders },
+    };
+
+    await expect(
+      deliver(
+        fixtures.event('charge.refunded', {
+          id: 'ch_1',
+          payment_intent: 'pi_checkout',
+          captured: true,
+        })
+      )
+    ).resolves.toBe(true);
+
+    expect(OrderModel.findOne).toHaveBeenCalledWith({
+      paymentIntent: 'pi_checkout',
+    });
+    expect(stored.status).toBe(WebhookEventStatus.IGNORED);
+  });
+
+  it('are rejected with a wrong signature', async () => {
+    const body = JSON.stringify(refundEvent());
+
+    await expect(
+      webhookEvents.receive(
+        stripe.webhooks.generateTestHeaderString({
+          payload: body,
+          secret: 'whsec_other',
+        }),
+        Buffer.from(body)
+      )
+    ).resolves.toBe(false);
+
+    expect(WebhookEventModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});